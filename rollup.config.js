@@ -37,6 +37,14 @@ const addNamedExports = () => ({
 // Re-export all named exports for ESM compatibility
 const { PinPetSdk: _PinPetSdk, SPINPET_PROGRAM_ID: _SPINPET_PROGRAM_ID, getDefaultOptions: _getDefaultOptions, OrderUtils: _OrderUtils, CurveAMM: _CurveAMM } = src;
 export { _PinPetSdk as PinPetSdk, _SPINPET_PROGRAM_ID as SPINPET_PROGRAM_ID, _getDefaultOptions as getDefaultOptions, _OrderUtils as OrderUtils, _CurveAMM as CurveAMM };
+const { PdaUtils: _PdaUtils } = src;
+export { _PdaUtils as PdaUtils };
+const { decodeAccount: _decodeAccount, decodeAccountFields: _decodeAccountFields, getAccountFieldRange: _getAccountFieldRange, decodeOrderBook: _decodeOrderBook, decodeOrderBookHeader: _decodeOrderBookHeader, decodeMarginOrder: _decodeMarginOrder, decodeBorrowingBondingCurve: _decodeBorrowingBondingCurve, decodeTradeCooldown: _decodeTradeCooldown, decodeParams: _decodeParams, decodeAdmin: _decodeAdmin } = src;
+export { _decodeAccount as decodeAccount, _decodeAccountFields as decodeAccountFields, _getAccountFieldRange as getAccountFieldRange, _decodeOrderBook as decodeOrderBook, _decodeOrderBookHeader as decodeOrderBookHeader, _decodeMarginOrder as decodeMarginOrder, _decodeBorrowingBondingCurve as decodeBorrowingBondingCurve, _decodeTradeCooldown as decodeTradeCooldown, _decodeParams as decodeParams, _decodeAdmin as decodeAdmin };
+const { PinPetError: _PinPetError, PinPetProgramError: _PinPetProgramError, PinPetApiError: _PinPetApiError, PinPetAccountNotFoundError: _PinPetAccountNotFoundError, PinPetValidationError: _PinPetValidationError } = src;
+export { _PinPetError as PinPetError, _PinPetProgramError as PinPetProgramError, _PinPetApiError as PinPetApiError, _PinPetAccountNotFoundError as PinPetAccountNotFoundError, _PinPetValidationError as PinPetValidationError };
+const { PinPetDecodeError: _PinPetDecodeError } = src;
+export { _PinPetDecodeError as PinPetDecodeError };
 `;
       return code + namedExports;
     } else if (options.format === 'cjs') {
@@ -48,6 +56,23 @@ exports.SPINPET_PROGRAM_ID = src.SPINPET_PROGRAM_ID;
 exports.getDefaultOptions = src.getDefaultOptions;
 exports.OrderUtils = src.OrderUtils;
 exports.CurveAMM = src.CurveAMM;
+exports.PdaUtils = src.PdaUtils;
+exports.decodeAccount = src.decodeAccount;
+exports.decodeAccountFields = src.decodeAccountFields;
+exports.getAccountFieldRange = src.getAccountFieldRange;
+exports.decodeOrderBook = src.decodeOrderBook;
+exports.decodeOrderBookHeader = src.decodeOrderBookHeader;
+exports.decodeMarginOrder = src.decodeMarginOrder;
+exports.decodeBorrowingBondingCurve = src.decodeBorrowingBondingCurve;
+exports.decodeTradeCooldown = src.decodeTradeCooldown;
+exports.decodeParams = src.decodeParams;
+exports.decodeAdmin = src.decodeAdmin;
+exports.PinPetError = src.PinPetError;
+exports.PinPetProgramError = src.PinPetProgramError;
+exports.PinPetApiError = src.PinPetApiError;
+exports.PinPetAccountNotFoundError = src.PinPetAccountNotFoundError;
+exports.PinPetValidationError = src.PinPetValidationError;
+exports.PinPetDecodeError = src.PinPetDecodeError;
 `;
       return code + namedExports;
     }
@@ -0,0 +1,39 @@
+/**
+ * Check that the built CJS and ESM bundles export every named export of src/index.js
+ * The named exports of the bundles are listed by hand in rollup.config.js (addNamedExports).
+ *
+ * Run after `npm run build` (postbuild).
+ */
+const { resolve } = require('path');
+const { pathToFileURL } = require('url');
+
+const root = resolve(__dirname, '..');
+
+async function main() {
+  const expected = Object.keys(require(resolve(root, 'src/index.js'))).filter(name => name !== 'default');
+
+  const bundles = {
+    'dist/pinpet-sdk.cjs.js': require(resolve(root, 'dist/pinpet-sdk.cjs.js')),
+    'dist/pinpet-sdk.esm.js': await import(pathToFileURL(resolve(root, 'dist/pinpet-sdk.esm.js')).href)
+  };
+
+  let failed = false;
+  for (const [file, bundle] of Object.entries(bundles)) {
+    const missing = expected.filter(name => bundle[name] === undefined);
+    if (missing.length > 0) {
+      failed = true;
+      console.error(`❌ ${file} is missing exports of src/index.js: ${missing.join(', ')} (add them to addNamedExports in rollup.config.js)`);
+    } else {
+      console.log(`✅ ${file} exports all ${expected.length} named exports of src/index.js`);
+    }
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -19,6 +19,31 @@ const { getDefaultOptions } = require('./utils/constants');
 // Import utility classes
 const OrderUtils = require('./utils/orderUtils');
 const CurveAMM = require('./utils/curve_amm');
+const PdaUtils = require('./utils/pda');
+
+// Import account decoders
+const {
+  decodeAccount,
+  decodeAccountFields,
+  getAccountFieldRange,
+  decodeOrderBook,
+  decodeOrderBookHeader,
+  decodeMarginOrder,
+  decodeBorrowingBondingCurve,
+  decodeTradeCooldown,
+  decodeParams,
+  decodeAdmin
+} = require('./utils/decoders');
+
+// Import error classes
+const {
+  PinPetError,
+  PinPetProgramError,
+  PinPetApiError,
+  PinPetAccountNotFoundError,
+  PinPetValidationError,
+  PinPetDecodeError
+} = require('./utils/errors');
 
 // Import constants (if needed)
 const SPINPET_PROGRAM_ID = new PublicKey(spinpetIdl.address); // Replace with actual program ID
@@ -37,6 +62,27 @@ module.exports = {
   // Utility classes
   OrderUtils,
   CurveAMM,
+  PdaUtils,
+
+  // Account decoders (raw account data, no connection needed)
+  decodeAccount,
+  decodeAccountFields,
+  getAccountFieldRange,
+  decodeOrderBook,
+  decodeOrderBookHeader,
+  decodeMarginOrder,
+  decodeBorrowingBondingCurve,
+  decodeTradeCooldown,
+  decodeParams,
+  decodeAdmin,
+
+  // Error classes
+  PinPetError,
+  PinPetProgramError,
+  PinPetApiError,
+  PinPetAccountNotFoundError,
+  PinPetValidationError,
+  PinPetDecodeError,
 
   // Default export SDK class
   default: PinPetSdk,
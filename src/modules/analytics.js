@@ -0,0 +1,194 @@
+const CurveAMM = require('../utils/curve_amm');
+const { PinPetValidationError } = require('../utils/errors');
+
+// Events carrying latest_price (every curve trade moves the price)
+const TRADE_EVENTS = ['BuySellEvent', 'LongShortEvent', 'FullCloseEvent', 'PartialCloseEvent'];
+
+// Interval name -> seconds
+const CANDLE_INTERVALS = {
+  '1s': 1,
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '30m': 1800,
+  '1h': 3600,
+  '4h': 14400,
+  '1d': 86400
+};
+
+/**
+ * Resolve a candle interval to seconds
+ * @param {string|number} interval - Interval name ('1m', '1h', ...) or seconds
+ * @returns {number} Interval in seconds
+ */
+function resolveInterval(interval) {
+  const seconds = typeof interval === 'number' ? interval : CANDLE_INTERVALS[interval];
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    throw new PinPetValidationError(
+      `Invalid candle interval: ${interval}, expected seconds or one of ${Object.keys(CANDLE_INTERVALS).join(', ')}`,
+      { param: 'interval' }
+    );
+  }
+  return seconds;
+}
+
+/**
+ * Analytics Module
+ * Builds market data (OHLCV candles) from on-chain program events, without the Fast API
+ */
+class AnalyticsModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Build OHLCV candles for a mint from its trade events
+   *
+   * Steps:
+   * 1. With live: true, subscribe first and buffer live events so none are lost during the backfill
+   * 2. Backfill trade events newest first (sdk.events.history) down to `from`
+   * 3. Aggregate them oldest first into candles
+   * 4. Apply buffered and subsequent live events, calling onUpdate for each changed candle
+   *
+   * Prices come from latest_price (CurveAMM.u128ToDecimal). Volume comes from BuySellEvent token_amount/sol_amount;
+   * margin events (open/close long and short) move the price only. Intervals without trades have no candle.
+   *
+   * @param {string|PublicKey} mint - Token mint address
+   * @param {Object} options - Optional parameters
+   * @param {string|number} options.interval - '1s', '1m', '5m', '15m', '30m', '1h', '4h', '1d' or seconds, default '1m'
+   * @param {number} options.from - Backfill start as unix timestamp in seconds, default full history
+   * @param {number} options.limit - Maximum number of historical events to read
+   * @param {boolean} options.live - Keep the candles updated from live events, default false
+   * @param {Function} options.onUpdate - Called with (candle, event) when a live event updates a candle
+   * @param {Function} options.onError - Called with errors of the live subscription
+   * @param {string} options.commitment - Commitment, default 'confirmed'
+   * @returns {Promise<Object>} { candles, interval, unsubscribe() } - candles oldest first
+   *   [{ time, open, high, low, close, volume, volumeSol, trades }], time is the candle start in unix seconds.
+   *   The candles array is updated in place by live events.
+   *
+   * @example
+   * const series = await sdk.analytics.candles(mint, {
+   *   interval: '5m',
+   *   from: Math.floor(Date.now() / 1000) - 86400,
+   *   live: true,
+   *   onUpdate: (candle) => chart.update(candle)
+   * });
+   * chart.setData(series.candles);
+   * // later
+   * await series.unsubscribe();
+   */
+  async candles(mint, options = {}) {
+    const {
+      interval = '1m',
+      from,
+      limit,
+      live = false,
+      onUpdate,
+      onError,
+      commitment = 'confirmed'
+    } = options;
+
+    const intervalSeconds = resolveInterval(interval);
+    const candles = [];
+    const seen = new Set();
+
+    const apply = (event) => {
+      // Live events have no blockTime yet, candles never move backwards
+      const last = candles[candles.length - 1];
+      const blockTime = event.blockTime || Math.floor(Date.now() / 1000);
+      const time = Math.max(blockTime - (blockTime % intervalSeconds), last ? last.time : 0);
+      const price = CurveAMM.u128ToDecimal(event.data.latest_price).toNumber();
+
+      let candle = last;
+      if (!candle || candle.time !== time) {
+        candle = { time, open: price, high: price, low: price, close: price, volume: 0, volumeSol: 0, trades: 0 };
+        candles.push(candle);
+      }
+      candle.high = Math.max(candle.high, price);
+      candle.low = Math.min(candle.low, price);
+      candle.close = price;
+      candle.trades += 1;
+      if (event.name === 'BuySellEvent') {
+        candle.volume += CurveAMM.u64ToTokenDecimal(event.data.token_amount).toNumber();
+        candle.volumeSol += CurveAMM.u64ToSolDecimal(event.data.sol_amount).toNumber();
+      }
+      return candle;
+    };
+
+    // 1. Subscribe before the backfill, buffering until it is done
+    let buffered = [];
+    let subscription = null;
+    if (live) {
+      subscription = this.sdk.events.subscribe({ mint, types: TRADE_EVENTS, commitment }, (event) => {
+        if (buffered) {
+          buffered.push(event);
+          return;
+        }
+        const key = `${event.signature}:${event.eventIndex}`;
+        if (seen.has(key)) {
+          return;
+        }
+        const candle = apply(event);
+        if (onUpdate) {
+          onUpdate(candle, event);
+        }
+      }, { onError });
+    }
+
+    try {
+      // 2. Backfill, newest first
+      const history = [];
+      for await (const event of this.sdk.events.history(mint, { types: TRADE_EVENTS, limit, commitment })) {
+        if (from !== undefined && event.blockTime !== null && event.blockTime < from) {
+          break;
+        }
+        history.push(event);
+      }
+
+      // 3. Oldest transaction first, events of one transaction in log order
+      const transactionOrder = new Map();
+      for (const event of history) {
+        if (!transactionOrder.has(event.signature)) {
+          transactionOrder.set(event.signature, transactionOrder.size);
+        }
+      }
+      history.sort((a, b) =>
+        (transactionOrder.get(b.signature) - transactionOrder.get(a.signature)) || (a.eventIndex - b.eventIndex));
+      for (const event of history) {
+        seen.add(`${event.signature}:${event.eventIndex}`);
+        apply(event);
+      }
+    } catch (error) {
+      if (subscription) {
+        await subscription.unsubscribe();
+      }
+      throw error;
+    }
+
+    // 4. Events received during the backfill
+    if (subscription) {
+      const pending = buffered;
+      buffered = null;
+      for (const event of pending) {
+        if (!seen.has(`${event.signature}:${event.eventIndex}`)) {
+          const candle = apply(event);
+          if (onUpdate) {
+            onUpdate(candle, event);
+          }
+        }
+      }
+    }
+
+    return {
+      candles,
+      interval: intervalSeconds,
+      unsubscribe: async () => {
+        if (subscription) {
+          await subscription.unsubscribe();
+        }
+      }
+    };
+  }
+}
+
+module.exports = AnalyticsModule;
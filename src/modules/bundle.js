@@ -0,0 +1,294 @@
+const axios = require('axios');
+const bs58 = require('bs58');
+const { Transaction, VersionedTransaction, SystemProgram } = require('@solana/web3.js');
+const { Buffer } = require('buffer');
+const { PinPetError, PinPetApiError, PinPetValidationError } = require('../utils/errors');
+const { toSigner, resolvePublicKey } = require('../utils/signer');
+const { getDurableNonce } = require('../utils/transaction');
+
+// Default tip paid to the block engine tip account (lamports)
+const DEFAULT_TIP_LAMPORTS = 10000;
+// Maximum number of transactions in one bundle
+const MAX_BUNDLE_TRANSACTIONS = 5;
+// Status polling defaults (ms)
+const DEFAULT_POLL_INTERVAL = 2000;
+const DEFAULT_BUNDLE_TIMEOUT = 60000;
+
+/**
+ * Copy a transaction so that setting the blockhash, fee payer and signatures leaves the original unchanged
+ * Legacy copies carry the instructions, fee payer, blockhash and nonce info; they are signed again by build().
+ * @param {Transaction|VersionedTransaction} transaction - Transaction to copy
+ * @returns {Transaction|VersionedTransaction} Copy
+ */
+function copyTransaction(transaction) {
+  if (transaction instanceof VersionedTransaction) {
+    return VersionedTransaction.deserialize(transaction.serialize());
+  }
+  const copy = new Transaction();
+  copy.feePayer = transaction.feePayer;
+  copy.recentBlockhash = transaction.recentBlockhash;
+  copy.nonceInfo = transaction.nonceInfo;
+  return copy.add(...transaction.instructions);
+}
+
+/**
+ * Bundle Module
+ * Submits builder results as an atomic bundle to a block engine (Jito compatible JSON-RPC API),
+ * with a tip transfer, so large orders are not sandwiched.
+ *
+ * Configuration (sdk options, overridable per call):
+ * - blockEngineUrl: block engine base URL, e.g. 'https://mainnet.block-engine.jito.wtf' or a local stand-in server
+ * - bundleTipAccount: tip account receiving the tip transfer
+ * - bundleTipLamports: tip amount, default 10000 lamports
+ */
+class BundleModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Create the tip transfer instruction
+   * @param {Object} params - Parameters
+   * @param {PublicKey|Keypair|Object} params.payer - Tip payer, public key or signer
+   * @param {PublicKey|string} [params.tipAccount] - Tip account, default sdk options bundleTipAccount
+   * @param {number} [params.tipLamports] - Tip amount in lamports, default sdk options bundleTipLamports or 10000
+   * @returns {TransactionInstruction} SystemProgram transfer instruction
+   */
+  createTipInstruction({ payer, tipAccount, tipLamports }) {
+    const tipAccountAddress = tipAccount || this.sdk.options.bundleTipAccount;
+    if (!tipAccountAddress) {
+      throw new PinPetValidationError('Bundle tip account is required: pass tipAccount or set bundleTipAccount in SDK options', { param: 'tipAccount' });
+    }
+
+    const lamports = tipLamports ?? this.sdk.options.bundleTipLamports ?? DEFAULT_TIP_LAMPORTS;
+    if (!Number.isInteger(lamports) || lamports <= 0) {
+      throw new PinPetValidationError(`tipLamports must be a positive integer, got: ${lamports}`, { param: 'tipLamports' });
+    }
+
+    return SystemProgram.transfer({
+      fromPubkey: resolvePublicKey(payer, 'payer'),
+      toPubkey: resolvePublicKey(tipAccountAddress, 'tipAccount'),
+      lamports
+    });
+  }
+
+  /**
+   * Sign builder results as a bundle, with the tip transfer appended
+   *
+   * The transactions of `results` are copied, not modified, so a retried build starts from the same inputs.
+   *
+   * Steps:
+   * 1. Append the tip transfer to the last transaction (legacy), or add a separate tip transaction (v0)
+   * 2. Set the same latest blockhash on every transaction (durable nonce transactions keep their nonce)
+   * 3. Sign all transactions with the wallet at once, then with the extra `signers` of each result
+   *
+   * @param {Array<Object>} results - Builder results in execution order (e.g. [approveTrade, sell])
+   * @param {Keypair|Object} wallet - Fee payer and tip payer: Keypair, anchor Wallet or wallet adapter
+   * @param {Object} options - Optional parameters
+   * @param {PublicKey|string} options.tipAccount - Tip account, default sdk options bundleTipAccount
+   * @param {number} options.tipLamports - Tip amount in lamports, default sdk options bundleTipLamports or 10000
+   * @returns {Promise<Object>} { transactions, signatures, blockhash, lastValidBlockHeight }
+   */
+  async build(results, wallet, options = {}) {
+    const resultList = [].concat(results || []);
+    if (resultList.length === 0 || resultList.some(result => !result || !result.transaction)) {
+      throw new PinPetValidationError('bundle: results must contain builder results with a transaction', { param: 'results' });
+    }
+
+    const walletSigner = toSigner(wallet, 'wallet');
+    const walletPubkey = walletSigner.publicKey;
+    const entries = resultList.map(result => ({ transaction: copyTransaction(result.transaction), signers: result.signers || [] }));
+
+    // 1. Tip transfer, the block engine requires it in the bundle
+    const tipInstruction = this.createTipInstruction({
+      payer: walletPubkey,
+      tipAccount: options.tipAccount,
+      tipLamports: options.tipLamports
+    });
+    const lastEntry = entries[entries.length - 1];
+    if (lastEntry.transaction instanceof VersionedTransaction) {
+      entries.push({ transaction: new Transaction().add(tipInstruction), signers: [] });
+    } else {
+      lastEntry.transaction.add(tipInstruction);
+    }
+
+    if (entries.length > MAX_BUNDLE_TRANSACTIONS) {
+      throw new PinPetValidationError(`bundle: at most ${MAX_BUNDLE_TRANSACTIONS} transactions including the tip, got ${entries.length}`, { param: 'results' });
+    }
+
+    // 2. Blockhash and fee payer
+    const commitment = options.commitment || this.sdk.options.commitment || 'confirmed';
+    const { blockhash, lastValidBlockHeight } = await this.sdk.connection.getLatestBlockhash(commitment);
+    for (const { transaction } of entries) {
+      const durableNonce = getDurableNonce(transaction);
+      if (transaction instanceof VersionedTransaction) {
+        if (!transaction.message.staticAccountKeys[0].equals(walletPubkey)) {
+          throw new PinPetValidationError('bundle: wallet must be the fee payer of every versioned transaction');
+        }
+        transaction.message.recentBlockhash = durableNonce ? durableNonce.nonceValue : blockhash;
+      } else {
+        transaction.recentBlockhash = durableNonce ? durableNonce.nonceValue : blockhash;
+        transaction.feePayer = walletPubkey;
+      }
+    }
+
+    // 3. Sign: wallet first in one call (single wallet prompt), then extra signers
+    const transactions = await walletSigner.signAllTransactions(entries.map(entry => entry.transaction));
+    for (let i = 0; i < transactions.length; i++) {
+      const extraSigners = entries[i].signers
+        .map(signer => toSigner(signer))
+        .filter(signer => !signer.publicKey.equals(walletPubkey));
+      for (const signer of extraSigners) {
+        transactions[i] = await signer.signTransaction(transactions[i]);
+      }
+    }
+
+    return {
+      transactions,
+      signatures: transactions.map(transaction => this._getSignature(transaction)),
+      blockhash,
+      lastValidBlockHeight
+    };
+  }
+
+  /**
+   * Sign and submit builder results as a bundle, then poll the bundle status until it lands
+   *
+   * @param {Array<Object>|Object} results - Builder results in execution order (e.g. [approveTrade, sell])
+   * @param {Keypair|Object} wallet - Fee payer and tip payer: Keypair, anchor Wallet or wallet adapter
+   * @param {Object} options - Optional parameters
+   * @param {string} options.blockEngineUrl - Block engine base URL, default sdk options blockEngineUrl
+   * @param {PublicKey|string} options.tipAccount - Tip account, default sdk options bundleTipAccount
+   * @param {number} options.tipLamports - Tip amount in lamports, default sdk options bundleTipLamports or 10000
+   * @param {boolean} options.waitForLanding - Poll the bundle status until landed, default true
+   * @param {number} options.pollInterval - Status polling interval in ms, default 2000
+   * @param {number} options.timeout - Polling timeout in ms, default 60000
+   * @returns {Promise<Object>} { bundleId, signatures, status, landedSlot }
+   *
+   * @example
+   * const approve = await sdk.tools.approveTrade({ mint, wallet });
+   * const sell = await sdk.trading.sell({ mintAccount: mint, sellTokenAmount, minSolOutput, payer: wallet });
+   * const { bundleId, status, landedSlot } = await sdk.bundle.send([approve, sell], wallet, { tipLamports: 50000 });
+   */
+  async send(results, wallet, options = {}) {
+    const { waitForLanding = true } = options;
+
+    // 1. Build and sign
+    const { transactions, signatures } = await this.build(results, wallet, options);
+
+    // 2. Submit
+    const encoded = transactions.map(transaction => Buffer.from(transaction.serialize()).toString('base64'));
+    const bundleId = await this._rpc('sendBundle', [encoded, { encoding: 'base64' }], options);
+    if (!waitForLanding) {
+      return { bundleId, signatures, status: 'Pending', landedSlot: null };
+    }
+
+    // 3. Poll status
+    const { status, landedSlot } = await this.waitForBundle(bundleId, options);
+    return { bundleId, signatures, status, landedSlot };
+  }
+
+  /**
+   * Get the in-flight status of a bundle
+   * @param {string} bundleId - Bundle id returned by sendBundle
+   * @param {Object} options - Optional parameters
+   * @param {string} options.blockEngineUrl - Block engine base URL, default sdk options blockEngineUrl
+   * @returns {Promise<Object>} { bundleId, status: 'Invalid'|'Pending'|'Failed'|'Landed', landedSlot }
+   */
+  async getBundleStatus(bundleId, options = {}) {
+    const result = await this._rpc('getInflightBundleStatuses', [[bundleId]], options);
+    const entry = result && Array.isArray(result.value) ? result.value[0] : null;
+    return {
+      bundleId,
+      // Unknown to the block engine yet (or older than its look-back window)
+      status: entry ? entry.status : 'Invalid',
+      landedSlot: entry ? entry.landed_slot ?? null : null
+    };
+  }
+
+  /**
+   * Poll the bundle status until it lands or fails
+   * 'Invalid' is kept polling, the block engine reports it until the bundle is indexed.
+   *
+   * @param {string} bundleId - Bundle id returned by sendBundle
+   * @param {Object} options - Optional parameters
+   * @param {number} options.pollInterval - Polling interval in ms, default 2000
+   * @param {number} options.timeout - Polling timeout in ms, default 60000
+   * @returns {Promise<Object>} { bundleId, status: 'Landed', landedSlot }
+   */
+  async waitForBundle(bundleId, options = {}) {
+    const { pollInterval = DEFAULT_POLL_INTERVAL, timeout = DEFAULT_BUNDLE_TIMEOUT } = options;
+    const deadline = Date.now() + timeout;
+
+    let lastStatus = null;
+    while (Date.now() < deadline) {
+      lastStatus = await this.getBundleStatus(bundleId, options);
+      if (lastStatus.status === 'Landed') {
+        return lastStatus;
+      }
+      if (lastStatus.status === 'Failed') {
+        throw new PinPetError(`Bundle ${bundleId} failed`);
+      }
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+
+    throw new PinPetError(`Bundle ${bundleId} did not land within ${timeout}ms (last status: ${lastStatus ? lastStatus.status : 'unknown'})`);
+  }
+
+  /**
+   * Call a block engine JSON-RPC method
+   * @private
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - JSON-RPC params
+   * @param {Object} options - { blockEngineUrl }
+   * @returns {Promise<*>} JSON-RPC result
+   */
+  async _rpc(method, params, options = {}) {
+    const baseUrl = options.blockEngineUrl || this.sdk.options.blockEngineUrl;
+    if (!baseUrl) {
+      throw new PinPetValidationError('Block engine URL is required: pass blockEngineUrl or set blockEngineUrl in SDK options', { param: 'blockEngineUrl' });
+    }
+    const url = `${baseUrl.replace(/\/+$/, '')}/api/v1/bundles`;
+
+    let response;
+    try {
+      response = await axios.post(url, { jsonrpc: '2.0', id: 1, method, params }, {
+        timeout: 10000,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (error) {
+      if (error.response) {
+        const errorMsg = error.response.data?.error?.message || error.message;
+        throw new PinPetApiError(`Block engine ${method} failed [${error.response.status}]: ${errorMsg}`, {
+          status: error.response.status,
+          code: error.response.data?.error?.code ?? null,
+          url,
+          cause: error
+        });
+      }
+      throw new PinPetApiError(`Block engine request failed: unable to connect to ${baseUrl}`, { url, cause: error });
+    }
+
+    if (response.data && response.data.error) {
+      throw new PinPetApiError(`Block engine ${method} failed: ${response.data.error.message}`, {
+        status: response.status,
+        code: response.data.error.code ?? null,
+        url
+      });
+    }
+    return response.data.result;
+  }
+
+  /**
+   * Get the first signature (transaction id) of a signed transaction
+   * @private
+   */
+  _getSignature(transaction) {
+    if (transaction instanceof VersionedTransaction) {
+      return bs58.encode(Buffer.from(transaction.signatures[0]));
+    }
+    return transaction.signature ? bs58.encode(transaction.signature) : null;
+  }
+}
+
+module.exports = BundleModule;
@@ -2,8 +2,27 @@
 const { PublicKey } = require('@solana/web3.js');
 const anchor = require('@coral-xyz/anchor');
 const CurveAMM = require('../utils/curve_amm');
-// Unified use of buffer package for consistency across all platforms
-const { Buffer } = require('buffer');
+const OrderUtils = require('../utils/orderUtils');
+const { AccountLayout, getAssociatedTokenAddress } = require('@solana/spl-token');
+const { PinPetError, PinPetAccountNotFoundError, PinPetValidationError, withErrorPrefix } = require('../utils/errors');
+const { resolvePublicKey } = require('../utils/signer');
+const { AccountCache } = require('../utils/account_cache');
+const {
+  decodeOrderBook,
+  decodeOrderBookHeader,
+  decodeMarginOrder,
+  decodeAccountFields,
+  getAccountFieldRange
+} = require('../utils/decoders');
+
+// getMultipleAccountsInfo limit per request
+const MAX_MULTIPLE_ACCOUNTS = 100;
+// JSON-RPC error code of reads whose node is behind minContextSlot
+const MIN_CONTEXT_SLOT_NOT_REACHED = -32016;
+// BorrowingBondingCurve fields read by mints() (reserves and trailing bump are not fetched)
+const MARKET_LISTING_FIELDS = ['price', 'creator'];
+// Markets whose orderbooks user_positions() reads in parallel
+const DEFAULT_POSITIONS_CONCURRENCY = 4;
 
 /**
  * Chain Data Module
@@ -14,6 +33,109 @@ const { Buffer } = require('buffer');
 class ChainModule {
   constructor(sdk) {
     this.sdk = sdk;
+    // Opt-in account cache, see enableCache()
+    this.cache = null;
+    if (sdk.options && sdk.options.accountCache) {
+      this.enableCache(sdk.options.accountCache === true ? {} : sdk.options.accountCache);
+    }
+  }
+
+  // ========== Account Cache ==========
+
+  /**
+   * Enable the account cache
+   *
+   * Curve, pool and orderbook reads of getCurveAccount, price, orders, user_orders and debug_orders
+   * (and the trading builders, which call getCurveAccount) are served from the cache, keyed by account address.
+   * snapshot() and snapshots() always read the chain.
+   * Can also be enabled with the sdk option `accountCache: true | { ttl, subscribe, commitment }`.
+   *
+   * @param {Object} options - Optional parameters
+   * @param {number} options.ttl - Time to live of an entry in ms, default 2000
+   * @param {boolean} options.subscribe - Drop entries on onAccountChange notifications (one websocket subscription per cached account), default false
+   * @param {string} options.commitment - Commitment of reads and subscriptions, default connection commitment
+   * @param {number} options.maxEntries - Maximum number of entries, default 10000
+   * @returns {AccountCache} The cache
+   *
+   * @example
+   * sdk.chain.enableCache({ ttl: 5000, subscribe: true });
+   * await sdk.chain.orders(mint, { type: 'up_orders' });
+   * await sdk.trading.buy({ ... });       // curve account served from the cache
+   * console.log(sdk.chain.cacheStats()); // { hits, misses, hitRate, size, subscriptions }
+   */
+  enableCache(options = {}) {
+    if (this.cache) {
+      this.cache.close();
+    }
+    this.cache = new AccountCache(this.sdk.connection, options);
+    return this.cache;
+  }
+
+  /**
+   * Disable the account cache and remove its subscriptions
+   * @returns {Promise<void>}
+   */
+  async disableCache() {
+    const cache = this.cache;
+    this.cache = null;
+    if (cache) {
+      await cache.close();
+    }
+  }
+
+  /**
+   * Drop the cached accounts of a mint (curve, orderbooks, pool accounts), or every entry without mint
+   * @param {string|PublicKey} [mint] - Token mint address
+   *
+   * @example
+   * await sdk.send(await sdk.trading.long({ ... }), wallet);
+   * sdk.chain.invalidate(mint);
+   */
+  invalidate(mint) {
+    if (!this.cache) {
+      return;
+    }
+    if (mint === undefined) {
+      this.cache.invalidate();
+      return;
+    }
+    this.cache.invalidate(Object.values(this._getMarketAccounts(resolvePublicKey(mint, 'mint'))));
+  }
+
+  /**
+   * Account cache statistics
+   * @returns {Object|null} { hits, misses, hitRate, size, subscriptions }, null when the cache is disabled
+   */
+  cacheStats() {
+    return this.cache ? this.cache.stats() : null;
+  }
+
+  /**
+   * Read accounts and the slot they were read at, through the cache when enabled
+   *
+   * Without the cache all accounts come from one getMultipleAccountsInfo call (a single slot).
+   * With the cache, hits are served from it and all misses are read in one getMultipleAccountsInfo call;
+   * cached accounts may have been read at different slots, the oldest one is reported.
+   * A commitment other than the cache commitment bypasses the cache.
+   *
+   * @private
+   * @param {Array<PublicKey>} addresses - Account addresses
+   * @param {Object} options - Read options
+   * @param {string} options.commitment - Commitment, default connection commitment
+   * @param {number} options.minContextSlot - Minimum slot of the read
+   * @returns {Promise<Object>} { slot, accounts } - accounts in address order, null for missing accounts
+   */
+  async _getAccountsWithContext(addresses, options = {}) {
+    const { commitment, minContextSlot } = options;
+    if (this.cache && (!commitment || commitment === this.cache.commitment)) {
+      const results = await this.cache.getMultipleAccountsInfoAndContext(addresses, { minContextSlot });
+      return {
+        slot: Math.min(...results.map(result => result.context.slot)),
+        accounts: results.map(result => result.value)
+      };
+    }
+    const { context, value } = await this.sdk.connection.getMultipleAccountsInfoAndContext(addresses, { commitment, minContextSlot });
+    return { slot: context.slot, accounts: value };
   }
 
   /**
@@ -25,6 +147,9 @@ class ChainModule {
    * providing complete liquidity pool status.
    *
    * @param {string|PublicKey} mint - Token mint account address
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - Commitment, default connection commitment
+   * @param {number} options.minContextSlot - Minimum slot of the read, e.g. the slot of your last transaction
    *
    * @returns {Promise<Object>} Complete BorrowingBondingCurve account data object
    *
@@ -62,6 +187,7 @@ class ChainModule {
    * @returns {number} returns.poolSolBalance - SOL balance of pool SOL account (lamports)
    *
    * **Metadata:**
+   * @returns {number} returns.slot - Slot the curve and pool accounts were read at
    * @returns {Object} returns._metadata - Additional metadata information
    * @returns {string} returns._metadata.accountAddress - Complete address of curve_account
    * @returns {string} returns._metadata.mintAddress - Input token mint address
@@ -142,124 +268,35 @@ class ChainModule {
    * @version 2.0.0 - Updated to use new OrderBook structure (up_orderbook/down_orderbook instead of upHead/downHead)
    * @author SpinPet SDK Team
    */
-  async getCurveAccount(mint) {
+  async getCurveAccount(mint, options = {}) {
     try {
       // Parameter validation and conversion
       const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
 
-      // Calculate curve_account PDA address
+      // Read curve_account and pool accounts in one call
       // Use the same seeds as in the contract: [b"borrowing_curve", mint_account.key().as_ref()]
-      const [curveAccountPDA] = PublicKey.findProgramAddressSync(
-        [
-          Buffer.from("borrowing_curve"),
-          mintPubkey.toBuffer()
-        ],
-        this.sdk.programId
+      const marketAccounts = this._getMarketAccounts(mintPubkey);
+      const { slot, accounts: [curveInfo, poolTokenInfo, poolSolInfo] } = await this._getAccountsWithContext(
+        [marketAccounts.curveAccount, marketAccounts.poolTokenAccount, marketAccounts.poolSolAccount],
+        options
       );
+      const curveData = this._decodeCurve(mintPubkey, marketAccounts, curveInfo, poolTokenInfo, poolSolInfo);
 
-      // Use Anchor program to fetch account data directly
-      // Method 1: Use program's fetch method
-      let decodedData;
-      try {
-        decodedData = await this.sdk.program.account.borrowingBondingCurve.fetch(curveAccountPDA);
-      } catch (fetchError) {
-        // Method 2: If fetch fails, use raw method
-        const accountInfo = await this.sdk.connection.getAccountInfo(curveAccountPDA);
-        if (!accountInfo) {
-          throw new Error(`curve_account does not exist`);
-        }
-
-        // Manually decode with BorshAccountsCoder
-        const accountsCoder = new anchor.BorshAccountsCoder(this.sdk.program.idl);
-
-        // Try different account names
-        try {
-          decodedData = accountsCoder.decode('BorrowingBondingCurve', accountInfo.data);
-        } catch (decodeError1) {
-          try {
-            // Try lowercase name
-            decodedData = accountsCoder.decode('borrowingBondingCurve', accountInfo.data);
-          } catch (decodeError2) {
-            // Both failed, throw original error
-            throw new Error(`Cannot decode account data: ${decodeError1.message}`);
-          }
-        }
-      }
-
-      // Calculate pool account PDA addresses
-      const [poolTokenAccountPDA] = PublicKey.findProgramAddressSync(
-        [
-          Buffer.from("pool_token"),
-          mintPubkey.toBuffer()
-        ],
-        this.sdk.programId
+      // Fee recipient balances, read no earlier than the curve
+      const { accounts: [baseFeeRecipientInfo, feeRecipientInfo] } = await this._getAccountsWithContext(
+        [new PublicKey(curveData.baseFeeRecipient), new PublicKey(curveData.feeRecipient)],
+        { commitment: options.commitment, minContextSlot: slot }
       );
 
-      const [poolSolAccountPDA] = PublicKey.findProgramAddressSync(
-        [
-          Buffer.from("pool_sol"),
-          mintPubkey.toBuffer()
-        ],
-        this.sdk.programId
-      );
-
-      // Query all balances concurrently
-      const [
-        baseFeeRecipientBalance,
-        feeRecipientBalance,
-        poolTokenBalance,
-        poolSolBalance
-      ] = await Promise.all([
-        this.sdk.connection.getBalance(decodedData.baseFeeRecipient),
-        this.sdk.connection.getBalance(decodedData.feeRecipient),
-        this.sdk.connection.getTokenAccountBalance(poolTokenAccountPDA).catch(() => ({ value: { amount: '0' } })),
-        this.sdk.connection.getBalance(poolSolAccountPDA)
-      ]);
-
       // Convert data format
       const convertedData = {
-        // BN types convert to bigint
-        lpTokenReserve: BigInt(decodedData.lpTokenReserve.toString()),
-        lpSolReserve: BigInt(decodedData.lpSolReserve.toString()),
-        price: BigInt(decodedData.price.toString()),
-        borrowTokenReserve: BigInt(decodedData.borrowTokenReserve.toString()),
-        borrowSolReserve: BigInt(decodedData.borrowSolReserve.toString()),
-
-        // Numeric types remain unchanged
-        swapFee: decodedData.swapFee,
-        borrowFee: decodedData.borrowFee,
-        feeDiscountFlag: decodedData.feeDiscountFlag,
-        feeSplit: decodedData.feeSplit,
-        borrowDuration: decodedData.borrowDuration,
-        bump: decodedData.bump,
-
-        // PublicKey types convert to string
-        baseFeeRecipient: decodedData.baseFeeRecipient.toString(),
-        feeRecipient: decodedData.feeRecipient.toString(),
-        mint: decodedData.mint.toString(),
-
-        // New OrderBook structure - always has value (not optional)
-        upOrderbook: decodedData.upOrderbook.toString(),
-        downOrderbook: decodedData.downOrderbook.toString(),
-
-        // Creator address
-        creator: decodedData.creator.toString(),
+        ...curveData,
 
         // SOL balance information
-        baseFeeRecipientBalance: baseFeeRecipientBalance,  // Unit: lamports
-        feeRecipientBalance: feeRecipientBalance,          // Unit: lamports
-
-        // Pool account information
-        poolTokenAccount: poolTokenAccountPDA.toString(),           // Pool token account address
-        poolSolAccount: poolSolAccountPDA.toString(),               // Pool SOL account address
-        poolTokenBalance: BigInt(poolTokenBalance.value.amount),    // Pool token balance
-        poolSolBalance: poolSolBalance,                             // Pool SOL balance (lamports)
-
-        // Additional metadata
-        _metadata: {
-          accountAddress: curveAccountPDA.toString(),
-          mintAddress: mintPubkey.toString()
-        }
+        baseFeeRecipientBalance: baseFeeRecipientInfo ? baseFeeRecipientInfo.lamports : 0,  // Unit: lamports
+        feeRecipientBalance: feeRecipientInfo ? feeRecipientInfo.lamports : 0,              // Unit: lamports
+
+        slot
       };
 
       // Return converted data
@@ -268,9 +305,12 @@ class ChainModule {
     } catch (error) {
       // Provide concise error information
       if (error.message.includes('Account does not exist')) {
-        throw new Error(`curve_account does not exist for mint: ${mint}`);
+        throw new PinPetAccountNotFoundError(`curve_account does not exist for mint: ${mint}`, {
+          accountType: 'curve_account',
+          cause: error
+        });
       } else {
-        throw new Error(`Failed to get curve_account: ${error.message}`);
+        throw withErrorPrefix(error, 'Failed to get curve_account');
       }
     }
   }
@@ -290,32 +330,542 @@ class ChainModule {
   getCurveAccountAddress(mint) {
     const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
 
-    const [curveAccountPDA] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("borrowing_curve"),
-        mintPubkey.toBuffer()
-      ],
-      this.sdk.programId
-    );
+    return this.sdk.pda.curveAccount(mintPubkey);
+  }
+
+  /**
+   * Read a market snapshot from a single slot
+   *
+   * Fetches the curve account, both orderbooks, the pool token/SOL accounts and, with `user`,
+   * the user's wallet, token account and trade cooldown PDA in one getMultipleAccountsInfo call,
+   * so price, orders and balances are consistent with each other.
+   *
+   * @param {string|PublicKey} mint - Token mint address
+   * @param {Object} options - Optional parameters
+   * @param {string|PublicKey|Keypair|Object} options.user - User wallet (address or signer)
+   * @param {string} options.commitment - Commitment, default connection commitment
+   * @param {number} options.minContextSlot - Minimum slot of the read
+   * @returns {Promise<Object>} Snapshot {
+   *   context: { slot },
+   *   mint,
+   *   curve: getCurveAccount() fields without fee recipient balances,
+   *   orders: { up_orders, down_orders } (same format as chain.orders() data.orders),
+   *   user: { address, solBalance, tokenAccount, tokenBalance, cooldown } | null
+   * }
+   * @throws {PinPetAccountNotFoundError} When the curve account does not exist
+   *
+   * @example
+   * const snapshot = await sdk.chain.snapshot(mint, { user: wallet.publicKey });
+   * console.log(snapshot.context.slot, snapshot.curve.price, snapshot.orders.up_orders.length);
+   * console.log(snapshot.user.tokenBalance, snapshot.user.cooldown);
+   */
+  async snapshot(mint, options = {}) {
+    const { user, commitment, minContextSlot } = options;
+    const mintPubkey = resolvePublicKey(mint, 'mint');
+    const mintAddress = mintPubkey.toString();
+    const userPubkey = user ? resolvePublicKey(user, 'user') : null;
+
+    // 1. Derive every account address
+    const marketAccounts = this._getMarketAccounts(mintPubkey);
+    const addresses = [
+      marketAccounts.curveAccount,
+      marketAccounts.upOrderbook,
+      marketAccounts.downOrderbook,
+      marketAccounts.poolTokenAccount,
+      marketAccounts.poolSolAccount
+    ];
+    let userTokenAccount = null;
+    let cooldown = null;
+    if (userPubkey) {
+      userTokenAccount = await getAssociatedTokenAddress(mintPubkey, userPubkey);
+      cooldown = this.sdk.pda.cooldown(mintPubkey, userPubkey);
+      addresses.push(userPubkey, userTokenAccount, cooldown);
+    }
+
+    // 2. Read them in one call
+    const { context, value: accounts } = await this.sdk.connection.getMultipleAccountsInfoAndContext(addresses, { commitment, minContextSlot });
+    const [curveInfo, upInfo, downInfo, poolTokenInfo, poolSolInfo, userInfo, userTokenInfo, cooldownInfo] = accounts;
+
+    // 3. Decode
+    const curve = this._decodeCurve(mintPubkey, marketAccounts, curveInfo, poolTokenInfo, poolSolInfo);
+
+    let userState = null;
+    if (userPubkey) {
+      let cooldownState = null;
+      if (cooldownInfo) {
+        const accountsCoder = new anchor.BorshAccountsCoder(this.sdk.program.idl);
+        const cooldownData = accountsCoder.decode('tradeCooldown', cooldownInfo.data);
+        cooldownState = {
+          address: cooldown.toString(),
+          lastTradeTime: Number(cooldownData.lastTradeTime.toString()),
+          approvalTokenAmount: BigInt(cooldownData.approvalTokenAmount.toString()),
+          bump: cooldownData.bump
+        };
+      }
+      userState = {
+        address: userPubkey.toString(),
+        solBalance: userInfo ? userInfo.lamports : 0,
+        tokenAccount: userTokenAccount.toString(),
+        // null when the associated token account does not exist yet
+        tokenBalance: userTokenInfo ? AccountLayout.decode(userTokenInfo.data).amount : null,
+        cooldown: cooldownState
+      };
+    }
+
+    return {
+      context: { slot: context.slot },
+      mint: mintAddress,
+      curve,
+      orders: {
+        up_orders: this._decodeSnapshotOrders(upInfo, mintAddress),
+        down_orders: this._decodeSnapshotOrders(downInfo, mintAddress)
+      },
+      user: userState
+    };
+  }
+
+  /**
+   * Read snapshots of many mints in batches
+   *
+   * The curve, pool and (optionally) orderbook accounts of all mints are read with getMultipleAccountsInfo
+   * in batches of 100 accounts, sent one after another to stay under RPC rate limits.
+   * The accounts of one mint are always in the same batch, so each result is consistent with its own slot.
+   * A missing curve account, an invalid mint or a failed batch only fails the affected mints.
+   *
+   * @param {Array<string|PublicKey>} mints - Token mint addresses
+   * @param {Object} options - Optional parameters
+   * @param {boolean} options.includeOrderbooks - Also read and decode both orderbooks, default false
+   * @param {string} options.commitment - Commitment, default connection commitment
+   * @param {number} options.minContextSlot - Minimum slot of the reads
+   * @returns {Promise<Array<Object>>} Results in input order:
+   *   { mint, success: true, context: { slot }, curve, orders? } (same fields as snapshot()),
+   *   or { mint, success: false, error }
+   *
+   * @example
+   * const results = await sdk.chain.snapshots(mints, { includeOrderbooks: false });
+   * for (const result of results) {
+   *   if (result.success) {
+   *     console.log(result.mint, result.curve.price);
+   *   } else {
+   *     console.warn(result.mint, result.error.message);
+   *   }
+   * }
+   */
+  async snapshots(mints, options = {}) {
+    const { includeOrderbooks = false, commitment, minContextSlot } = options;
+    if (!Array.isArray(mints)) {
+      throw new PinPetValidationError('snapshots: mints must be an array', { param: 'mints' });
+    }
+
+    // 1. Derive the accounts of each mint
+    const results = new Array(mints.length);
+    const requests = [];
+    mints.forEach((mint, position) => {
+      try {
+        const mintPubkey = resolvePublicKey(mint, 'mint');
+        const marketAccounts = this._getMarketAccounts(mintPubkey);
+        const addresses = [marketAccounts.curveAccount, marketAccounts.poolTokenAccount, marketAccounts.poolSolAccount];
+        if (includeOrderbooks) {
+          addresses.push(marketAccounts.upOrderbook, marketAccounts.downOrderbook);
+        }
+        requests.push({ position, mintPubkey, marketAccounts, addresses });
+      } catch (error) {
+        results[position] = { mint: String(mint), success: false, error };
+      }
+    });
+
+    // 2. Group mints into batches of at most MAX_MULTIPLE_ACCOUNTS accounts
+    const batches = [];
+    for (const request of requests) {
+      const batch = batches[batches.length - 1];
+      if (batch && batch.size + request.addresses.length <= MAX_MULTIPLE_ACCOUNTS) {
+        batch.requests.push(request);
+        batch.size += request.addresses.length;
+      } else {
+        batches.push({ requests: [request], size: request.addresses.length });
+      }
+    }
+
+    // 3. Read and decode batch by batch
+    for (const batch of batches) {
+      let response;
+      try {
+        response = await this.sdk.connection.getMultipleAccountsInfoAndContext(
+          batch.requests.flatMap(request => request.addresses),
+          { commitment, minContextSlot }
+        );
+      } catch (error) {
+        for (const request of batch.requests) {
+          results[request.position] = { mint: request.mintPubkey.toString(), success: false, error };
+        }
+        continue;
+      }
+
+      let offset = 0;
+      for (const request of batch.requests) {
+        const [curveInfo, poolTokenInfo, poolSolInfo, upInfo, downInfo] = response.value.slice(offset, offset + request.addresses.length);
+        offset += request.addresses.length;
+
+        const mintAddress = request.mintPubkey.toString();
+        try {
+          const result = {
+            mint: mintAddress,
+            success: true,
+            context: { slot: response.context.slot },
+            curve: this._decodeCurve(request.mintPubkey, request.marketAccounts, curveInfo, poolTokenInfo, poolSolInfo)
+          };
+          if (includeOrderbooks) {
+            result.orders = {
+              up_orders: this._decodeSnapshotOrders(upInfo, mintAddress),
+              down_orders: this._decodeSnapshotOrders(downInfo, mintAddress)
+            };
+          }
+          results[request.position] = result;
+        } catch (error) {
+          results[request.position] = { mint: mintAddress, success: false, error };
+        }
+      }
+    }
 
-    return curveAccountPDA;
+    return results;
+  }
+
+  /**
+   * List markets from the chain, without the Fast API
+   *
+   * Steps:
+   * 1. getProgramAccounts over BorrowingBondingCurve accounts (discriminator filter),
+   *    with memcmp filters on `creator` / `fee_recipient` when given
+   * 2. Fetch only the `price` to `creator` fields of each curve (dataSlice)
+   * 3. Decode them into fast.mints() token objects
+   *
+   * Fields the curve account does not hold (name, symbol, uri, params_account, timestamps) are null,
+   * `payer` is the curve creator. Tokens are in RPC order and all matches are returned (no cursor).
+   *
+   * @param {Object} options - Optional parameters
+   * @param {string|PublicKey} options.creator - Only markets created by this wallet
+   * @param {string|PublicKey} options.feeRecipient - Only markets with this (partner) fee recipient
+   * @param {string} options.commitment - Commitment, default connection commitment
+   * @param {number} options.minContextSlot - Minimum slot of the read
+   * @returns {Promise<Object>} Same shape as fast.mints():
+   *   { code: 200, msg: 'success', data: { tokens, total, next_cursor: null, slot } }
+   *
+   * @example
+   * const result = await sdk.chain.mints({ creator: wallet.publicKey });
+   * const mintAddresses = result.data.tokens.map(t => t.mint_account);
+   */
+  async mints(options = {}) {
+    const { creator, feeRecipient, commitment, minContextSlot } = options;
+
+    // 1. Filters
+    const filters = [{ memcmp: this.sdk.program.coder.accounts.memcmp('borrowingBondingCurve') }];
+    if (creator !== undefined) {
+      const { offset } = getAccountFieldRange('BorrowingBondingCurve', 'creator');
+      filters.push({ memcmp: { offset, bytes: resolvePublicKey(creator, 'creator').toBase58() } });
+    }
+    if (feeRecipient !== undefined) {
+      const { offset } = getAccountFieldRange('BorrowingBondingCurve', 'feeRecipient');
+      filters.push({ memcmp: { offset, bytes: resolvePublicKey(feeRecipient, 'feeRecipient').toBase58() } });
+    }
+
+    // 2. Read the listed fields of every matching curve
+    let response;
+    try {
+      response = await this.sdk.connection.getProgramAccounts(this.sdk.programId, {
+        commitment,
+        minContextSlot,
+        filters,
+        dataSlice: getAccountFieldRange('BorrowingBondingCurve', ...MARKET_LISTING_FIELDS),
+        withContext: true
+      });
+    } catch (error) {
+      throw withErrorPrefix(error, 'Failed to list mints');
+    }
+
+    // 3. Decode, skipping accounts with unexpected data
+    const tokens = [];
+    for (const { pubkey, account } of response.value) {
+      let curve;
+      try {
+        curve = decodeAccountFields(account.data, 'BorrowingBondingCurve', ...MARKET_LISTING_FIELDS);
+      } catch (error) {
+        console.warn(`chain.mints: skipping curve_account ${pubkey.toString()}: ${error.message}`);
+        continue;
+      }
+      tokens.push({
+        payer: curve.creator.toString(),
+        mint_account: curve.mint.toString(),
+        curve_account: pubkey.toString(),
+        pool_token_account: this.sdk.pda.poolTokenAccount(curve.mint).toString(),
+        pool_sol_account: this.sdk.pda.poolSolAccount(curve.mint).toString(),
+        fee_recipient: curve.feeRecipient.toString(),
+        base_fee_recipient: curve.baseFeeRecipient.toString(),
+        params_account: null,
+        swap_fee: curve.swapFee,
+        borrow_fee: curve.borrowFee,
+        fee_discount_flag: curve.feeDiscountFlag,
+        name: null,
+        symbol: null,
+        uri: null,
+        up_orderbook: curve.upOrderbook.toString(),
+        down_orderbook: curve.downOrderbook.toString(),
+        latest_price: curve.price.toString(),
+        created_at: null,
+        created_slot: null,
+        updated_at: null,
+        extras: {}
+      });
+    }
+
+    return {
+      code: 200,
+      msg: 'success',
+      data: {
+        tokens,
+        total: tokens.length,
+        next_cursor: null,
+        slot: response.context.slot
+      }
+    };
+  }
+
+  /**
+   * Watch an orderbook and receive order-level diffs
+   *
+   * Steps:
+   * 1. Subscribe to the orderbook account with onAccountChange
+   * 2. Read the initial orders (notifications up to that slot are ignored)
+   * 3. On every change, decode the orders and diff them against the previous state by order_id
+   * 4. Call the handler when orders were added, removed or updated, or last_modified/order_id_counter changed
+   *
+   * @param {string|PublicKey} mint - Token mint address
+   * @param {string} side - 'up_orders' (short orders) or 'down_orders' (long orders)
+   * @param {Function} handler - Called with { mint, side, slot, added, removed, updated, header, previousHeader }:
+   *   added/removed are orders in chain.orders() format, updated is [{ previous, current, fields }],
+   *   header/previousHeader are { last_modified, order_id_counter, total }
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - Commitment, default sdk options commitment or 'confirmed'
+   * @param {number} options.minContextSlot - Minimum slot of the initial read
+   * @param {Function} options.onError - Called with decode and handler errors, default console.error
+   * @returns {Promise<Object>} { orders, header (state at slot, when the watch started), slot, unsubscribe(): Promise<void> }
+   *
+   * @example
+   * const watcher = await sdk.chain.watchOrderbook(mint, 'down_orders', ({ added, removed, updated }) => {
+   *   added.forEach(order => console.log('new long', order.order_id, order.user));
+   *   removed.forEach(order => console.log('closed or liquidated', order.order_id));
+   *   updated.forEach(({ current, fields }) => console.log('updated', current.order_id, fields));
+   * });
+   * // later
+   * await watcher.unsubscribe();
+   */
+  async watchOrderbook(mint, side, handler, options = {}) {
+    if (!['up_orders', 'down_orders'].includes(side)) {
+      throw new PinPetValidationError('watchOrderbook: side must be "up_orders" or "down_orders"', { param: 'side' });
+    }
+    if (typeof handler !== 'function') {
+      throw new PinPetValidationError('watchOrderbook: handler must be a function', { param: 'handler' });
+    }
+    const mintPubkey = resolvePublicKey(mint, 'mint');
+    const mintAddress = mintPubkey.toString();
+    const { upOrderbook, downOrderbook } = this._getMarketAccounts(mintPubkey);
+    const orderbook = side === 'up_orders' ? upOrderbook : downOrderbook;
+    const commitment = options.commitment || this.sdk.options.commitment || 'confirmed';
+    const onError = options.onError || ((error) => console.error('chain.watchOrderbook: orderbook watch error', error));
+    const connection = this.sdk.connection;
+
+    // Missing or closed account: no orders
+    const decode = (accountInfo) => {
+      if (!accountInfo || accountInfo.data.length === 0) {
+        return { header: { last_modified: 0, order_id_counter: '0', total: 0 }, orders: [] };
+      }
+      const header = decodeOrderBookHeader(accountInfo.data);
+      return {
+        header: { last_modified: header.lastModified, order_id_counter: header.orderIdCounter.toString(), total: header.total },
+        orders: header.total === 0 ? [] : this._parseOrders(accountInfo.data, mintAddress)
+      };
+    };
+
+    let state = null;
+    let lastSlot = -1;
+    let pending = [];
+    let closed = false;
+
+    const apply = (accountInfo, slot) => {
+      if (closed || slot <= lastSlot) {
+        return;
+      }
+      lastSlot = slot;
+      try {
+        const next = decode(accountInfo);
+        const diff = this._diffOrders(state.orders, next.orders);
+        const previousHeader = state.header;
+        state = next;
+
+        const headerChanged = previousHeader.last_modified !== next.header.last_modified ||
+          previousHeader.order_id_counter !== next.header.order_id_counter;
+        if (diff.added.length || diff.removed.length || diff.updated.length || headerChanged) {
+          Promise.resolve(handler({ mint: mintAddress, side, slot, ...diff, header: next.header, previousHeader })).catch(onError);
+        }
+      } catch (error) {
+        onError(error);
+      }
+    };
+
+    // 1. Subscribe first, buffering notifications until the initial state is known
+    const subscriptionId = connection.onAccountChange(orderbook, (accountInfo, { slot }) => {
+      if (pending) {
+        pending.push([accountInfo, slot]);
+      } else {
+        apply(accountInfo, slot);
+      }
+    }, commitment);
+
+    // 2. Initial state
+    // (a failed read or decode must not leave the subscription behind)
+    let initial;
+    try {
+      initial = await connection.getAccountInfoAndContext(orderbook, { commitment, minContextSlot: options.minContextSlot });
+      state = decode(initial.value);
+    } catch (error) {
+      closed = true;
+      await connection.removeAccountChangeListener(subscriptionId).catch(() => {});
+      throw withErrorPrefix(error, 'Failed to watch orderbook');
+    }
+    lastSlot = initial.context.slot;
+    const buffered = pending;
+    pending = null;
+    for (const [accountInfo, slot] of buffered) {
+      apply(accountInfo, slot);
+    }
+
+    return {
+      orders: state.orders,
+      header: state.header,
+      slot: lastSlot,
+      unsubscribe: async () => {
+        closed = true;
+        await connection.removeAccountChangeListener(subscriptionId);
+      }
+    };
+  }
+
+  /**
+   * Diff two order lists by order_id
+   * @private
+   * @returns {Object} { added, removed, updated: [{ previous, current, fields }] }
+   */
+  _diffOrders(previousOrders, currentOrders) {
+    const previousById = new Map(previousOrders.map(order => [order.order_id, order]));
+    const currentIds = new Set(currentOrders.map(order => order.order_id));
+    const added = [];
+    const updated = [];
+
+    for (const order of currentOrders) {
+      const previous = previousById.get(order.order_id);
+      if (!previous) {
+        added.push(order);
+        continue;
+      }
+      // Linked list pointers change whenever a neighbour is added or removed, they are not order updates
+      const fields = Object.keys(order).filter(field =>
+        field !== 'next_order' && field !== 'prev_order' && order[field] !== previous[field]);
+      if (fields.length > 0) {
+        updated.push({ previous, current: order, fields });
+      }
+    }
+
+    const removed = previousOrders.filter(order => !currentIds.has(order.order_id));
+    return { added, removed, updated };
+  }
+
+  /**
+   * Derive the curve, orderbook and pool PDAs of a mint
+   * @private
+   * @param {PublicKey} mintPubkey - Token mint
+   * @returns {Object} { curveAccount, upOrderbook, downOrderbook, poolTokenAccount, poolSolAccount }
+   */
+  _getMarketAccounts(mintPubkey) {
+    const { curveAccount, upOrderbook, downOrderbook, poolTokenAccount, poolSolAccount } = this.sdk.pda.forMint(mintPubkey);
+    return { curveAccount, upOrderbook, downOrderbook, poolTokenAccount, poolSolAccount };
+  }
+
+  /**
+   * Decode the curve account (getCurveAccount() fields without fee recipient balances)
+   * @private
+   * @throws {PinPetAccountNotFoundError} When the curve account does not exist
+   */
+  _decodeCurve(mintPubkey, marketAccounts, curveInfo, poolTokenInfo, poolSolInfo) {
+    const { curveAccount, poolTokenAccount, poolSolAccount } = marketAccounts;
+    if (!curveInfo) {
+      throw new PinPetAccountNotFoundError(`curve_account does not exist for mint: ${mintPubkey.toString()}`, {
+        accountType: 'curve_account',
+        address: curveAccount
+      });
+    }
+
+    const accountsCoder = new anchor.BorshAccountsCoder(this.sdk.program.idl);
+    const curveData = accountsCoder.decode('borrowingBondingCurve', curveInfo.data);
+    return {
+      lpTokenReserve: BigInt(curveData.lpTokenReserve.toString()),
+      lpSolReserve: BigInt(curveData.lpSolReserve.toString()),
+      price: BigInt(curveData.price.toString()),
+      borrowTokenReserve: BigInt(curveData.borrowTokenReserve.toString()),
+      borrowSolReserve: BigInt(curveData.borrowSolReserve.toString()),
+      swapFee: curveData.swapFee,
+      borrowFee: curveData.borrowFee,
+      feeDiscountFlag: curveData.feeDiscountFlag,
+      feeSplit: curveData.feeSplit,
+      borrowDuration: curveData.borrowDuration,
+      bump: curveData.bump,
+      baseFeeRecipient: curveData.baseFeeRecipient.toString(),
+      feeRecipient: curveData.feeRecipient.toString(),
+      mint: curveData.mint.toString(),
+      upOrderbook: curveData.upOrderbook.toString(),
+      downOrderbook: curveData.downOrderbook.toString(),
+      creator: curveData.creator.toString(),
+      poolTokenAccount: poolTokenAccount.toString(),
+      poolSolAccount: poolSolAccount.toString(),
+      poolTokenBalance: poolTokenInfo ? AccountLayout.decode(poolTokenInfo.data).amount : 0n,
+      poolSolBalance: poolSolInfo ? poolSolInfo.lamports : 0,
+      _metadata: {
+        accountAddress: curveAccount.toString(),
+        mintAddress: mintPubkey.toString()
+      }
+    };
+  }
+
+  /**
+   * Decode the orders of a snapshot orderbook account, a missing account has no orders
+   * @private
+   */
+  _decodeSnapshotOrders(orderbookInfo, mintAddress) {
+    return orderbookInfo ? this._parseOrders(orderbookInfo.data, mintAddress) : [];
   }
 
   /**
    * Get price data (read price from chain curveAccountPDA)
    * @param {string} mint - Token address
-   * @returns {Promise<string>} Latest price string
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - Commitment, default connection commitment
+   * @param {number} options.minContextSlot - Minimum slot of the read, e.g. the slot of your last transaction
+   * @param {boolean} options.withContext - Return { price, slot } instead of the price string, default false
+   * @returns {Promise<string|Object>} Latest price string, or { price, slot } with withContext
+   *   (slot is null when the initial price is returned because the curve could not be read)
    * 
    * @example
    * // Get latest token price
    * const price = await sdk.chain.price('56hfrQYiyRSUZdRKDuUvsqRik8j2UDW9kCisy7BiRxmg');
    * console.log('Latest price:', price); // "13514066072452801812769"
+   *
+   * // Price no older than our own transaction
+   * const { price: freshPrice, slot } = await sdk.chain.price(mint, { minContextSlot: sendResult.slot, withContext: true });
    */
-  async price(mint) {
+  async price(mint, options = {}) {
     // Validate input
     if (!mint || typeof mint !== 'string') {
-      throw new Error('price: mint address must be a valid string');
+      throw new PinPetValidationError('price: mint address must be a valid string');
     }
+    const { withContext = false } = options;
 
     try {
       // Parameter validation and conversion
@@ -323,69 +873,45 @@ class ChainModule {
       try {
         mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
       } catch (pubkeyError) {
-        throw new Error(`Invalid mint address: ${mint}`);
+        throw new PinPetValidationError(`Invalid mint address: ${mint}`, { cause: pubkeyError });
       }
 
       // Validate mintPubkey
       if (!mintPubkey || typeof mintPubkey.toBuffer !== 'function') {
-        throw new Error(`Invalid mintPubkey`);
+        throw new PinPetValidationError('Invalid mintPubkey');
       }
 
-      // Calculate curve_account PDA address
-      const [curveAccountPDA] = PublicKey.findProgramAddressSync(
-        [
-          Buffer.from("borrowing_curve"),
-          mintPubkey.toBuffer()
-        ],
-        this.sdk.programId
-      );
-
-      // Use Anchor program to fetch account data directly
-      let decodedData;
-      try {
-        decodedData = await this.sdk.program.account.borrowingBondingCurve.fetch(curveAccountPDA);
-      } catch (fetchError) {
-        // If fetch fails, use raw method
-        const accountInfo = await this.sdk.connection.getAccountInfo(curveAccountPDA);
-        if (!accountInfo) {
-          throw new Error(`curve_account does not exist`);
-        }
-
-        // Manually decode with BorshAccountsCoder
-        const accountsCoder = new anchor.BorshAccountsCoder(this.sdk.program.idl);
-
-        try {
-          decodedData = accountsCoder.decode('BorrowingBondingCurve', accountInfo.data);
-        } catch (decodeError1) {
-          try {
-            decodedData = accountsCoder.decode('borrowingBondingCurve', accountInfo.data);
-          } catch (decodeError2) {
-            throw new Error(`Cannot decode account data: ${decodeError1.message}`);
-          }
-        }
-      }
+      // Read and decode curve_account (through the account cache when enabled)
+      const marketAccounts = this._getMarketAccounts(mintPubkey);
+      const { slot, accounts: [curveInfo] } = await this._getAccountsWithContext([marketAccounts.curveAccount], options);
+      const decodedData = this._decodeCurve(mintPubkey, marketAccounts, curveInfo, null, null);
 
       // Check price data and return
-      if (decodedData.price && decodedData.price.toString() !== '0') {
-        return decodedData.price.toString();
+      if (decodedData.price !== 0n) {
+        return withContext ? { price: decodedData.price.toString(), slot } : decodedData.price.toString();
       } else {
         // If no price data, return initial price
         const initialPrice = CurveAMM.getInitialPrice();
         if (initialPrice === null) {
-          throw new Error('price: Unable to calculate initial price');
+          throw new PinPetError('price: Unable to calculate initial price');
         }
-        return initialPrice.toString();
+        return withContext ? { price: initialPrice.toString(), slot } : initialPrice.toString();
       }
 
     } catch (error) {
+      // The node has not reached minContextSlot: the caller asked for fresh state, do not fall back
+      if (error.code === MIN_CONTEXT_SLOT_NOT_REACHED) {
+        throw withErrorPrefix(error, 'Failed to get price');
+      }
+
       // If getting fails, return initial price
       console.warn(`price: Failed to get chain price, using initial price: ${error.message}`);
 
       const initialPrice = CurveAMM.getInitialPrice();
       if (initialPrice === null) {
-        throw new Error('price: Unable to calculate initial price');
+        throw new PinPetError('price: Unable to calculate initial price');
       }
-      return initialPrice.toString();
+      return withContext ? { price: initialPrice.toString(), slot: null } : initialPrice.toString();
     }
   }
 
@@ -397,7 +923,9 @@ class ChainModule {
    * @param {string} options.type - Order type: "up_orders" (short) or "down_orders" (long)
    * @param {number} options.page - Page number (ignored, always returns all data)
    * @param {number} options.limit - Items per page (ignored, always returns all data)
-   * @returns {Promise<Object>} Order data with ALL orders
+   * @param {string} options.commitment - Commitment, default connection commitment
+   * @param {number} options.minContextSlot - Minimum slot of the read, e.g. the slot of your last transaction
+   * @returns {Promise<Object>} Order data with ALL orders, data.slot is the slot the orderbook was read at
    *
    * @example
    * // Get long orders (returns ALL orders)
@@ -439,7 +967,8 @@ class ChainModule {
    * //     "page": 1,                                                  // Always 1 (for compatibility)
    * //     "limit": <total>,                                           // Always equals total (for compatibility)
    * //     "has_next": false,                                          // Always false (all data returned)
-   * //     "has_prev": false                                           // Always false (all data returned)
+   * //     "has_prev": false,                                          // Always false (all data returned)
+   * //     "slot": 312345678                                           // Slot the orderbook was read at
    * //   },
    * //   "message": "Operation successful"                             // Operation result message
    * // }
@@ -450,7 +979,7 @@ class ChainModule {
     try {
       // Parameter validation
       if (!mint || typeof mint !== 'string') {
-        throw new Error('orders: mint address must be a valid string');
+        throw new PinPetValidationError('orders: mint address must be a valid string');
       }
 
       // Set default parameters (kept for compatibility but not used for pagination)
@@ -459,7 +988,7 @@ class ChainModule {
 
       // Validate order type
       if (!['up_orders', 'down_orders'].includes(orderType)) {
-        throw new Error('orders: order type must be "up_orders" or "down_orders"');
+        throw new PinPetValidationError('orders: order type must be "up_orders" or "down_orders"');
       }
 
       // Convert API type to orderbook direction
@@ -467,13 +996,18 @@ class ChainModule {
       // "down_orders" = long orders = downOrderbook (orderType=1)
       const orderbookField = orderType === 'up_orders' ? 'upOrderbook' : 'downOrderbook';
 
-      // Get curve_account data to get orderbook address
-      const curveData = await this.getCurveAccount(mint);
-      const orderbookAddress = curveData[orderbookField];
-
-      // Get OrderBook account data
-      const orderbookPubkey = new PublicKey(orderbookAddress);
-      const accountInfo = await this.sdk.connection.getAccountInfo(orderbookPubkey);
+      // Read curve_account and the OrderBook account in one call (same slot, unless served from the cache)
+      const marketAccounts = this._getMarketAccounts(new PublicKey(mint));
+      const { slot, accounts: [curveInfo, accountInfo] } = await this._getAccountsWithContext(
+        [marketAccounts.curveAccount, marketAccounts[orderbookField]],
+        options
+      );
+      if (!curveInfo) {
+        throw new PinPetAccountNotFoundError(`curve_account does not exist for mint: ${mint}`, {
+          accountType: 'curve_account',
+          address: marketAccounts.curveAccount
+        });
+      }
 
       if (!accountInfo) {
         // OrderBook account doesn't exist, return empty result
@@ -487,7 +1021,8 @@ class ChainModule {
             page: page,
             limit: 0,
             has_next: false,
-            has_prev: false
+            has_prev: false,
+            slot
           },
           message: "Operation successful"
         };
@@ -496,7 +1031,7 @@ class ChainModule {
       const data = accountInfo.data;
 
       // Parse OrderBook Header
-      const header = this._parseOrderBookHeader(data);
+      const header = decodeOrderBookHeader(data);
 
       // If no orders in orderbook, return empty result
       if (header.total === 0 || header.head === 65535) {
@@ -510,69 +1045,15 @@ class ChainModule {
             page: page,
             limit: 0,
             has_next: false,
-            has_prev: false
+            has_prev: false,
+            slot
           },
           message: "Operation successful"
         };
       }
 
       // Traverse linked list to read ALL orders
-      const orders = [];
-      let currentIndex = header.head;
-
-      // Read all orders without limit
-      while (currentIndex !== 65535) {
-        // Parse order at current index
-        const order = this._parseMarginOrder(data, currentIndex, header.headerSize);
-
-        // Data transformation - convert to API format
-        const convertedOrder = {
-          // Convert chain number to API string format
-          order_type: order.orderType === 1 ? 'down_orders' : 'up_orders', // 1=long=down_orders, 2=short=up_orders
-          mint: mint, // Use mint from function parameter (not stored in MarginOrder)
-          user: order.user.toString(),
-
-          // Price fields (u128 -> string)
-          lock_lp_start_price: order.lockLpStartPrice.toString(),
-          lock_lp_end_price: order.lockLpEndPrice.toString(),
-          open_price: order.openPrice.toString(),
-
-          // Order ID field (u64 -> string)
-          order_id: order.orderId.toString(),
-
-          // Amount fields (u64 -> string) - Fix precision issue
-          lock_lp_sol_amount: order.lockLpSolAmount.toString(),
-          lock_lp_token_amount: order.lockLpTokenAmount.toString(),
-          next_lp_sol_amount: order.nextLpSolAmount.toString(),
-          next_lp_token_amount: order.nextLpTokenAmount.toString(),
-
-          // Time fields (u32 -> number)
-          start_time: order.startTime,
-          end_time: order.endTime,
-
-          // Margin and position fields (u64 -> string) - Fix precision issue
-          margin_init_sol_amount: order.marginInitSolAmount.toString(),
-          margin_sol_amount: order.marginSolAmount.toString(),
-          borrow_amount: order.borrowAmount.toString(),
-          position_asset_amount: order.positionAssetAmount.toString(),
-          realized_sol_amount: order.realizedSolAmount.toString(),
-
-          // Fee field (u16 -> number)
-          borrow_fee: order.borrowFee,
-
-          // Order index in OrderBook (uses currentIndex from linked list)
-          index: currentIndex,
-
-          // Linked list navigation fields (u16 -> number)
-          next_order: order.nextOrder,
-          prev_order: order.prevOrder
-        };
-
-        orders.push(convertedOrder);
-
-        // Move to next order
-        currentIndex = order.nextOrder;
-      }
+      const orders = this._parseOrders(data, mint);
 
       // Return all orders with pagination-like format for compatibility
       const totalOrders = orders.length;
@@ -587,7 +1068,8 @@ class ChainModule {
           page: page,
           limit: totalOrders, // limit equals total for compatibility
           has_next: false, // Always false since all data is returned
-          has_prev: false  // Always false since all data is returned
+          has_prev: false, // Always false since all data is returned
+          slot             // Slot the accounts were read at
         },
         message: "Operation successful"
       };
@@ -595,239 +1077,61 @@ class ChainModule {
     } catch (error) {
       // Error handling
       console.error('chain.orders: Failed to get orders', error.message);
-      throw new Error(`Failed to get orders: ${error.message}`);
+      throw withErrorPrefix(error, 'Failed to get orders');
     }
   }
 
   /**
-   * Parse OrderBook Header from account data
+   * Convert the OrderBook orders (linked list order) to API format
    * @private
    * @param {Buffer} data - OrderBook account data
-   * @returns {Object} Parsed header object
-   */
-  _parseOrderBookHeader(data) {
-    // Header structure (112 bytes total):
-    // discriminator(8) + version(1) + order_type(1) + bump(1) + padding1(5) +
-    // authority(32) + order_id_counter(8) + created_at(8) + last_modified(8) +
-    // total_capacity(4) + head(2) + tail(2) + total(2) + padding2(2) + reserved(32)
-
-    let offset = 8; // Skip discriminator
-
-    const version = data.readUInt8(offset);
-    offset += 1;
-
-    const orderType = data.readUInt8(offset);
-    offset += 1;
-
-    const bump = data.readUInt8(offset);
-    offset += 1;
-
-    offset += 5; // Skip padding1
-
-    const authority = new PublicKey(data.slice(offset, offset + 32));
-    offset += 32;
-
-    const orderIdCounter = data.readBigUInt64LE(offset);
-    offset += 8;
-
-    // created_at: i64 (8 bytes) - Unix timestamp in seconds
-    const createdAt = Number(data.readBigInt64LE(offset));
-    offset += 8;
-
-    // last_modified: i64 (8 bytes) - Unix timestamp in seconds
-    const lastModified = Number(data.readBigInt64LE(offset));
-    offset += 8;
-
-    const totalCapacity = data.readUInt32LE(offset);
-    offset += 4;
-
-    const head = data.readUInt16LE(offset);
-    offset += 2;
-
-    const tail = data.readUInt16LE(offset);
-    offset += 2;
-
-    const total = data.readUInt16LE(offset);
-    offset += 2;
-
-    offset += 2; // Skip padding2
-    offset += 32; // Skip reserved
-
-    return {
-      version,
-      orderType,
-      bump,
-      authority,
-      orderIdCounter,
-      createdAt,
-      lastModified,
-      totalCapacity,
-      head,
-      tail,
-      total,
-      headerSize: 112 // Fixed header size (updated for i64 timestamps)
-    };
-  }
-
-  /**
-   * Parse MarginOrder from OrderBook account data
-   * @private
-   * @param {Buffer} data - OrderBook account data
-   * @param {number} index - Order slot index
-   * @param {number} headerSize - Header size (112 bytes)
-   * @returns {Object} Parsed order object
-   */
-  _parseMarginOrder(data, index, headerSize) {
-    // MarginOrder structure (192 bytes per order):
-    // user(32) + lock_lp_start_price(16) + lock_lp_end_price(16) + open_price(16) +
-    // order_id(8) + lock_lp_sol_amount(8) + lock_lp_token_amount(8) +
-    // next_lp_sol_amount(8) + next_lp_token_amount(8) +
-    // margin_init_sol_amount(8) + margin_sol_amount(8) + borrow_amount(8) +
-    // position_asset_amount(8) + realized_sol_amount(8) +
-    // start_time(8) + end_time(8) + version(4) +
-    // next_order(2) + prev_order(2) + borrow_fee(2) +
-    // order_type(1) + padding(5)
-
-    const MARGIN_ORDER_SIZE = 192;
-    let offset = 8 + headerSize + index * MARGIN_ORDER_SIZE;
-
-    // Boundary check
-    if (offset + MARGIN_ORDER_SIZE > data.length) {
-      throw new Error(`Order index ${index} exceeds data boundary`);
-    }
-
-    // user (32 bytes)
-    const user = new PublicKey(data.slice(offset, offset + 32));
-    offset += 32;
-
-    // lock_lp_start_price (u128, 16 bytes)
-    const lockLpStartPrice = this._readU128LE(data, offset);
-    offset += 16;
-
-    // lock_lp_end_price (u128, 16 bytes)
-    const lockLpEndPrice = this._readU128LE(data, offset);
-    offset += 16;
-
-    // open_price (u128, 16 bytes)
-    const openPrice = this._readU128LE(data, offset);
-    offset += 16;
-
-    // order_id (u64, 8 bytes)
-    const orderId = data.readBigUInt64LE(offset);
-    offset += 8;
-
-    // lock_lp_sol_amount (u64, 8 bytes)
-    const lockLpSolAmount = data.readBigUInt64LE(offset);
-    offset += 8;
-
-    // lock_lp_token_amount (u64, 8 bytes)
-    const lockLpTokenAmount = data.readBigUInt64LE(offset);
-    offset += 8;
-
-    // next_lp_sol_amount (u64, 8 bytes)
-    const nextLpSolAmount = data.readBigUInt64LE(offset);
-    offset += 8;
-
-    // next_lp_token_amount (u64, 8 bytes)
-    const nextLpTokenAmount = data.readBigUInt64LE(offset);
-    offset += 8;
-
-    // margin_init_sol_amount (u64, 8 bytes)
-    const marginInitSolAmount = data.readBigUInt64LE(offset);
-    offset += 8;
-
-    // margin_sol_amount (u64, 8 bytes)
-    const marginSolAmount = data.readBigUInt64LE(offset);
-    offset += 8;
-
-    // borrow_amount (u64, 8 bytes)
-    const borrowAmount = data.readBigUInt64LE(offset);
-    offset += 8;
-
-    // position_asset_amount (u64, 8 bytes)
-    const positionAssetAmount = data.readBigUInt64LE(offset);
-    offset += 8;
-
-    // realized_sol_amount (u64, 8 bytes)
-    const realizedSolAmount = data.readBigUInt64LE(offset);
-    offset += 8;
-
-    // start_time (i64, 8 bytes) - Unix timestamp in seconds
-    const startTime = Number(data.readBigInt64LE(offset));
-    offset += 8;
-
-    // end_time (i64, 8 bytes) - Unix timestamp in seconds
-    const endTime = Number(data.readBigInt64LE(offset));
-    offset += 8;
-
-    // version (u32, 4 bytes)
-    const version = data.readUInt32LE(offset);
-    offset += 4;
-
-    // next_order (u16, 2 bytes)
-    const nextOrder = data.readUInt16LE(offset);
-    offset += 2;
-
-    // prev_order (u16, 2 bytes)
-    const prevOrder = data.readUInt16LE(offset);
-    offset += 2;
-
-    // borrow_fee (u16, 2 bytes)
-    const borrowFee = data.readUInt16LE(offset);
-    offset += 2;
-
-    // order_type (u8, 1 byte)
-    const orderType = data.readUInt8(offset);
-    offset += 1;
-
-    // Skip padding (5 bytes)
-    offset += 5;
-
-    // Note: mint is not stored in MarginOrder structure
-    // It should be obtained from context (the mint parameter passed to orders() function)
-
-    return {
-      user,
-      lockLpStartPrice,
-      lockLpEndPrice,
-      openPrice,
-      orderId,
-      lockLpSolAmount,
-      lockLpTokenAmount,
-      nextLpSolAmount,
-      nextLpTokenAmount,
-      marginInitSolAmount,
-      marginSolAmount,
-      borrowAmount,
-      positionAssetAmount,
-      realizedSolAmount,
-      version,
-      startTime,
-      endTime,
-      nextOrder,
-      prevOrder,
-      borrowFee,
-      orderType
-    };
-  }
-
-  /**
-   * Read u128 value (little-endian) from buffer
-   * @private
-   * @param {Buffer} buffer - Data buffer
-   * @param {number} offset - Read offset
-   * @returns {bigint} u128 value as BigInt
+   * @param {string} mint - Token mint address
+   * @returns {Array<Object>} Orders in linked list order
    */
-  _readU128LE(buffer, offset) {
-    // Read low 64 bits
-    const low = buffer.readBigUInt64LE(offset);
-    // Read high 64 bits
-    const high = buffer.readBigUInt64LE(offset + 8);
-    // Combine into u128
-    return (high << 64n) | low;
+  _parseOrders(data, mint) {
+    return decodeOrderBook(data).orders.map(order => ({
+      // Convert chain number to API string format
+      order_type: order.orderType === 1 ? 'down_orders' : 'up_orders', // 1=long=down_orders, 2=short=up_orders
+      mint: mint, // Use mint from function parameter (not stored in MarginOrder)
+      user: order.user.toString(),
+
+      // Price fields (u128 -> string)
+      lock_lp_start_price: order.lockLpStartPrice.toString(),
+      lock_lp_end_price: order.lockLpEndPrice.toString(),
+      open_price: order.openPrice.toString(),
+
+      // Order ID field (u64 -> string)
+      order_id: order.orderId.toString(),
+
+      // Amount fields (u64 -> string) - Fix precision issue
+      lock_lp_sol_amount: order.lockLpSolAmount.toString(),
+      lock_lp_token_amount: order.lockLpTokenAmount.toString(),
+      next_lp_sol_amount: order.nextLpSolAmount.toString(),
+      next_lp_token_amount: order.nextLpTokenAmount.toString(),
+
+      // Time fields (u32 -> number)
+      start_time: order.startTime,
+      end_time: order.endTime,
+
+      // Margin and position fields (u64 -> string) - Fix precision issue
+      margin_init_sol_amount: order.marginInitSolAmount.toString(),
+      margin_sol_amount: order.marginSolAmount.toString(),
+      borrow_amount: order.borrowAmount.toString(),
+      position_asset_amount: order.positionAssetAmount.toString(),
+      realized_sol_amount: order.realizedSolAmount.toString(),
+
+      // Fee field (u16 -> number)
+      borrow_fee: order.borrowFee,
+
+      // Order index in OrderBook (slot index from the linked list)
+      index: order.index,
+
+      // Linked list navigation fields (u16 -> number)
+      next_order: order.nextOrder,
+      prev_order: order.prevOrder
+    }));
   }
 
-
   /**
    * Debug Orders Data (Read ALL order slots from Chain, ignore linked list structure)
    *
@@ -838,7 +1142,9 @@ class ChainModule {
    * @param {string} mint - Token mint address
    * @param {Object} options - Query parameters
    * @param {string} options.type - Order type: "up_orders" (short) or "down_orders" (long)
-   * @returns {Promise<Object>} Debug order data with ALL order slots (including empty ones)
+   * @param {string} options.commitment - Commitment, default connection commitment
+   * @param {number} options.minContextSlot - Minimum slot of the read
+   * @returns {Promise<Object>} Debug order data with ALL order slots (including empty ones), data.slot is the read slot
    *
    * @example
    * // Get all long order slots for debugging (ignores linked list)
@@ -912,7 +1218,7 @@ class ChainModule {
     try {
       // Parameter validation
       if (!mint || typeof mint !== 'string') {
-        throw new Error('debug_orders: mint address must be a valid string');
+        throw new PinPetValidationError('debug_orders: mint address must be a valid string');
       }
 
       // Set default parameters
@@ -920,19 +1226,24 @@ class ChainModule {
 
       // Validate order type
       if (!['up_orders', 'down_orders'].includes(orderType)) {
-        throw new Error('debug_orders: order type must be "up_orders" or "down_orders"');
+        throw new PinPetValidationError('debug_orders: order type must be "up_orders" or "down_orders"');
       }
 
       // Convert API type to orderbook direction
       const orderbookField = orderType === 'up_orders' ? 'upOrderbook' : 'downOrderbook';
 
-      // Get curve_account data to get orderbook address
-      const curveData = await this.getCurveAccount(mint);
-      const orderbookAddress = curveData[orderbookField];
-
-      // Get OrderBook account data
-      const orderbookPubkey = new PublicKey(orderbookAddress);
-      const accountInfo = await this.sdk.connection.getAccountInfo(orderbookPubkey);
+      // Read curve_account and the OrderBook account in one call (same slot, unless served from the cache)
+      const marketAccounts = this._getMarketAccounts(new PublicKey(mint));
+      const { slot, accounts: [curveInfo, accountInfo] } = await this._getAccountsWithContext(
+        [marketAccounts.curveAccount, marketAccounts[orderbookField]],
+        options
+      );
+      if (!curveInfo) {
+        throw new PinPetAccountNotFoundError(`curve_account does not exist for mint: ${mint}`, {
+          accountType: 'curve_account',
+          address: marketAccounts.curveAccount
+        });
+      }
 
       if (!accountInfo) {
         // OrderBook account doesn't exist, return empty result
@@ -944,7 +1255,8 @@ class ChainModule {
             total_slots: 0,
             non_empty_slots: 0,
             order_type: orderType,
-            mint_account: mint
+            mint_account: mint,
+            slot
           },
           message: "OrderBook account does not exist"
         };
@@ -953,7 +1265,7 @@ class ChainModule {
       const data = accountInfo.data;
 
       // Parse OrderBook Header
-      const header = this._parseOrderBookHeader(data);
+      const header = decodeOrderBookHeader(data);
 
       // Read ALL order slots based on totalCapacity (ignore linked list)
       const orders = [];
@@ -963,7 +1275,7 @@ class ChainModule {
       for (let slotIndex = 0; slotIndex < header.totalCapacity; slotIndex++) {
         try {
           // Parse order at this slot
-          const order = this._parseMarginOrder(data, slotIndex, header.headerSize);
+          const order = decodeMarginOrder(data, slotIndex, header);
 
           // Check if slot is empty (user address is all zeros)
           const isEmpty = order.user.toString() === '11111111111111111111111111111111';
@@ -1046,7 +1358,8 @@ class ChainModule {
           total_slots: orders.length,        // Total slots read
           non_empty_slots: nonEmptyCount,    // Non-empty slots count
           order_type: orderType,
-          mint_account: mint
+          mint_account: mint,
+          slot
         },
         message: "Debug data retrieved (ignores linked list)"
       };
@@ -1054,7 +1367,7 @@ class ChainModule {
     } catch (error) {
       // Error handling
       console.error('chain.debug_orders: Failed to get debug orders', error.message);
-      throw new Error(`Failed to get debug orders: ${error.message}`);
+      throw withErrorPrefix(error, 'Failed to get debug orders');
     }
   }
 
@@ -1067,7 +1380,9 @@ class ChainModule {
    * @param {number} options.page - Page number (ignored, always returns all data)
    * @param {number} options.limit - Items per page (ignored, always returns all data)
    * @param {string} options.order_by - Sort order, default 'start_time_desc'
-   * @returns {Promise<Object>} User orders data with ALL orders
+   * @param {string} options.commitment - Commitment, default connection commitment
+   * @param {number} options.minContextSlot - Minimum slot of the read, e.g. the slot of your last transaction
+   * @returns {Promise<Object>} User orders data with ALL orders, data.slot is the slot both orderbooks were read at
    *
    * @example
    * const userOrders = await sdk.chain.user_orders(
@@ -1111,7 +1426,8 @@ class ChainModule {
    * //     "page": 1,                                                     // Always 1 (for compatibility)
    * //     "limit": <total>,                                              // Always equals total (for compatibility)
    * //     "has_next": false,                                             // Always false (all data returned)
-   * //     "has_prev": false                                              // Always false (all data returned)
+   * //     "has_prev": false,                                             // Always false (all data returned)
+   * //     "slot": 312345678                                              // Slot the orderbooks were read at
    * //   },
    * //   "message": "Operation successful"
    * // }
@@ -1124,121 +1440,35 @@ class ChainModule {
     try {
       // Parameter validation
       if (!user || typeof user !== 'string') {
-        throw new Error('user_orders: user address must be a valid string');
+        throw new PinPetValidationError('user_orders: user address must be a valid string');
       }
       if (!mint || typeof mint !== 'string') {
-        throw new Error('user_orders: mint address must be a valid string');
+        throw new PinPetValidationError('user_orders: mint address must be a valid string');
       }
 
       // Set default parameters (kept for compatibility)
       const page = 1; // Always return page 1
       const orderBy = options.order_by || 'start_time_desc';
 
-      // Get curve_account data to get both OrderBook addresses
-      const curveData = await this.getCurveAccount(mint);
-      const upOrderbookAddress = curveData.upOrderbook;   // Short orders (orderType=2)
-      const downOrderbookAddress = curveData.downOrderbook; // Long orders (orderType=1)
+      // Read curve_account and both OrderBooks in one call (same slot, unless served from the cache)
+      const marketAccounts = this._getMarketAccounts(new PublicKey(mint));
+      const { slot, accounts: [curveInfo, upOrderbookInfo, downOrderbookInfo] } = await this._getAccountsWithContext(
+        [marketAccounts.curveAccount, marketAccounts.upOrderbook, marketAccounts.downOrderbook], // Short orders (orderType=2), long orders (orderType=1)
+        options
+      );
+      if (!curveInfo) {
+        throw new PinPetAccountNotFoundError(`curve_account does not exist for mint: ${mint}`, {
+          accountType: 'curve_account',
+          address: marketAccounts.curveAccount
+        });
+      }
 
       // Collect all user orders from both OrderBooks
       const allUserOrders = [];
 
-      // Helper function to traverse an OrderBook and collect user orders
-      const traverseOrderBook = async (orderbookAddress) => {
-        if (!orderbookAddress) return [];
-
-        const orders = [];
-
-        // Get OrderBook account data
-        const orderbookPubkey = new PublicKey(orderbookAddress);
-        const accountInfo = await this.sdk.connection.getAccountInfo(orderbookPubkey);
-
-        if (!accountInfo) {
-          return []; // OrderBook doesn't exist
-        }
-
-        const data = accountInfo.data;
-
-        // Parse OrderBook Header
-        const header = this._parseOrderBookHeader(data);
-
-        // If no orders in orderbook, return empty
-        if (header.total === 0 || header.head === 65535) {
-          return [];
-        }
-
-        // Traverse linked list to find ALL user orders
-        let currentIndex = header.head;
-
-        while (currentIndex !== 65535) {
-          try {
-            // Parse order at current index
-            const order = this._parseMarginOrder(data, currentIndex, header.headerSize);
-
-            // Check if this order belongs to the target user
-            if (order.user.toString() === user) {
-              // Data transformation - convert to API format
-              const convertedOrder = {
-                // Keep as number for compatibility (1=long, 2=short)
-                order_type: order.orderType,
-                mint: mint, // Use mint from function parameter
-                user: order.user.toString(),
-
-                // Price fields (u128 -> string)
-                lock_lp_start_price: order.lockLpStartPrice.toString(),
-                lock_lp_end_price: order.lockLpEndPrice.toString(),
-                open_price: order.openPrice.toString(),
-
-                // Order ID field (u64 -> string)
-                order_id: order.orderId.toString(),
-
-                // Amount fields (u64 -> string) - Fix precision issue
-                lock_lp_sol_amount: order.lockLpSolAmount.toString(),
-                lock_lp_token_amount: order.lockLpTokenAmount.toString(),
-                next_lp_sol_amount: order.nextLpSolAmount.toString(),
-                next_lp_token_amount: order.nextLpTokenAmount.toString(),
-
-                // Time fields (u32 -> number)
-                start_time: order.startTime,
-                end_time: order.endTime,
-
-                // Margin and position fields (u64 -> string) - Fix precision issue
-                margin_init_sol_amount: order.marginInitSolAmount.toString(),
-                margin_sol_amount: order.marginSolAmount.toString(),
-                borrow_amount: order.borrowAmount.toString(),
-                position_asset_amount: order.positionAssetAmount.toString(),
-                realized_sol_amount: order.realizedSolAmount.toString(),
-
-                // Fee field (u16 -> number)
-                borrow_fee: order.borrowFee,
-
-                // Order index in OrderBook (uses currentIndex from linked list)
-                index: currentIndex,
-
-                // Linked list navigation fields (u16 -> number)
-                next_order: order.nextOrder,
-                prev_order: order.prevOrder
-              };
-
-              orders.push(convertedOrder);
-            }
-
-            // Move to next order
-            currentIndex = order.nextOrder;
-
-          } catch (error) {
-            console.warn(`user_orders: Error parsing order at index ${currentIndex}: ${error.message}`);
-            break;
-          }
-        }
-
-        return orders;
-      };
-
-      // Traverse both OrderBooks in parallel to find user orders
-      const [upOrders, downOrders] = await Promise.all([
-        traverseOrderBook(upOrderbookAddress),
-        traverseOrderBook(downOrderbookAddress)
-      ]);
+      // Traverse both OrderBooks to find user orders
+      const upOrders = this._collectUserOrders(upOrderbookInfo, user, mint);
+      const downOrders = this._collectUserOrders(downOrderbookInfo, user, mint);
 
       // Combine all orders
       allUserOrders.push(...upOrders, ...downOrders);
@@ -1263,7 +1493,8 @@ class ChainModule {
           page: page,
           limit: totalOrders, // limit equals total for compatibility
           has_next: false, // Always false since all data is returned
-          has_prev: false  // Always false since all data is returned
+          has_prev: false, // Always false since all data is returned
+          slot             // Slot the accounts were read at
         },
         message: "Operation successful"
       };
@@ -1271,9 +1502,199 @@ class ChainModule {
     } catch (error) {
       // Error handling
       console.error('chain.user_orders: Failed to get user orders', error.message);
-      throw new Error(`Failed to get user orders: ${error.message}`);
+      throw withErrorPrefix(error, 'Failed to get user orders');
     }
   }
+
+  /**
+   * Get a user's open orders across every market, grouped by mint and side
+   *
+   * Steps:
+   * 1. Discover markets with mints() (getProgramAccounts), or use options.mints
+   * 2. Read the up and down orderbooks of `concurrency` markets at a time
+   * 3. Collect the user's orders (user_orders() format) and group them by mint and side
+   *
+   * A market whose orderbooks cannot be read is reported in `errors` and does not fail the others.
+   *
+   * @param {string} user - User address
+   * @param {Object} options - Optional parameters
+   * @param {Array<string|PublicKey>} options.mints - Only scan these markets, skips the discovery
+   * @param {string|PublicKey} options.creator - Only scan markets created by this wallet (see mints())
+   * @param {string|PublicKey} options.feeRecipient - Only scan markets with this fee recipient (see mints())
+   * @param {number} options.concurrency - Markets read in parallel, default 4
+   * @param {string} options.order_by - 'start_time_desc' (default) or 'start_time_asc', within each side
+   * @param {string} options.commitment - Commitment, default connection commitment
+   * @param {number} options.minContextSlot - Minimum slot of the reads
+   * @returns {Promise<Object>} {
+   *   success: true,
+   *   data: { user, positions: [{ mint, up_orders, down_orders, slot }], total, markets_scanned, errors: [{ mint, error }] },
+   *   message
+   * } - only markets with orders are listed, up_orders are shorts and down_orders are longs
+   *
+   * @example
+   * const result = await sdk.chain.user_positions(wallet.publicKey.toString());
+   * for (const { mint, up_orders, down_orders } of result.data.positions) {
+   *   console.log(mint, `${down_orders.length} long(s), ${up_orders.length} short(s)`);
+   * }
+   */
+  async user_positions(user, options = {}) {
+    const {
+      mints,
+      creator,
+      feeRecipient,
+      concurrency = DEFAULT_POSITIONS_CONCURRENCY,
+      order_by: orderBy = 'start_time_desc',
+      commitment,
+      minContextSlot
+    } = options;
+
+    if (!user || typeof user !== 'string') {
+      throw new PinPetValidationError('user_positions: user address must be a valid string', { param: 'user' });
+    }
+    if (!Number.isInteger(concurrency) || concurrency <= 0) {
+      throw new PinPetValidationError('user_positions: concurrency must be a positive integer', { param: 'concurrency' });
+    }
+
+    // 1. Markets to scan
+    let markets;
+    if (mints) {
+      markets = mints.map(mint => {
+        const mintPubkey = resolvePublicKey(mint, 'mint');
+        return { mint: mintPubkey.toString(), upOrderbook: this.sdk.pda.upOrderbook(mintPubkey), downOrderbook: this.sdk.pda.downOrderbook(mintPubkey) };
+      });
+    } else {
+      let listing;
+      try {
+        listing = await this.mints({ creator, feeRecipient, commitment, minContextSlot });
+      } catch (error) {
+        console.error('chain.user_positions: Failed to get user positions', error.message);
+        throw withErrorPrefix(error, 'Failed to get user positions');
+      }
+      markets = listing.data.tokens.map(token => ({
+        mint: token.mint_account,
+        upOrderbook: new PublicKey(token.up_orderbook),
+        downOrderbook: new PublicKey(token.down_orderbook)
+      }));
+    }
+
+    // 2. Read the orderbooks in chunks of `concurrency` markets
+    const positions = [];
+    const errors = [];
+    const sortOrders = (orders) => {
+      if (orderBy === 'start_time_desc') {
+        orders.sort((a, b) => b.start_time - a.start_time);
+      } else if (orderBy === 'start_time_asc') {
+        orders.sort((a, b) => a.start_time - b.start_time);
+      }
+      return orders;
+    };
+    const scan = async (market) => {
+      try {
+        const { slot, accounts: [upInfo, downInfo] } = await this._getAccountsWithContext(
+          [market.upOrderbook, market.downOrderbook],
+          { commitment, minContextSlot }
+        );
+
+        // 3. User orders of this market
+        const orders = [
+          ...this._collectUserOrders(upInfo, user, market.mint),
+          ...this._collectUserOrders(downInfo, user, market.mint)
+        ];
+        if (orders.length === 0) {
+          return {};
+        }
+        const [position] = OrderUtils.groupPositions(orders);
+        sortOrders(position.up_orders);
+        sortOrders(position.down_orders);
+        return { position: { ...position, slot } };
+      } catch (error) {
+        return { error: { mint: market.mint, error } };
+      }
+    };
+    for (let i = 0; i < markets.length; i += concurrency) {
+      // Results are appended in market order
+      for (const { position, error } of await Promise.all(markets.slice(i, i + concurrency).map(scan))) {
+        if (position) {
+          positions.push(position);
+        }
+        if (error) {
+          errors.push(error);
+        }
+      }
+    }
+
+    return {
+      success: true,
+      data: {
+        user,
+        positions,
+        total: positions.reduce((sum, position) => sum + position.up_orders.length + position.down_orders.length, 0),
+        markets_scanned: markets.length,
+        errors
+      },
+      message: 'Operation successful'
+    };
+  }
+
+  /**
+   * Collect the orders of a user from an OrderBook, in user_orders() format
+   * @private
+   * @param {AccountInfo<Buffer>|null} accountInfo - OrderBook account, null when it does not exist
+   * @param {string} user - User address
+   * @param {string} mint - Token mint address
+   * @returns {Array<Object>} User orders in linked list order
+   * @throws {PinPetDecodeError} Unknown layout version, corrupt or cyclic linked list
+   */
+  _collectUserOrders(accountInfo, user, mint) {
+    if (!accountInfo) {
+      return []; // OrderBook doesn't exist
+    }
+
+    // decodeOrderBook stops at totalCapacity, a cyclic linked list throws instead of looping
+    return decodeOrderBook(accountInfo.data).orders
+      .filter(order => order.user.toString() === user)
+      .map(order => ({
+        // Keep as number for compatibility (1=long, 2=short)
+        order_type: order.orderType,
+        mint: mint, // Use mint from function parameter
+        user: order.user.toString(),
+
+        // Price fields (u128 -> string)
+        lock_lp_start_price: order.lockLpStartPrice.toString(),
+        lock_lp_end_price: order.lockLpEndPrice.toString(),
+        open_price: order.openPrice.toString(),
+
+        // Order ID field (u64 -> string)
+        order_id: order.orderId.toString(),
+
+        // Amount fields (u64 -> string) - Fix precision issue
+        lock_lp_sol_amount: order.lockLpSolAmount.toString(),
+        lock_lp_token_amount: order.lockLpTokenAmount.toString(),
+        next_lp_sol_amount: order.nextLpSolAmount.toString(),
+        next_lp_token_amount: order.nextLpTokenAmount.toString(),
+
+        // Time fields (u32 -> number)
+        start_time: order.startTime,
+        end_time: order.endTime,
+
+        // Margin and position fields (u64 -> string) - Fix precision issue
+        margin_init_sol_amount: order.marginInitSolAmount.toString(),
+        margin_sol_amount: order.marginSolAmount.toString(),
+        borrow_amount: order.borrowAmount.toString(),
+        position_asset_amount: order.positionAssetAmount.toString(),
+        realized_sol_amount: order.realizedSolAmount.toString(),
+
+        // Fee field (u16 -> number)
+        borrow_fee: order.borrowFee,
+
+        // Order index in OrderBook (slot in the linked list)
+        index: order.index,
+
+        // Linked list navigation fields (u16 -> number)
+        next_order: order.nextOrder,
+        prev_order: order.prevOrder
+      }));
+  }
 }
 
 module.exports = ChainModule;
\ No newline at end of file
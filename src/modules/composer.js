@@ -0,0 +1,129 @@
+const { Transaction } = require('@solana/web3.js');
+const { ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { createComputeBudgetInstructions, applySimulatedComputeUnits, MAX_COMPUTE_UNITS } = require('../utils/compute_budget');
+const { finalizeTransaction, getLookupAccounts } = require('../utils/transaction');
+const { PinPetValidationError } = require('../utils/errors');
+const { resolvePublicKey } = require('../utils/signer');
+
+/**
+ * Composer Module
+ * Merges the instruction sets returned by the `*Instructions` methods
+ * (e.g. sdk.trading.closeLongInstructions + sdk.trading.shortInstructions) into one atomic transaction
+ * with a single compute budget.
+ */
+class ComposerModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Compose instruction sets into one transaction
+   *
+   * Steps:
+   * 1. Merge instructions in order, dropping duplicate associated token account creations
+   * 2. Merge signers (deduplicated, fee payer excluded)
+   * 3. Prepend a single compute budget (default 1400000 units, or 'auto' to size by simulation)
+   * 4. Output legacy or v0 transaction
+   *
+   * @param {Array<Object>} instructionSets - Instruction sets { instructions, signers, accounts, payer, lookupAccounts }
+   * @param {Object} options - Optional parameters
+   * @param {PublicKey|Keypair|Object} options.payer - Fee payer, default payer of the first instruction set
+   * @param {Array<Keypair|Object>} options.signers - Extra signers (e.g. a second wallet whose instruction set uses its public key)
+   * @param {number|string} options.computeUnits - Compute units limit, default 1400000, or 'auto' to size by simulation
+   * @param {number} options.computeUnitMargin - Safety margin added to simulated units by 'auto', default 0.1 (10%)
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per compute unit, or 'auto' to estimate from recent fees
+   * @param {number} options.priorityFeePercentile - Percentile of recent fees used by 'auto', default 75
+   * @param {string|number} options.version - Transaction version: 'legacy' (default) or 0 to return a VersionedTransaction
+   * @param {Array<PublicKey|string|AddressLookupTableAccount>} options.lookupTables - Lookup tables used by version 0
+   * @param {Object} options.nonce - Durable nonce { nonceAccount, nonceAuthority?, nonceValue? }
+   * @returns {Promise<Object>} { transaction, signers, accounts (per instruction set), lookupAccounts }
+   *
+   * @example
+   * const approve = await sdk.tools.approveTradeInstructions({ mint, wallet });
+   * const sell = await sdk.trading.sellInstructions({ mintAccount: mint, sellTokenAmount, minSolOutput, payer: wallet });
+   * const result = await sdk.composer.compose([approve, sell], { priorityFee: 'auto' });
+   * await sdk.send(result, wallet);
+   */
+  async compose(instructionSets, options = {}) {
+    const {
+      computeUnits = MAX_COMPUTE_UNITS,
+      priorityFee,
+      priorityFeePercentile,
+      computeUnitMargin,
+      version,
+      lookupTables,
+      nonce,
+      signers: extraSigners = []
+    } = options;
+
+    if (!Array.isArray(instructionSets) || instructionSets.length === 0) {
+      throw new PinPetValidationError('compose: instructionSets must be a non-empty array', { param: 'instructionSets' });
+    }
+    if (instructionSets.some(set => !set || !Array.isArray(set.instructions))) {
+      throw new PinPetValidationError('compose: every instruction set must come from an *Instructions method', { param: 'instructionSets' });
+    }
+
+    const payer = resolvePublicKey(options.payer || instructionSets[0].payer, 'payer');
+
+    // 1. Merge instructions, the same associated token account can only be created once
+    const instructions = [];
+    const createdTokenAccounts = new Set();
+    for (const set of instructionSets) {
+      for (const instruction of set.instructions) {
+        if (instruction.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+          // Keys: [payer, associated token account, owner, mint, ...]
+          const tokenAccount = instruction.keys[1].pubkey.toString();
+          if (createdTokenAccounts.has(tokenAccount)) {
+            continue;
+          }
+          createdTokenAccounts.add(tokenAccount);
+        }
+        instructions.push(instruction);
+      }
+    }
+
+    // 2. Merge signers
+    const signers = [];
+    const signerKeys = new Set([payer.toString()]);
+    for (const signer of [...instructionSets.flatMap(set => set.signers || []), ...extraSigners]) {
+      const signerKey = resolvePublicKey(signer, 'signer').toString();
+      if (!signerKeys.has(signerKey)) {
+        signerKeys.add(signerKey);
+        signers.push(signer);
+      }
+    }
+
+    // 3. Single compute budget for the whole transaction
+    const writableAccounts = [...new Map(instructions.flatMap(instruction => instruction.keys)
+      .filter(key => key.isWritable && !key.isSigner)
+      .map(key => [key.pubkey.toString(), key.pubkey])).values()];
+    const computeBudgetIxs = await createComputeBudgetInstructions(this.sdk.connection, {
+      computeUnits,
+      priorityFee,
+      priorityFeePercentile,
+      writableAccounts
+    });
+
+    const transaction = new Transaction();
+    transaction.add(...computeBudgetIxs, ...instructions);
+
+    if (computeUnits === 'auto') {
+      await applySimulatedComputeUnits(this.sdk.connection, transaction, payer, {
+        fallbackUnits: MAX_COMPUTE_UNITS,
+        margin: computeUnitMargin
+      });
+    }
+
+    // 4. Output a v0 VersionedTransaction when version is 0
+    const outputTransaction = await finalizeTransaction(this.sdk.connection, transaction, payer, { version, lookupTables, nonce });
+
+    return {
+      transaction: outputTransaction,
+      signers,
+      accounts: instructionSets.map(set => set.accounts),
+      lookupAccounts: getLookupAccounts(instructions)
+    };
+  }
+}
+
+module.exports = ComposerModule;
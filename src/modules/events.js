@@ -0,0 +1,503 @@
+const anchor = require('@coral-xyz/anchor');
+const { PublicKey } = require('@solana/web3.js');
+const { PinPetError, PinPetValidationError } = require('../utils/errors');
+const { resolvePublicKey } = require('../utils/signer');
+const spinpetIdl = require('../idl/pinpet.json');
+
+const PROGRAM_DATA_PREFIX = 'Program data: ';
+const PROGRAM_LOG_PATTERN = /^Program (\w+) (invoke \[(\d+)\]|success|failed)/;
+const EVENT_NAMES = spinpetIdl.events.map(event => event.name);
+
+// Subscription defaults: re-create the logs subscription after this long without notifications (ms)
+const DEFAULT_IDLE_TIMEOUT = 60000;
+// Number of delivered event keys remembered for dedupe
+const MAX_SEEN_EVENTS = 10000;
+// History defaults
+const DEFAULT_HISTORY_PAGE_SIZE = 100;
+const DEFAULT_HISTORY_CONCURRENCY = 4;
+const DEFAULT_HISTORY_RETRIES = 3;
+const DEFAULT_HISTORY_RETRY_DELAY = 500;
+
+/**
+ * Normalize a decoded event field: u64/u128/i64 (BN) -> bigint, pubkey -> base58 string
+ * @param {*} value - Decoded value
+ * @returns {*} Normalized value
+ */
+function normalizeEventValue(value) {
+  if (anchor.BN.isBN(value)) {
+    return BigInt(value.toString());
+  }
+  if (value instanceof PublicKey) {
+    return value.toBase58();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeEventValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, normalizeEventValue(field)]));
+  }
+  return value;
+}
+
+/**
+ * Run an RPC call, retrying with exponential backoff
+ * @param {Function} fn - Async function to call
+ * @param {number} retries - Retries after the first attempt
+ * @param {number} retryDelay - Delay before the first retry in ms, doubled on each retry
+ * @returns {Promise<*>} Result of fn
+ */
+async function withRetry(fn, retries, retryDelay) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt));
+    }
+  }
+}
+
+/**
+ * Events Module
+ * Decodes PinPet program events (BuySellEvent, LongShortEvent, FullCloseEvent, PartialCloseEvent,
+ * MilestoneDiscountEvent, TokenCreatedEvent) from transaction logs
+ */
+class EventsModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+    // Raw IDL coder: event names as in the IDL, fields in snake_case
+    this.coder = new anchor.BorshCoder(spinpetIdl);
+  }
+
+  /**
+   * Fetch a transaction (or take a fetched one) and decode its PinPet events
+   *
+   * @param {string|Object} signatureOrTx - Transaction signature, or a transaction response from getTransaction
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - Commitment used to fetch the transaction, default 'confirmed'
+   * @returns {Promise<Array<Object>>} Events [{ name, data, signature, slot, blockTime, instructionIndex, eventIndex }],
+   *   empty for failed transactions (their events were rolled back)
+   *
+   * @example
+   * const events = await sdk.events.parseTransaction(signature);
+   * for (const event of events) {
+   *   if (event.name === 'BuySellEvent') {
+   *     console.log(event.data.is_buy, event.data.token_amount, event.data.latest_price); // bool, bigint, bigint
+   *   }
+   * }
+   */
+  async parseTransaction(signatureOrTx, options = {}) {
+    if (!signatureOrTx) {
+      throw new PinPetValidationError('signatureOrTx is required', { param: 'signatureOrTx' });
+    }
+
+    // 1. Fetch the transaction when a signature is given
+    let transaction = signatureOrTx;
+    if (typeof signatureOrTx === 'string') {
+      transaction = await this.sdk.connection.getTransaction(signatureOrTx, {
+        commitment: options.commitment || 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      if (!transaction) {
+        throw new PinPetError(`Transaction not found: ${signatureOrTx}`);
+      }
+    }
+
+    const meta = transaction.meta;
+    if (!meta || meta.err) {
+      return [];
+    }
+
+    // 2. Decode the program logs
+    const signature = typeof signatureOrTx === 'string' ? signatureOrTx : transaction.transaction.signatures[0];
+    return this.parseLogs(meta.logMessages || [], {
+      signature,
+      slot: transaction.slot,
+      blockTime: transaction.blockTime ?? null
+    });
+  }
+
+  /**
+   * Decode PinPet events from program logs
+   * Events are attributed to the top-level instruction that was executing when they were emitted,
+   * including events emitted by PinPet when it is called through CPI.
+   * eventIndex is the position of the event among the PinPet events of the transaction.
+   *
+   * @param {Array<string>} logs - Transaction log messages
+   * @param {Object} [context] - Added to every event: { signature, slot, blockTime }
+   * @returns {Array<Object>} Events [{ name, data, signature, slot, blockTime, instructionIndex, eventIndex }]
+   */
+  parseLogs(logs, context = {}) {
+    const programId = this.sdk.programId.toString();
+    const events = [];
+    const invocationStack = [];
+    let instructionIndex = -1;
+
+    for (const log of logs) {
+      const invocation = log.match(PROGRAM_LOG_PATTERN);
+      if (invocation) {
+        if (invocation[3]) {
+          // 'Program X invoke [depth]', depth 1 is a top-level instruction
+          if (invocation[3] === '1') {
+            instructionIndex += 1;
+          }
+          invocationStack.push(invocation[1]);
+        } else {
+          invocationStack.pop();
+        }
+        continue;
+      }
+
+      // Event data logged while PinPet is executing
+      if (!log.startsWith(PROGRAM_DATA_PREFIX) || invocationStack[invocationStack.length - 1] !== programId) {
+        continue;
+      }
+      const event = this.decodeEvent(log.slice(PROGRAM_DATA_PREFIX.length));
+      if (event) {
+        events.push({
+          ...event,
+          signature: context.signature ?? null,
+          slot: context.slot ?? null,
+          blockTime: context.blockTime ?? null,
+          instructionIndex,
+          eventIndex: events.length
+        });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Subscribe to live PinPet events through connection.onLogs on the program ID
+   *
+   * - Events are filtered by mint_account and event name, failed transactions are skipped
+   * - Each event is delivered once, deduplicated by signature and eventIndex
+   * - web3.js reconnects the websocket after drops and restores the subscription; the subscription is
+   *   also re-created when no notification arrived for idleTimeout ms (silently stalled socket)
+   *
+   * @param {Object} filter - Event filter
+   * @param {PublicKey|string} [filter.mint] - Only events of this mint
+   * @param {Array<string>|string} [filter.types] - Only these events (e.g. ['BuySellEvent', 'LongShortEvent']), default all
+   * @param {string} [filter.commitment] - Logs commitment, default sdk options commitment or 'confirmed'
+   * @param {Function} handler - Called with each event { name, data, signature, slot, blockTime: null, instructionIndex, eventIndex }
+   * @param {Object} options - Optional parameters
+   * @param {number} options.idleTimeout - Re-subscribe after this many ms without notifications, default 60000
+   * @param {Function} options.onError - Called with errors thrown by the handler or while re-subscribing, default console.error
+   * @returns {Object} Subscription handle { unsubscribe(): Promise<void> }
+   *
+   * @example
+   * const subscription = sdk.events.subscribe({ mint, types: ['BuySellEvent'] }, (event) => {
+   *   console.log(event.data.is_buy ? 'buy' : 'sell', event.data.token_amount, event.data.latest_price);
+   * });
+   * // later
+   * await subscription.unsubscribe();
+   */
+  subscribe({ mint, types, commitment } = {}, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new PinPetValidationError('handler must be a function', { param: 'handler' });
+    }
+    const typeFilter = types ? [].concat(types) : null;
+    const unknownType = typeFilter && typeFilter.find(type => !EVENT_NAMES.includes(type));
+    if (unknownType) {
+      throw new PinPetValidationError(`Unknown event type: ${unknownType}, expected one of ${EVENT_NAMES.join(', ')}`, { param: 'types' });
+    }
+    const mintFilter = mint ? resolvePublicKey(mint, 'mint').toBase58() : null;
+    const { idleTimeout = DEFAULT_IDLE_TIMEOUT, onError = (error) => console.error('PinPet event subscription error:', error) } = options;
+    const logsCommitment = commitment || this.sdk.options.commitment || 'confirmed';
+    const connection = this.sdk.connection;
+
+    const seen = new Set();
+    let subscriptionId = null;
+    let lastNotificationAt = Date.now();
+    let closed = false;
+
+    // 1. Decode, filter and dedupe notifications
+    const onLogs = ({ signature, err, logs }, { slot }) => {
+      lastNotificationAt = Date.now();
+      if (closed || err) {
+        return;
+      }
+      for (const event of this.parseLogs(logs, { signature, slot, blockTime: null })) {
+        if ((typeFilter && !typeFilter.includes(event.name)) || (mintFilter && event.data.mint_account !== mintFilter)) {
+          continue;
+        }
+        const key = `${signature}:${event.eventIndex}`;
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+        if (seen.size > MAX_SEEN_EVENTS) {
+          seen.delete(seen.values().next().value);
+        }
+        try {
+          Promise.resolve(handler(event)).catch(onError);
+        } catch (error) {
+          onError(error);
+        }
+      }
+    };
+
+    // 2. Subscribe, and re-subscribe when the subscription stalls
+    const connect = () => {
+      subscriptionId = connection.onLogs(this.sdk.programId, onLogs, logsCommitment);
+    };
+    // Subscribe before removing the stalled listener so no logs are missed in between (the overlap is deduped by seen)
+    const reconnect = async () => {
+      if (closed) {
+        return;
+      }
+      const previousId = subscriptionId;
+      connect();
+      if (previousId !== null) {
+        await connection.removeOnLogsListener(previousId).catch(() => {});
+      }
+    };
+
+    connect();
+    const watchdog = setInterval(() => {
+      if (Date.now() - lastNotificationAt >= idleTimeout) {
+        lastNotificationAt = Date.now();
+        reconnect().catch(onError);
+      }
+    }, Math.min(idleTimeout, 5000));
+    // Don't keep Node processes alive only for the watchdog
+    if (typeof watchdog.unref === 'function') {
+      watchdog.unref();
+    }
+
+    // 3. Unsubscribe handle
+    return {
+      unsubscribe: async () => {
+        closed = true;
+        clearInterval(watchdog);
+        if (subscriptionId !== null) {
+          const id = subscriptionId;
+          subscriptionId = null;
+          await connection.removeOnLogsListener(id);
+        }
+      }
+    };
+  }
+
+  /**
+   * Iterate the historical events of a market, newest first
+   *
+   * Steps:
+   * 1. Resume inside the cursor transaction (events after the cursor eventIndex)
+   * 2. Page getSignaturesForAddress on the curve account (failed transactions are skipped)
+   * 3. Fetch the transactions of each page with bounded concurrency and retries, keeping signature order
+   * 4. Yield decoded events with a cursor that can be persisted to resume later
+   *
+   * @param {PublicKey|string} mint - Token mint address
+   * @param {Object} options - Optional parameters
+   * @param {string} options.before - Start before this signature (exclusive)
+   * @param {string} options.until - Stop at this signature (exclusive)
+   * @param {string} options.cursor - Resume from a yielded event cursor (takes precedence over before)
+   * @param {number} options.limit - Maximum number of events to yield, default unlimited
+   * @param {Array<string>|string} options.types - Only these events (e.g. ['BuySellEvent']), default all
+   * @param {number} options.pageSize - Signatures per getSignaturesForAddress page, default 100 (max 1000)
+   * @param {number} options.concurrency - Parallel getTransaction requests, default 4
+   * @param {number} options.retries - Retries per RPC request, default 3
+   * @param {number} options.retryDelay - First retry delay in ms, doubled on each retry, default 500
+   * @param {string} options.commitment - 'confirmed' (default) or 'finalized'
+   * @returns {AsyncGenerator<Object>} Events { name, data, signature, slot, blockTime, instructionIndex, eventIndex, cursor }
+   *
+   * @example
+   * let cursor = loadCursor();
+   * for await (const event of sdk.events.history(mint, { cursor, types: ['BuySellEvent'] })) {
+   *   await store(event);
+   *   saveCursor(event.cursor);
+   * }
+   */
+  async *history(mint, options = {}) {
+    const {
+      until,
+      limit = Infinity,
+      types,
+      pageSize = DEFAULT_HISTORY_PAGE_SIZE,
+      concurrency = DEFAULT_HISTORY_CONCURRENCY,
+      retries = DEFAULT_HISTORY_RETRIES,
+      retryDelay = DEFAULT_HISTORY_RETRY_DELAY,
+      commitment = 'confirmed'
+    } = options;
+
+    const typeFilter = types ? [].concat(types) : null;
+    const unknownType = typeFilter && typeFilter.find(type => !EVENT_NAMES.includes(type));
+    if (unknownType) {
+      throw new PinPetValidationError(`Unknown event type: ${unknownType}, expected one of ${EVENT_NAMES.join(', ')}`, { param: 'types' });
+    }
+    const mintAddress = resolvePublicKey(mint, 'mint');
+    const curveAccount = this.sdk.chain.getCurveAccountAddress(mintAddress);
+    const connection = this.sdk.connection;
+
+    const fetchTransaction = (signature) => withRetry(async () => {
+      const transaction = await connection.getTransaction(signature, { commitment, maxSupportedTransactionVersion: 0 });
+      if (!transaction) {
+        throw new PinPetError(`Transaction not found: ${signature}`);
+      }
+      return transaction;
+    }, retries, retryDelay);
+
+    const matches = (event) => (!typeFilter || typeFilter.includes(event.name)) && event.data.mint_account === mintAddress.toBase58();
+
+    let yielded = 0;
+    let before = options.before;
+
+    // 1. Resume inside the cursor transaction
+    if (options.cursor) {
+      const [cursorSignature, cursorEventIndex] = options.cursor.split(':');
+      if (!cursorSignature || cursorEventIndex === undefined || Number.isNaN(Number(cursorEventIndex))) {
+        throw new PinPetValidationError(`Invalid history cursor: ${options.cursor}`, { param: 'cursor' });
+      }
+      const events = await this.parseTransaction(await fetchTransaction(cursorSignature));
+      for (const event of events) {
+        if (event.eventIndex > Number(cursorEventIndex) && matches(event)) {
+          yield { ...event, cursor: `${event.signature}:${event.eventIndex}` };
+          if (++yielded >= limit) {
+            return;
+          }
+        }
+      }
+      before = cursorSignature;
+    }
+
+    for (;;) {
+      // 2. Next page of signatures
+      const page = await withRetry(
+        () => connection.getSignaturesForAddress(curveAccount, { before, until, limit: pageSize }, commitment),
+        retries,
+        retryDelay
+      );
+      if (page.length === 0) {
+        return;
+      }
+      const signatures = page.filter(info => !info.err).map(info => info.signature);
+
+      // 3. Fetch transactions in chunks of `concurrency`
+      for (let i = 0; i < signatures.length; i += concurrency) {
+        const transactions = await Promise.all(signatures.slice(i, i + concurrency).map(fetchTransaction));
+
+        // 4. Yield events in signature order
+        for (const transaction of transactions) {
+          for (const event of await this.parseTransaction(transaction)) {
+            if (!matches(event)) {
+              continue;
+            }
+            yield { ...event, cursor: `${event.signature}:${event.eventIndex}` };
+            if (++yielded >= limit) {
+              return;
+            }
+          }
+        }
+      }
+
+      if (page.length < pageSize) {
+        return;
+      }
+      before = page[page.length - 1].signature;
+    }
+  }
+
+  /**
+   * Orderbook side whose orders an event liquidates
+   *
+   * Price moving up (buy, long, close short) liquidates short orders (up_orders),
+   * price moving down (sell, short, close long) liquidates long orders (down_orders).
+   *
+   * @param {Object} event - Decoded event { name, data }
+   * @returns {string|null} 'up_orders' | 'down_orders', or null for events without liquidations
+   */
+  getLiquidationSide(event) {
+    const { name, data } = event || {};
+    switch (name) {
+      case 'BuySellEvent':
+        return data.is_buy ? 'up_orders' : 'down_orders';
+      case 'LongShortEvent':
+        // order_type: 1 = long (buys), 2 = short (sells)
+        return data.order_type === 1 ? 'up_orders' : 'down_orders';
+      case 'FullCloseEvent':
+      case 'PartialCloseEvent':
+        return data.is_close_long ? 'down_orders' : 'up_orders';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Resolve the liquidate_indices of an event into the liquidated orders
+   *
+   * liquidate_indices are orderbook slot indices, so they must be looked up in the orderbook
+   * as it was before the transaction (e.g. sdk.chain.orders() read before the event's slot, or a locally maintained book).
+   *
+   * @param {Object} event - Decoded event { name, data } from parseTransaction, parseLogs, subscribe or history
+   * @param {Object|Array<Object>} orderbook - Pre-transaction orderbook: a sdk.chain.orders() result (or its data),
+   *   an orders array, or { up_orders, down_orders } holding both sides
+   * @returns {Array<Object>} Liquidated orders in liquidate_indices order, as returned by sdk.chain.orders()
+   *   (user, order_id, margin_sol_amount, borrow_amount, position_asset_amount, index, ...)
+   * @throws {PinPetValidationError} When the orderbook is for the other side or an index is not in the orderbook
+   *
+   * @example
+   * const before = await sdk.chain.orders(mint, { type: 'up_orders' });
+   * sdk.events.subscribe({ mint, types: ['BuySellEvent'] }, (event) => {
+   *   for (const order of sdk.events.resolveLiquidations(event, before)) {
+   *     console.log(order.user, order.order_id, order.margin_sol_amount, order.borrow_amount);
+   *   }
+   * });
+   */
+  resolveLiquidations(event, orderbook) {
+    const side = this.getLiquidationSide(event);
+    const indices = (event && event.data && event.data.liquidate_indices) || [];
+    if (!side || indices.length === 0) {
+      return [];
+    }
+
+    // 1. Unwrap the orderbook to the orders of the liquidated side
+    const unwrap = value => (value && value.data && !Array.isArray(value) ? value.data : value);
+    let book = unwrap(orderbook);
+    if (book && !Array.isArray(book) && !book.orders && book[side]) {
+      book = unwrap(book[side]);
+    }
+    const orders = Array.isArray(book) ? book : book && book.orders;
+    if (!Array.isArray(orders)) {
+      throw new PinPetValidationError('resolveLiquidations: orderbook must be a chain.orders() result or an orders array', { param: 'orderbook' });
+    }
+
+    const bookSide = (!Array.isArray(book) && book.order_type) || (orders[0] && orders[0].order_type);
+    if (bookSide && bookSide !== side) {
+      throw new PinPetValidationError(`resolveLiquidations: ${event.name} liquidates ${side}, got ${bookSide} orderbook`, { param: 'orderbook' });
+    }
+
+    // 2. Look up each slot index
+    const ordersByIndex = new Map(orders.map(order => [Number(order.index), order]));
+    return indices.map(index => {
+      const order = ordersByIndex.get(Number(index));
+      if (!order) {
+        throw new PinPetValidationError(`resolveLiquidations: order index ${index} not found in ${side} orderbook (orderbook must be read before the transaction)`, { param: 'orderbook' });
+      }
+      return order;
+    });
+  }
+
+  /**
+   * Decode one base64 event payload ('Program data: ...' log)
+   * @param {string} data - Base64 event data
+   * @returns {Object|null} { name, data } with normalized fields, or null when it is not a PinPet event
+   */
+  decodeEvent(data) {
+    let decoded;
+    try {
+      decoded = this.coder.events.decode(data);
+    } catch {
+      return null;
+    }
+    if (!decoded) {
+      return null;
+    }
+    return { name: decoded.name, data: normalizeEventValue(decoded.data) };
+  }
+}
+
+module.exports = EventsModule;
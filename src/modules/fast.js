@@ -1,5 +1,10 @@
 const axios = require('axios');
 const CurveAMM = require('../utils/curve_amm');
+const OrderUtils = require('../utils/orderUtils');
+const { PinPetError, PinPetApiError, PinPetValidationError, withErrorPrefix } = require('../utils/errors');
+
+// Orders per /api/orderbook/user/{user}/active page read by user_positions()
+const DEFAULT_POSITIONS_PAGE_SIZE = 100;
 
 /**
  * Fast API Module
@@ -34,10 +39,37 @@ class FastModule {
    */
   _ensureConfigured() {
     if (!this.baseUrl || !this.httpClient) {
-      throw new Error('FastModule requires pinPetFastApiUrl configuration. Either provide pinPetFastApiUrl in options or use defaultDataSource: "chain"');
+      throw new PinPetValidationError('FastModule requires pinPetFastApiUrl configuration. Either provide pinPetFastApiUrl in options or use defaultDataSource: "chain"');
     }
   }
 
+  /**
+   * Convert a request error into a typed error
+   * @private
+   * @param {Error} error - Error thrown while requesting or processing the response
+   * @returns {PinPetError} Error to throw
+   */
+  _toRequestError(error) {
+    if (error.response) {
+      // API returned error
+      const errorMsg = error.response.data?.msg || error.response.data?.message || error.message;
+      return new PinPetApiError(`API request failed [${error.response.status}]: ${errorMsg}`, {
+        status: error.response.status,
+        code: error.response.data?.code ?? null,
+        url: error.config?.url,
+        cause: error
+      });
+    } else if (error.request) {
+      // Network error
+      return new PinPetApiError(`Network request failed: unable to connect to ${this.baseUrl}`, {
+        url: error.config?.url,
+        cause: error
+      });
+    }
+    // Other errors
+    return withErrorPrefix(error, 'Request processing failed');
+  }
+
   /**
    * Get token list
    * @param {Object} options - Query parameters
@@ -152,7 +184,7 @@ class FastModule {
   async mint_info(mint) {
     // Validate input
     if (!mint || typeof mint !== 'string') {
-      throw new Error('mint_info: token address must be a valid string');
+      throw new PinPetValidationError('mint_info: token address must be a valid string');
     }
 
     return this._directApiCall({
@@ -206,32 +238,27 @@ class FastModule {
       if (isNewFormat) {
         // New API format
         if (response.data.code !== 200) {
-          throw new Error(`API request failed: ${response.data.msg || 'unknown error'}`);
+          throw new PinPetApiError(`API request failed: ${response.data.msg || 'unknown error'}`, {
+            status: response.status,
+            code: response.data.code
+          });
         }
       } else if (isOldFormat) {
         // Old API format (backward compatible)
         if (!response.data.success) {
-          throw new Error(`API request failed: ${response.data.message || 'unknown error'}`);
+          throw new PinPetApiError(`API request failed: ${response.data.message || 'unknown error'}`, {
+            status: response.status
+          });
         }
       } else {
         // Unknown format
-        throw new Error('API response format not recognized');
+        throw new PinPetApiError('API response format not recognized', { status: response.status });
       }
 
       return response.data;
 
     } catch (error) {
-      if (error.response) {
-        // API returned error
-        const errorMsg = error.response.data?.msg || error.response.data?.message || error.message;
-        throw new Error(`API request failed [${error.response.status}]: ${errorMsg}`);
-      } else if (error.request) {
-        // Network error
-        throw new Error(`Network request failed: unable to connect to ${this.baseUrl}`);
-      } else {
-        // Other errors
-        throw new Error(`Request processing failed: ${error.message}`);
-      }
+      throw this._toRequestError(error);
     }
   }
 
@@ -312,7 +339,7 @@ class FastModule {
     try {
       // Parameter validation
       if (!mint || typeof mint !== 'string') {
-        throw new Error('orders: mint address must be a valid string');
+        throw new PinPetValidationError('orders: mint address must be a valid string');
       }
 
       // Extract parameters with defaults
@@ -322,7 +349,7 @@ class FastModule {
 
       // Validate order type
       if (!['up_orders', 'down_orders'].includes(type)) {
-        throw new Error('orders: order type must be "up_orders" or "down_orders"');
+        throw new PinPetValidationError('orders: order type must be "up_orders" or "down_orders"');
       }
 
       // Convert type to direction for new API
@@ -352,11 +379,14 @@ class FastModule {
       const isNewFormat = response.data && typeof response.data.code === 'number';
 
       if (!isNewFormat) {
-        throw new Error('API response format not recognized');
+        throw new PinPetApiError('API response format not recognized', { status: response.status });
       }
 
       if (response.data.code !== 200) {
-        throw new Error(`API request failed: ${response.data.msg || 'unknown error'}`);
+        throw new PinPetApiError(`API request failed: ${response.data.msg || 'unknown error'}`, {
+          status: response.status,
+          code: response.data.code
+        });
       }
 
       // Transform new API format to match chain.js format for compatibility
@@ -448,17 +478,7 @@ class FastModule {
       };
 
     } catch (error) {
-      if (error.response) {
-        // API returned error
-        const errorMsg = error.response.data?.msg || error.response.data?.message || error.message;
-        throw new Error(`API request failed [${error.response.status}]: ${errorMsg}`);
-      } else if (error.request) {
-        // Network error
-        throw new Error(`Network request failed: unable to connect to ${this.baseUrl}`);
-      } else {
-        // Other errors
-        throw new Error(`Request processing failed: ${error.message}`);
-      }
+      throw this._toRequestError(error);
     }
   }
 
@@ -475,7 +495,7 @@ class FastModule {
   async price(mint) {
     // Validate input
     if (!mint || typeof mint !== 'string') {
-      throw new Error('price: mint address must be a valid string');
+      throw new PinPetValidationError('price: mint address must be a valid string');
     }
 
     // Call mint_info API
@@ -483,7 +503,7 @@ class FastModule {
 
     // Check return data (new format: { code: 200, msg: "success", data: {...} })
     if (!result || !result.data) {
-      throw new Error('price: unable to fetch token information');
+      throw new PinPetApiError('price: unable to fetch token information');
     }
 
     // Extract latest price (new format returns object directly, not an array)
@@ -493,7 +513,7 @@ class FastModule {
       // If no price data, calculate initial price
       const initialPrice = CurveAMM.getInitialPrice();
       if (initialPrice === null) {
-        throw new Error('price: unable to calculate initial price');
+        throw new PinPetError('price: unable to calculate initial price');
       }
       latestPrice = initialPrice.toString();
     }
@@ -587,7 +607,7 @@ class FastModule {
     try {
       // Parameter validation
       if (!user || typeof user !== 'string') {
-        throw new Error('user_orders: user address must be a valid string');
+        throw new PinPetValidationError('user_orders: user address must be a valid string');
       }
 
       // Extract parameters
@@ -613,7 +633,7 @@ class FastModule {
       // Optional parameter: direction
       if (direction) {
         if (!['up', 'dn'].includes(direction)) {
-          throw new Error('user_orders: direction must be "up" or "dn"');
+          throw new PinPetValidationError('user_orders: direction must be "up" or "dn"');
         }
         queryParams.direction = direction;
       }
@@ -631,11 +651,14 @@ class FastModule {
       const isNewFormat = response.data && typeof response.data.code === 'number';
 
       if (!isNewFormat) {
-        throw new Error('API response format not recognized');
+        throw new PinPetApiError('API response format not recognized', { status: response.status });
       }
 
       if (response.data.code !== 200) {
-        throw new Error(`API request failed: ${response.data.msg || 'unknown error'}`);
+        throw new PinPetApiError(`API request failed: ${response.data.msg || 'unknown error'}`, {
+          status: response.status,
+          code: response.data.code
+        });
       }
 
       // Transform to chain.js compatible format
@@ -715,20 +738,63 @@ class FastModule {
       };
 
     } catch (error) {
-      if (error.response) {
-        const errorMsg = error.response.data?.msg || error.response.data?.message || error.message;
-        throw new Error(`API request failed [${error.response.status}]: ${errorMsg}`);
-      } else if (error.request) {
-        throw new Error(`Network request failed: unable to connect to ${this.baseUrl}`);
-      } else {
-        throw new Error(`Request processing failed: ${error.message}`);
-      }
+      throw this._toRequestError(error);
     }
   }
 
+  /**
+   * Get a user's open orders across every market, grouped by mint and side
+   * Compatible with chain.js user_positions() method
+   *
+   * Pages through /api/orderbook/user/{user}/active without a mint (see user_orders()) and groups the orders.
+   *
+   * @param {string} user - User wallet address
+   * @param {Object} options - Query parameters
+   * @param {number} options.pageSize - Orders per API page, default 100
+   * @param {string} options.order_by - 'start_time_desc' (default) or 'start_time_asc', within each side
+   * @returns {Promise<Object>} {
+   *   success: true,
+   *   data: { user, positions: [{ mint, up_orders, down_orders }], total },
+   *   message
+   * } - up_orders are shorts and down_orders are longs, orders in user_orders() format
+   *
+   * @example
+   * const result = await sdk.fast.user_positions('7621yjkZJ1jxBHw3oCPoazFfMx82NWBSARk2AGV7EBig');
+   * for (const { mint, up_orders, down_orders } of result.data.positions) {
+   *   console.log(mint, `${down_orders.length} long(s), ${up_orders.length} short(s)`);
+   * }
+   */
+  async user_positions(user, options = {}) {
+    const pageSize = options.pageSize || DEFAULT_POSITIONS_PAGE_SIZE;
+    const orderBy = options.order_by || 'start_time_desc';
+
+    // 1. Read every page
+    const orders = [];
+    for (let page = 1; ; page++) {
+      const response = await this.user_orders(user, null, { page, limit: pageSize, order_by: orderBy });
+      orders.push(...response.data.orders);
+      if (!response.data.has_next || response.data.orders.length === 0) {
+        break;
+      }
+    }
 
+    // 2. Sort across pages, then group by mint and side
+    if (orderBy === 'start_time_desc') {
+      orders.sort((a, b) => b.start_time - a.start_time);
+    } else if (orderBy === 'start_time_asc') {
+      orders.sort((a, b) => a.start_time - b.start_time);
+    }
 
-
+    return {
+      success: true,
+      data: {
+        user,
+        positions: OrderUtils.groupPositions(orders),
+        total: orders.length
+      },
+      message: 'Operation successful'
+    };
+  }
 }
 
 module.exports = FastModule;
@@ -1,7 +1,6 @@
-const { PublicKey, Transaction, SystemProgram } = require('@solana/web3.js');
+const { Transaction, SystemProgram } = require('@solana/web3.js');
 const anchor = require('@coral-xyz/anchor');
-// Use buffer package consistently across all platforms
-const { Buffer } = require('buffer');
+const { resolvePublicKey } = require('../utils/signer');
 
 /**
  * Parameter Module
@@ -15,25 +14,20 @@ class ParamModule {
   /**
    * Create partner parameters
    * @param {Object} params - Creation parameters
-   * @param {PublicKey} params.partner - Partner public key
+   * @param {PublicKey|Keypair|Object} params.partner - Partner public key, or signer (Keypair, anchor Wallet, wallet adapter)
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    */
-  async createParams({ partner }) {
+  async createParams({ partner: partnerSigner }) {
+    const partner = resolvePublicKey(partnerSigner, 'partner');
     console.log('Param Module - CreateParams:', { 
       partner: partner.toString()
     });
 
     // Calculate Admin account address (globally unique)
-    const [adminAccount] = PublicKey.findProgramAddressSync(
-      [Buffer.from("admin")],
-      this.sdk.programId
-    );
+    const adminAccount = this.sdk.pda.admin();
 
     // Calculate partner parameters account address (using partner address as seed)
-    const [paramsAccount] = PublicKey.findProgramAddressSync(
-      [Buffer.from("params"), partner.toBuffer()],
-      this.sdk.programId
-    );
+    const paramsAccount = this.sdk.pda.params(partner);
 
     console.log('Calculated account addresses:');
     console.log('  Admin account:', adminAccount.toString());
@@ -74,10 +68,7 @@ class ParamModule {
    */
   async getParams(partner) {
     // Calculate partner parameters account address
-    const [paramsAccount] = PublicKey.findProgramAddressSync(
-      [Buffer.from("params"), partner.toBuffer()],
-      this.sdk.programId
-    );
+    const paramsAccount = this.sdk.pda.params(partner);
 
     try {
       // Check if account exists
@@ -111,10 +102,7 @@ class ParamModule {
    */
   async getAdmin() {
     // Calculate Admin account address
-    const [adminAccount] = PublicKey.findProgramAddressSync(
-      [Buffer.from("admin")],
-      this.sdk.programId
-    );
+    const adminAccount = this.sdk.pda.admin();
 
     try {
       // Check if account exists
@@ -148,10 +136,7 @@ class ParamModule {
    * @returns {PublicKey} Parameters account address
    */
   getParamsAddress(partner) {
-    const [paramsAccount] = PublicKey.findProgramAddressSync(
-      [Buffer.from("params"), partner.toBuffer()],
-      this.sdk.programId
-    );
+    const paramsAccount = this.sdk.pda.params(partner);
     return paramsAccount;
   }
 
@@ -160,10 +145,7 @@ class ParamModule {
    * @returns {PublicKey} Admin account address
    */
   getAdminAddress() {
-    const [adminAccount] = PublicKey.findProgramAddressSync(
-      [Buffer.from("admin")],
-      this.sdk.programId
-    );
+    const adminAccount = this.sdk.pda.admin();
     return adminAccount;
   }
 }
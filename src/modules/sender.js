@@ -0,0 +1,442 @@
+const { VersionedTransaction } = require('@solana/web3.js');
+const { PinPetError, PinPetAccountNotFoundError, PinPetValidationError, decodeProgramError, createProgramError } = require('../utils/errors');
+const { toSigner } = require('../utils/signer');
+const { getDurableNonce, getSignerSlots, serializeTransaction, deserializeTransaction } = require('../utils/transaction');
+
+// getTransaction can lag behind confirmation, retry reading the receipt
+const RECEIPT_RETRIES = 10;
+const RECEIPT_RETRY_DELAY = 500;
+
+/**
+ * Build an execution receipt from a decoded trade event
+ * @param {Object} event - Decoded event { name, data, eventIndex }
+ * @returns {Object|null} Receipt, or null for events that are not trades
+ */
+function toExecutionReceipt(event) {
+  const { name, data } = event;
+  const receipt = {
+    event: name,
+    action: null,
+    mint: data.mint_account,
+    payer: data.payer,
+    tokenAmount: null,
+    solAmount: null,
+    latestPrice: data.latest_price,
+    openPrice: null,
+    lockLpStartPrice: null,
+    lockLpEndPrice: null,
+    orderId: null,
+    orderIndex: null,
+    marginSolAmount: null,
+    borrowAmount: null,
+    positionAssetAmount: null,
+    userCloseProfit: null,
+    liquidateIndices: data.liquidate_indices,
+    eventIndex: event.eventIndex
+  };
+
+  switch (name) {
+    case 'BuySellEvent':
+      return {
+        ...receipt,
+        action: data.is_buy ? 'buy' : 'sell',
+        tokenAmount: data.token_amount,
+        solAmount: data.sol_amount
+      };
+    case 'LongShortEvent':
+      // The locked LP range is the liquidity traded against the curve
+      return {
+        ...receipt,
+        action: data.order_type === 1 ? 'long' : 'short',
+        tokenAmount: data.lock_lp_token_amount,
+        solAmount: data.lock_lp_sol_amount,
+        openPrice: data.open_price,
+        lockLpStartPrice: data.lock_lp_start_price,
+        lockLpEndPrice: data.lock_lp_end_price,
+        orderId: data.order_id.toString(),
+        orderIndex: data.order_index,
+        marginSolAmount: data.margin_sol_amount,
+        borrowAmount: data.borrow_amount,
+        positionAssetAmount: data.position_asset_amount
+      };
+    case 'FullCloseEvent':
+    case 'PartialCloseEvent':
+      // Partial close: lock range and amounts of the remaining order
+      return {
+        ...receipt,
+        action: data.is_close_long ? 'closeLong' : 'closeShort',
+        tokenAmount: data.final_token_amount,
+        solAmount: data.final_sol_amount,
+        lockLpStartPrice: data.lock_lp_start_price ?? null,
+        lockLpEndPrice: data.lock_lp_end_price ?? null,
+        orderId: data.order_id.toString(),
+        orderIndex: data.order_index,
+        marginSolAmount: data.margin_sol_amount ?? null,
+        borrowAmount: data.borrow_amount ?? null,
+        positionAssetAmount: data.position_asset_amount ?? null,
+        userCloseProfit: data.user_close_profit
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Sender Module
+ * Signs, sends and confirms the { transaction, signers, accounts } results returned by the builders
+ * (trading, token, param, tools), so integrations don't have to repeat the blockhash/fee payer/confirm steps
+ */
+class SenderModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Sign, send and confirm a builder result
+   *
+   * Steps:
+   * 1. Fetch latest blockhash and set it with the fee payer on the transaction
+   *    (v0 VersionedTransaction: refresh the message blockhash, fee payer is fixed by the message;
+   *    durable nonce transactions keep the nonce value as blockhash)
+   * 2. Sign with the wallet, then add the extra `signers` of the result (e.g. mint keypair from token.create)
+   * 3. Send raw transaction
+   * 4. Confirm with blockhash expiry tracking (lastValidBlockHeight), or nonce tracking for durable nonce transactions
+   * 5. Read the execution receipts (amounts, prices, order id/index, liquidated indices) from the emitted events
+   *
+   * @param {Object} result - Builder result
+   * @param {Transaction|VersionedTransaction} result.transaction - Transaction to send (legacy or v0)
+   * @param {Array<Keypair|Object>} [result.signers] - Additional signers required by the transaction
+   * @param {Keypair|Object} wallet - Fee payer: Keypair, anchor Wallet, or wallet adapter with publicKey and signTransaction()
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - Confirmation commitment, default sdk options commitment or 'confirmed'
+   * @param {boolean} options.skipPreflight - Skip preflight check, default sdk options skipPreflight or false
+   * @param {string} options.preflightCommitment - Preflight commitment, default same as commitment
+   * @param {number} options.maxRetries - Maximum RPC send retries, default sdk options maxRetries
+   * @param {boolean} options.receipt - Read the execution receipts from the landed transaction, default true
+   * @returns {Promise<Object>} Send result { signature, slot, confirmationStatus, blockhash, lastValidBlockHeight, receipt, receipts },
+   *   confirmationStatus is the status observed after confirmation (at least `commitment`), null when it could not be read
+   *   (receipts: one per trade event, see getReceipts(); receipt: the first one or null;
+   *   when the receipts cannot be read they are null and receiptError is set)
+   *
+   * @example
+   * const result = await sdk.trading.buy({ ..., payer: wallet.publicKey });
+   * const { signature, slot, confirmationStatus } = await sdk.send(result, wallet);
+   *
+   * const { receipt } = await sdk.send(await sdk.trading.long({ ... }), wallet);
+   * console.log(receipt.orderId, receipt.orderIndex); // closeOrderId for closeLong
+   */
+  async send(result, wallet, options = {}) {
+    if (!result || !result.transaction) {
+      throw new PinPetValidationError('send: result.transaction is required');
+    }
+    const walletSigner = toSigner(wallet, 'wallet');
+
+    const commitment = options.commitment || this.sdk.options.commitment || 'confirmed';
+    const skipPreflight = options.skipPreflight ?? this.sdk.options.skipPreflight ?? false;
+    const preflightCommitment = options.preflightCommitment || commitment;
+    const maxRetries = options.maxRetries ?? this.sdk.options.maxRetries;
+
+    const transaction = result.transaction;
+    const walletPubkey = walletSigner.publicKey;
+    const isVersioned = transaction instanceof VersionedTransaction;
+
+    if (isVersioned && !transaction.message.staticAccountKeys[0].equals(walletPubkey)) {
+      throw new PinPetValidationError('send: wallet must be the fee payer of the versioned transaction');
+    }
+
+    // 1. Set blockhash and fee payer
+    const durableNonce = getDurableNonce(transaction);
+    const { blockhash, lastValidBlockHeight } = durableNonce
+      ? { blockhash: durableNonce.nonceValue, lastValidBlockHeight: null }
+      : await this.sdk.connection.getLatestBlockhash(commitment);
+    if (isVersioned) {
+      transaction.message.recentBlockhash = blockhash;
+    } else {
+      transaction.recentBlockhash = blockhash;
+      transaction.feePayer = walletPubkey;
+    }
+
+    // 2. Sign: wallet first (wallet adapters may drop existing signatures), then extra signers
+    let signedTransaction = await walletSigner.signTransaction(transaction);
+    const extraSigners = (result.signers || [])
+      .map(signer => toSigner(signer))
+      .filter(signer => !signer.publicKey.equals(walletPubkey));
+    for (const signer of extraSigners) {
+      signedTransaction = await signer.signTransaction(signedTransaction);
+    }
+
+    // 3. Send
+    const signature = await this.sdk.connection.sendRawTransaction(signedTransaction.serialize(), {
+      skipPreflight,
+      preflightCommitment,
+      maxRetries
+    });
+
+    // 4. Confirm with blockhash expiry tracking
+    const confirmation = await this._confirm(signature, durableNonce, { blockhash, lastValidBlockHeight }, commitment);
+
+    // 5. Execution receipts
+    return this._withReceipts({
+      signature,
+      slot: confirmation.context.slot,
+      confirmationStatus: await this._getConfirmationStatus(signature),
+      blockhash,
+      lastValidBlockHeight
+    }, options, commitment);
+  }
+
+  /**
+   * Serialize a (partially) signed transaction to base64, keeping empty signer slots
+   * Used to move durable nonce transactions to an offline signer and back.
+   *
+   * @param {Object|Transaction|VersionedTransaction} transaction - Builder result or transaction
+   * @returns {string} Base64 wire transaction
+   *
+   * @example
+   * const result = await sdk.trading.buy({ ..., payer: treasury }, { nonce: { nonceAccount } });
+   * const data = sdk.sender.serialize(result);
+   */
+  serialize(transaction) {
+    return serializeTransaction(transaction && transaction.transaction ? transaction.transaction : transaction);
+  }
+
+  /**
+   * Deserialize a base64 transaction produced by serialize()
+   * @param {string|Buffer|Uint8Array} data - Base64 string or wire bytes
+   * @returns {Transaction|VersionedTransaction} Transaction with its existing signatures
+   */
+  deserialize(data) {
+    return deserializeTransaction(data);
+  }
+
+  /**
+   * Get the required signers of a transaction and whether each one has signed
+   * @param {Object|Transaction|VersionedTransaction|string} transaction - Builder result, transaction or base64 data
+   * @returns {Array<Object>} Signer slots [{ publicKey, signed }], fee payer first
+   */
+  signerSlots(transaction) {
+    return getSignerSlots(this._toTransaction(transaction));
+  }
+
+  /**
+   * Add signatures without touching the blockhash (offline signing of durable nonce transactions)
+   * @param {Object|Transaction|VersionedTransaction|string} transaction - Builder result, transaction or base64 data
+   * @param {Array<Keypair|Object>|Keypair|Object} signers - Keypair, anchor Wallet or wallet adapter signers
+   * @returns {Promise<Transaction|VersionedTransaction>} Signed transaction
+   *
+   * @example
+   * // Air-gapped machine
+   * const signed = await sdk.sender.sign(data, treasuryKeypair);
+   * const signedData = sdk.sender.serialize(signed);
+   */
+  async sign(transaction, signers) {
+    let signedTransaction = this._toTransaction(transaction);
+    for (const signer of [].concat(signers)) {
+      signedTransaction = await toSigner(signer).signTransaction(signedTransaction);
+    }
+    return signedTransaction;
+  }
+
+  /**
+   * Broadcast a fully signed transaction and confirm it
+   *
+   * Steps:
+   * 1. Check that every signer slot is signed
+   * 2. Durable nonce transactions: check that the nonce account still holds the transaction nonce
+   *    (it was not advanced by another transaction), otherwise check the blockhash is still valid
+   * 3. Send raw transaction
+   * 4. Confirm (nonce tracking or blockhash expiry tracking)
+   * 5. Read the execution receipts
+   *
+   * @param {Object|Transaction|VersionedTransaction|string} transaction - Builder result, transaction or base64 data
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - Confirmation commitment, default sdk options commitment or 'confirmed'
+   * @param {boolean} options.skipPreflight - Skip preflight check, default sdk options skipPreflight or false
+   * @param {string} options.preflightCommitment - Preflight commitment, default same as commitment
+   * @param {number} options.maxRetries - Maximum RPC send retries, default sdk options maxRetries
+   * @param {boolean} options.receipt - Read the execution receipts from the landed transaction, default true
+   * @returns {Promise<Object>} Send result { signature, slot, confirmationStatus, blockhash, lastValidBlockHeight, receipt, receipts },
+   *   confirmationStatus is the status observed after confirmation (at least `commitment`), null when it could not be read
+   *
+   * @example
+   * const { signature } = await sdk.sender.submit(signedData);
+   */
+  async submit(transaction, options = {}) {
+    const signedTransaction = this._toTransaction(transaction);
+
+    const commitment = options.commitment || this.sdk.options.commitment || 'confirmed';
+    const skipPreflight = options.skipPreflight ?? this.sdk.options.skipPreflight ?? false;
+    const preflightCommitment = options.preflightCommitment || commitment;
+    const maxRetries = options.maxRetries ?? this.sdk.options.maxRetries;
+
+    // 1. Check signatures
+    const missing = getSignerSlots(signedTransaction).filter(slot => !slot.signed);
+    if (missing.length > 0) {
+      throw new PinPetValidationError(`submit: missing signatures from ${missing.map(slot => slot.publicKey.toString()).join(', ')}`);
+    }
+
+    // 2. Check the nonce (or blockhash) is still usable
+    const durableNonce = getDurableNonce(signedTransaction);
+    const blockhash = durableNonce
+      ? durableNonce.nonceValue
+      : (signedTransaction instanceof VersionedTransaction ? signedTransaction.message.recentBlockhash : signedTransaction.recentBlockhash);
+    let lastValidBlockHeight = null;
+    let minContextSlot;
+    if (durableNonce) {
+      const { context, value } = await this.sdk.connection.getNonceAndContext(durableNonce.nonceAccount, commitment);
+      if (!value) {
+        throw new PinPetAccountNotFoundError(`Nonce account not found: ${durableNonce.nonceAccount.toString()}`, {
+          accountType: 'nonce_account',
+          address: durableNonce.nonceAccount
+        });
+      }
+      if (value.nonce !== durableNonce.nonceValue) {
+        throw new PinPetError(`Durable nonce ${durableNonce.nonceValue} has been advanced (current ${value.nonce}), rebuild and re-sign the transaction`);
+      }
+      minContextSlot = context.slot;
+    } else {
+      const { value: valid } = await this.sdk.connection.isBlockhashValid(blockhash, { commitment });
+      if (!valid) {
+        throw new PinPetError(`Blockhash ${blockhash} has expired, rebuild and re-sign the transaction`);
+      }
+      // The original lastValidBlockHeight is unknown, the latest one is an upper bound
+      ({ lastValidBlockHeight } = await this.sdk.connection.getLatestBlockhash(commitment));
+    }
+
+    // 3. Send
+    const signature = await this.sdk.connection.sendRawTransaction(signedTransaction.serialize(), {
+      skipPreflight,
+      preflightCommitment,
+      maxRetries,
+      minContextSlot
+    });
+
+    // 4. Confirm
+    const confirmation = await this._confirm(signature, durableNonce, { blockhash, lastValidBlockHeight, minContextSlot }, commitment);
+
+    // 5. Execution receipts
+    return this._withReceipts({
+      signature,
+      slot: confirmation.context.slot,
+      confirmationStatus: await this._getConfirmationStatus(signature),
+      blockhash,
+      lastValidBlockHeight
+    }, options, commitment);
+  }
+
+  /**
+   * Read the execution receipts of a landed transaction from its PinPet trade events
+   *
+   * One receipt per BuySellEvent, LongShortEvent, FullCloseEvent and PartialCloseEvent, in log order.
+   * Amounts and prices are bigint (prices in u128 precision, see CurveAMM.u128ToDecimal); fields that do not apply are null.
+   *
+   * @param {string} signature - Transaction signature
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - Commitment used to read the transaction, default 'confirmed'
+   * @returns {Promise<Array<Object>>} Receipts [{ event, action ('buy' | 'sell' | 'long' | 'short' | 'closeLong' | 'closeShort'),
+   *   mint, payer, tokenAmount, solAmount, latestPrice, openPrice, lockLpStartPrice, lockLpEndPrice, orderId (string), orderIndex,
+   *   marginSolAmount, borrowAmount, positionAssetAmount, userCloseProfit, liquidateIndices, eventIndex }]
+   *
+   * @example
+   * const [receipt] = await sdk.sender.getReceipts(signature);
+   * await sdk.trading.closeLong({ ..., closeOrderId: receipt.orderId });
+   */
+  async getReceipts(signature, options = {}) {
+    // getTransaction does not support 'processed'
+    const commitment = options.commitment === 'finalized' ? 'finalized' : 'confirmed';
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const events = await this.sdk.events.parseTransaction(signature, { commitment });
+        return events.map(toExecutionReceipt).filter(Boolean);
+      } catch (error) {
+        if (attempt >= RECEIPT_RETRIES || !/Transaction not found/.test(error.message)) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, RECEIPT_RETRY_DELAY));
+      }
+    }
+  }
+
+  /**
+   * Add the execution receipts to a send result
+   * @private
+   */
+  async _withReceipts(sendResult, options, commitment) {
+    if (options.receipt === false) {
+      return sendResult;
+    }
+    // The transaction has landed, a failed read must not look like a failed send
+    try {
+      const receipts = await this.getReceipts(sendResult.signature, { commitment });
+      return { ...sendResult, receipt: receipts[0] || null, receipts };
+    } catch (error) {
+      return { ...sendResult, receipt: null, receipts: null, receiptError: error };
+    }
+  }
+
+  /**
+   * Normalize a builder result or base64 data into a transaction
+   * @private
+   */
+  _toTransaction(transaction) {
+    if (!transaction) {
+      throw new PinPetValidationError('transaction is required');
+    }
+    if (typeof transaction === 'string' || transaction instanceof Uint8Array) {
+      return deserializeTransaction(transaction);
+    }
+    return transaction.transaction ? transaction.transaction : transaction;
+  }
+
+  /**
+   * Confirm a sent transaction and throw typed errors when it failed
+   * @private
+   * @param {string} signature - Transaction signature
+   * @param {Object|null} durableNonce - Result of getDurableNonce
+   * @param {Object} strategy - { blockhash, lastValidBlockHeight, minContextSlot }
+   * @param {string} commitment - Confirmation commitment
+   * @returns {Promise<Object>} Confirmation response
+   */
+  async _confirm(signature, durableNonce, { blockhash, lastValidBlockHeight, minContextSlot }, commitment) {
+    const confirmation = durableNonce
+      ? await this.sdk.connection.confirmTransaction({
+        signature,
+        nonceAccountPubkey: durableNonce.nonceAccount,
+        nonceValue: durableNonce.nonceValue,
+        minContextSlot: minContextSlot ?? await this.sdk.connection.getSlot(commitment)
+      }, commitment)
+      : await this.sdk.connection.confirmTransaction({
+        signature,
+        blockhash,
+        lastValidBlockHeight
+      }, commitment);
+
+    if (confirmation.value.err) {
+      const programError = decodeProgramError(confirmation.value.err);
+      if (programError) {
+        throw createProgramError(programError, { prefix: `Transaction ${signature} failed`, signature });
+      }
+      throw new PinPetError(`Transaction ${signature} failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+    return confirmation;
+  }
+
+  /**
+   * Read the observed confirmation status of a confirmed transaction
+   * @private
+   * @param {string} signature - Transaction signature
+   * @returns {Promise<string|null>} 'processed' | 'confirmed' | 'finalized', null when the status could not be read
+   */
+  async _getConfirmationStatus(signature) {
+    try {
+      const { value } = await this.sdk.connection.getSignatureStatus(signature);
+      return value ? value.confirmationStatus ?? null : null;
+    } catch {
+      // The transaction is confirmed, a failed status read must not fail the send
+      return null;
+    }
+  }
+}
+
+module.exports = SenderModule;
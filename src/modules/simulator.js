@@ -2,6 +2,7 @@ const CurveAMM = require('../utils/curve_amm');
 const { simulateLongStopLoss, simulateShortStopLoss, simulateLongSolStopLoss, simulateShortSolStopLoss } = require('./simulator/long_shrot_stop');
 const { simulateTokenBuy, simulateTokenSell } = require('./simulator/buy_sell_token');
 const { simulateLongClose, simulateShortClose } = require('./simulator/close_indices');
+const { PinPetValidationError } = require('../utils/errors');
 
 
 
@@ -189,7 +190,7 @@ class SimulatorModule {
             try {
                 solAmountBigInt = typeof buySolAmount === 'bigint' ? buySolAmount : BigInt(buySolAmount);
                 if (solAmountBigInt <= 0n) {
-                    throw new Error('Amount must be greater than 0');
+                    throw new PinPetValidationError('Amount must be greater than 0');
                 }
             } catch (error) {
                 return {
@@ -298,7 +299,7 @@ class SimulatorModule {
             try {
                 tokenAmountBigInt = typeof sellTokenAmount === 'bigint' ? sellTokenAmount : BigInt(sellTokenAmount);
                 if (tokenAmountBigInt <= 0n) {
-                    throw new Error('Amount must be greater than 0');
+                    throw new PinPetValidationError('Amount must be greater than 0');
                 }
             } catch (error) {
                 return {
@@ -1,6 +1,7 @@
 
 
 const { calcLiqTokenBuy, calcLiqTokenSell } = require('./calcLiq');
+const { PinPetError } = require('../../utils/errors');
 
 /**
  * Simulate token buy transaction - calculate if target token amount can be purchased
@@ -97,7 +98,7 @@ async function simulateTokenBuy(mint, buyTokenAmount, passOrder = null, lastPric
       const recalcIdealSol = BigInt(recalcResult.ideal_lp_sol_amount);
       
       if (recalcRealSol <= 0n) {
-        throw new Error('Recalculated real SOL amount should be greater than 0');
+        throw new PinPetError('Recalculated real SOL amount should be greater than 0');
       }
       
       finalRealSolAmount = recalcRealSol;
@@ -223,7 +224,7 @@ async function simulateTokenSell(mint, sellTokenAmount, passOrder = null, lastPr
       const recalcIdealSol = BigInt(recalcResult.ideal_lp_sol_amount);
       
       if (recalcRealSol <= 0n) {
-        throw new Error('Recalculated real SOL amount should be greater than 0');
+        throw new PinPetError('Recalculated real SOL amount should be greater than 0');
       }
       
       finalRealSolAmount = recalcRealSol;
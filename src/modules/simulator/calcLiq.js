@@ -1,5 +1,6 @@
 
 const CurveAMM = require('../../utils/curve_amm');
+const { PinPetError, PinPetValidationError } = require('../../utils/errors');
 
 
 /**
@@ -62,16 +63,16 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
 
   // Parameter validation
   if (!price && price !== 0) {
-    throw new Error('Parameter validation error: price cannot be null');
+    throw new PinPetValidationError('Parameter validation error: price cannot be null');
   }
   if (!buyTokenAmount && buyTokenAmount !== 0) {
-    throw new Error('Parameter validation error: buyTokenAmount cannot be null');
+    throw new PinPetValidationError('Parameter validation error: buyTokenAmount cannot be null');
   }
   if (!Array.isArray(orders)) {
-    throw new Error('Parameter validation error: orders must be an array');
+    throw new PinPetValidationError('Parameter validation error: orders must be an array');
   }
   if (!onceMaxOrder || onceMaxOrder <= 0) {
-    throw new Error('Parameter validation error: onceMaxOrder must be a positive number');
+    throw new PinPetValidationError('Parameter validation error: onceMaxOrder must be a positive number');
   }
 
   const result = {
@@ -93,7 +94,7 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
   try {
     buyTokenAmountBigInt = BigInt(buyTokenAmount);
   } catch (error) {
-    throw new Error(`Price conversion error: Cannot convert buyTokenAmount to BigInt - ${error.message}`);
+    throw new PinPetError(`Price conversion error: Cannot convert buyTokenAmount to BigInt - ${error.message}`, { cause: error });
   }
 
   // Variable to track previous free liquidity total
@@ -106,7 +107,7 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
     [, result.ideal_lp_sol_amount] = CurveAMM.buyFromPriceWithTokenOutput(priceBigInt, buyTokenAmountBigInt);
     // console.log(`Ideal calculation: current price=${priceBigInt}, target token=${buyTokenAmountBigInt}, ideal SOL=${result.ideal_lp_sol_amount}`);
   } catch (error) {
-    throw new Error(`Buy liquidity calculation error: Ideal liquidity calculation failed - ${error.message}`);
+    throw new PinPetError(`Buy liquidity calculation error: Ideal liquidity calculation failed - ${error.message}`, { cause: error });
   }
 
 
@@ -130,13 +131,13 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
 
     // Validate order data format
     if (!order) {
-      throw new Error(`Order data format error: Order ${i} is null`);
+      throw new PinPetValidationError(`Order data format error: Order ${i} is null`);
     }
     if (!order.lock_lp_start_price) {
-      throw new Error(`Order data format error: Order ${i} missing lock_lp_start_price`);
+      throw new PinPetValidationError(`Order data format error: Order ${i} missing lock_lp_start_price`);
     }
     if (!order.lock_lp_end_price) {
-      throw new Error(`Order data format error: Order ${i} missing lock_lp_end_price`);
+      throw new PinPetValidationError(`Order data format error: Order ${i} missing lock_lp_end_price`);
     }
 
 
@@ -153,7 +154,7 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
         endPrice = BigInt(order.lock_lp_start_price);
       }
     } catch (error) {
-      throw new Error(`Price conversion error: Cannot convert price data for order ${i} - ${error.message}`);
+      throw new PinPetError(`Price conversion error: Cannot convert price data for order ${i} - ${error.message}`, { cause: error });
     }
 
 
@@ -170,7 +171,7 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
             result.free_lp_token_amount_sum += BigInt(tokenAmount);
             // console.log(`Gap[${i}]: ${startPrice}→${endPrice}, gap SOL=${solAmount}, gap token=${tokenAmount}, total free token=${result.free_lp_token_amount_sum}`);
           } catch (error) {
-            throw new Error(`Liquidity calculation error: Cannot convert gap liquidity values - ${error.message}`);
+            throw new PinPetError(`Liquidity calculation error: Cannot convert gap liquidity values - ${error.message}`, { cause: error });
           }
 
 
@@ -189,19 +190,19 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
                 result.force_close_num = counti; // Number of orders to force close
               } catch (error) {
                 // console.log('Error details:', error);
-                throw new Error(`Liquidity calculation error: Precise SOL calculation failed - ${error.message}`);
+                throw new PinPetError(`Liquidity calculation error: Precise SOL calculation failed - ${error.message}`, { cause: error });
               }
             }
           }
 
         } else {
-          throw new Error(`Gap liquidity calculation failure: Invalid return data format`);
+          throw new PinPetError(`Gap liquidity calculation failure: Invalid return data format`);
         }
       } catch (error) {
         if (error.message.includes('Gap liquidity calculation failure') || error.message.includes('Liquidity calculation error')) {
           throw error;
         }
-        throw new Error(`Gap liquidity calculation failure: ${error.message}`);
+        throw new PinPetError(`Gap liquidity calculation failure: ${error.message}`, { cause: error });
       }
     } else {
     }
@@ -215,10 +216,10 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
       // Add skipped order liquidity to free liquidity
       try {
         if (order.lock_lp_sol_amount === undefined || order.lock_lp_sol_amount === null) {
-          throw new Error(`Order data format error: Skipped order ${i} missing lock_lp_sol_amount`);
+          throw new PinPetValidationError(`Order data format error: Skipped order ${i} missing lock_lp_sol_amount`);
         }
         if (order.lock_lp_token_amount === undefined || order.lock_lp_token_amount === null) {
-          throw new Error(`Order data format error: Skipped order ${i} missing lock_lp_token_amount`);
+          throw new PinPetValidationError(`Order data format error: Skipped order ${i} missing lock_lp_token_amount`);
         }
 
         const prevFreeSolSum = result.free_lp_sol_amount_sum; // Save previous value for calculation
@@ -242,7 +243,7 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
               // console.log(`Actual calculation[${i}]: sufficient after skipping order, targetPrice=${targetPrice}, preciseSol=${preciseSol}, actual SOL=${result.real_lp_sol_amount}`);
               result.force_close_num = counti;
             } catch (error) {
-              throw new Error(`Liquidity calculation error: Precise SOL calculation failed after skipping order - ${error.message}`);
+              throw new PinPetError(`Liquidity calculation error: Precise SOL calculation failed after skipping order - ${error.message}`, { cause: error });
             }
           }
         }
@@ -251,16 +252,16 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
         if (error.message.includes('Order data format error') || error.message.includes('Liquidity calculation error')) {
           throw error;
         }
-        throw new Error(`Liquidity calculation error: Cannot process skipped order ${i} liquidity - ${error.message}`);
+        throw new PinPetError(`Liquidity calculation error: Cannot process skipped order ${i} liquidity - ${error.message}`, { cause: error });
       }
     } else {
       // Accumulate locked liquidity (normal case)
       try {
         if (order.lock_lp_sol_amount === undefined || order.lock_lp_sol_amount === null) {
-          throw new Error(`Order data format error: Order ${i} missing lock_lp_sol_amount`);
+          throw new PinPetValidationError(`Order data format error: Order ${i} missing lock_lp_sol_amount`);
         }
         if (order.lock_lp_token_amount === undefined || order.lock_lp_token_amount === null) {
-          throw new Error(`Order data format error: Order ${i} missing lock_lp_token_amount`);
+          throw new PinPetValidationError(`Order data format error: Order ${i} missing lock_lp_token_amount`);
         }
 
         result.lock_lp_sol_amount_sum += BigInt(order.lock_lp_sol_amount);
@@ -269,7 +270,7 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
         if (error.message.includes('Order data format error')) {
           throw error;
         }
-        throw new Error(`Liquidity calculation error: Cannot accumulate locked liquidity for order ${i} - ${error.message}`);
+        throw new PinPetError(`Liquidity calculation error: Cannot accumulate locked liquidity for order ${i} - ${error.message}`, { cause: error });
       }
 
       counti += 1;
@@ -285,7 +286,7 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
 
     const lastOrder = orders[orders.length - 1];
     if (!lastOrder || !lastOrder.lock_lp_end_price) {
-      throw new Error(`Order data format error: Last order missing lock_lp_end_price`);
+      throw new PinPetValidationError(`Order data format error: Last order missing lock_lp_end_price`);
     }
 
     let lastEndPrice, maxPrice;
@@ -293,7 +294,7 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
       lastEndPrice = BigInt(lastOrder.lock_lp_end_price);
       maxPrice = CurveAMM.MAX_U128_PRICE;
     } catch (error) {
-      throw new Error(`Price conversion error: Cannot convert last order price or max price - ${error.message}`);
+      throw new PinPetError(`Price conversion error: Cannot convert last order price or max price - ${error.message}`, { cause: error });
     }
 
 
@@ -308,7 +309,7 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
             result.free_lp_token_amount_sum += BigInt(tokenAmount);
             result.has_infinite_lp = true;
           } catch (error) {
-            throw new Error(`Liquidity calculation error: Cannot convert infinite liquidity values - ${error.message}`);
+            throw new PinPetError(`Liquidity calculation error: Cannot convert infinite liquidity values - ${error.message}`, { cause: error });
           }
 
           // After entering infinite liquidity, also calculate actual SOL needed until can buy enough
@@ -322,19 +323,19 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
                 result.real_lp_sol_amount += BigInt(preciseSol);
                 result.force_close_num = counti; // Number of orders to force close
               } catch (error) {
-                throw new Error(`Liquidity calculation error: Infinite liquidity precise SOL calculation failed - ${error.message}`);
+                throw new PinPetError(`Liquidity calculation error: Infinite liquidity precise SOL calculation failed - ${error.message}`, { cause: error });
               }
             }
           }
 
         } else {
-          throw new Error(`Infinite liquidity calculation failure: Invalid return data format`);
+          throw new PinPetError(`Infinite liquidity calculation failure: Invalid return data format`);
         }
       } catch (error) {
         if (error.message.includes('Infinite liquidity calculation failure') || error.message.includes('Liquidity calculation error') || error.message.includes('Order data format error') || error.message.includes('Price conversion error')) {
           throw error;
         }
-        throw new Error(`Infinite liquidity calculation failure: ${error.message}`);
+        throw new PinPetError(`Infinite liquidity calculation failure: ${error.message}`, { cause: error });
       }
     }
   }
@@ -406,16 +407,16 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
 
   // Parameter validation
   if (!price && price !== 0) {
-    throw new Error('Parameter validation error: price cannot be null');
+    throw new PinPetValidationError('Parameter validation error: price cannot be null');
   }
   if (!sellTokenAmount && sellTokenAmount !== 0) {
-    throw new Error('Parameter validation error: sellTokenAmount cannot be null');
+    throw new PinPetValidationError('Parameter validation error: sellTokenAmount cannot be null');
   }
   if (!Array.isArray(orders)) {
-    throw new Error('Parameter validation error: orders must be an array');
+    throw new PinPetValidationError('Parameter validation error: orders must be an array');
   }
   if (!onceMaxOrder || onceMaxOrder <= 0) {
-    throw new Error('Parameter validation error: onceMaxOrder must be a positive number');
+    throw new PinPetValidationError('Parameter validation error: onceMaxOrder must be a positive number');
   }
 
   const result = {
@@ -434,7 +435,7 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
   try {
     sellTokenAmountBigInt = BigInt(sellTokenAmount);
   } catch (error) {
-    throw new Error(`Price conversion error: Cannot convert sellTokenAmount to BigInt - ${error.message}`);
+    throw new PinPetError(`Price conversion error: Cannot convert sellTokenAmount to BigInt - ${error.message}`, { cause: error });
   }
 
   // Variable to track previous free liquidity total amount
@@ -446,7 +447,7 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
     [, result.ideal_lp_sol_amount] = CurveAMM.sellFromPriceWithTokenInput(priceBigInt, sellTokenAmountBigInt);
     // console.log(`Ideal calculation: current price=${priceBigInt}, sell tokens=${sellTokenAmountBigInt}, ideal SOL=${result.ideal_lp_sol_amount}`);
   } catch (error) {
-    throw new Error(`Sell liquidity calculation error: Ideal liquidity calculation failed - ${error.message}`);
+    throw new PinPetError(`Sell liquidity calculation error: Ideal liquidity calculation failed - ${error.message}`, { cause: error });
   }
 
   // Special calculation when orders length is 0
@@ -477,13 +478,13 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
 
     // Validate order data format
     if (!order) {
-      throw new Error(`Order data format error: Order ${i} is null`);
+      throw new PinPetValidationError(`Order data format error: Order ${i} is null`);
     }
     if (!order.lock_lp_start_price) {
-      throw new Error(`Order data format error: Order ${i} missing lock_lp_start_price`);
+      throw new PinPetValidationError(`Order data format error: Order ${i} missing lock_lp_start_price`);
     }
     if (!order.lock_lp_end_price) {
-      throw new Error(`Order data format error: Order ${i} missing lock_lp_end_price`);
+      throw new PinPetValidationError(`Order data format error: Order ${i} missing lock_lp_end_price`);
     }
 
 
@@ -500,7 +501,7 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
         endPrice = BigInt(order.lock_lp_start_price);
       }
     } catch (error) {
-      throw new Error(`Price conversion error: Cannot convert price data for order ${i} - ${error.message}`);
+      throw new PinPetError(`Price conversion error: Cannot convert price data for order ${i} - ${error.message}`, { cause: error });
     }
 
 
@@ -517,7 +518,7 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
             result.free_lp_token_amount_sum += BigInt(tokenAmount);
             // console.log(`Sell gap[${i}]: ${startPrice}→${endPrice}, gap tokens=${tokenAmount}, gap SOL=${solAmount}, accumulated free tokens=${result.free_lp_token_amount_sum}`);
           } catch (error) {
-            throw new Error(`Liquidity calculation error: Cannot convert gap liquidity values - ${error.message}`);
+            throw new PinPetError(`Liquidity calculation error: Cannot convert gap liquidity values - ${error.message}`, { cause: error });
           }
 
           // Calculate actual SOL amount obtained until we can sell
@@ -532,19 +533,19 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
                 // console.log(`Sell actual calculation[${i}]: free liquidity sufficient, actualSellAmount=${actualSellAmount}, preciseSol=${preciseSol}, actual SOL=${result.real_lp_sol_amount}`);
                 result.force_close_num = counti; // Number of forced close orders
               } catch (error) {
-                throw new Error(`Liquidity calculation error: Precise SOL calculation failed - ${error.message}`);
+                throw new PinPetError(`Liquidity calculation error: Precise SOL calculation failed - ${error.message}`, { cause: error });
               }
             }
           }
 
         } else {
-          throw new Error(`Gap liquidity calculation failure: Invalid return data format`);
+          throw new PinPetError(`Gap liquidity calculation failure: Invalid return data format`);
         }
       } catch (error) {
         if (error.message.includes('Gap liquidity calculation failure') || error.message.includes('Liquidity calculation error')) {
           throw error;
         }
-        throw new Error(`Gap liquidity calculation failure: ${error.message}`);
+        throw new PinPetError(`Gap liquidity calculation failure: ${error.message}`, { cause: error });
       }
     } else {
     }
@@ -556,10 +557,10 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
       // Add skipped order's liquidity to free liquidity
       try {
         if (order.lock_lp_sol_amount === undefined || order.lock_lp_sol_amount === null) {
-          throw new Error(`Order data format error: Skipped order ${i} missing lock_lp_sol_amount`);
+          throw new PinPetValidationError(`Order data format error: Skipped order ${i} missing lock_lp_sol_amount`);
         }
         if (order.lock_lp_token_amount === undefined || order.lock_lp_token_amount === null) {
-          throw new Error(`Order data format error: Skipped order ${i} missing lock_lp_token_amount`);
+          throw new PinPetValidationError(`Order data format error: Skipped order ${i} missing lock_lp_token_amount`);
         }
 
         const prevFreeSolSum = result.free_lp_sol_amount_sum; // Save previous value for calculation
@@ -581,7 +582,7 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
               result.real_lp_sol_amount = prevFreeSolSum + preciseSol;
               result.force_close_num = counti;
             } catch (error) {
-              throw new Error(`Liquidity calculation error: Precise SOL calculation failed after skipping order - ${error.message}`);
+              throw new PinPetError(`Liquidity calculation error: Precise SOL calculation failed after skipping order - ${error.message}`, { cause: error });
             }
           }
         }
@@ -590,16 +591,16 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
         if (error.message.includes('Order data format error') || error.message.includes('Liquidity calculation error')) {
           throw error;
         }
-        throw new Error(`Liquidity calculation error: Cannot process skipped order ${i} liquidity - ${error.message}`);
+        throw new PinPetError(`Liquidity calculation error: Cannot process skipped order ${i} liquidity - ${error.message}`, { cause: error });
       }
     } else {
       // Accumulate locked liquidity (normal case)
       try {
         if (order.lock_lp_sol_amount === undefined || order.lock_lp_sol_amount === null) {
-          throw new Error(`Order data format error: Order ${i} missing lock_lp_sol_amount`);
+          throw new PinPetValidationError(`Order data format error: Order ${i} missing lock_lp_sol_amount`);
         }
         if (order.lock_lp_token_amount === undefined || order.lock_lp_token_amount === null) {
-          throw new Error(`Order data format error: Order ${i} missing lock_lp_token_amount`);
+          throw new PinPetValidationError(`Order data format error: Order ${i} missing lock_lp_token_amount`);
         }
 
         result.lock_lp_sol_amount_sum += BigInt(order.lock_lp_sol_amount);
@@ -608,7 +609,7 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
         if (error.message.includes('Order data format error')) {
           throw error;
         }
-        throw new Error(`Liquidity calculation error: Cannot accumulate locked liquidity for order ${i} - ${error.message}`);
+        throw new PinPetError(`Liquidity calculation error: Cannot accumulate locked liquidity for order ${i} - ${error.message}`, { cause: error });
       }
 
       counti += 1;
@@ -621,7 +622,7 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
 
     const lastOrder = orders[orders.length - 1];
     if (!lastOrder || !lastOrder.lock_lp_end_price) {
-      throw new Error(`Order data format error: Last order missing lock_lp_end_price`);
+      throw new PinPetValidationError(`Order data format error: Last order missing lock_lp_end_price`);
     }
 
     let lastEndPrice, minPrice;
@@ -629,7 +630,7 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
       lastEndPrice = BigInt(lastOrder.lock_lp_end_price);
       minPrice = CurveAMM.MIN_U128_PRICE;
     } catch (error) {
-      throw new Error(`Price conversion error: Cannot convert last order price or min price - ${error.message}`);
+      throw new PinPetError(`Price conversion error: Cannot convert last order price or min price - ${error.message}`, { cause: error });
     }
 
 
@@ -647,7 +648,7 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
             result.free_lp_token_amount_sum += BigInt(tokenAmount);
             result.has_infinite_lp = true;
           } catch (error) {
-            throw new Error(`Liquidity calculation error: Cannot convert infinite liquidity values - ${error.message}`);
+            throw new PinPetError(`Liquidity calculation error: Cannot convert infinite liquidity values - ${error.message}`, { cause: error });
           }
 
           // After entering infinite liquidity, calculate actual SOL amount obtained
@@ -660,19 +661,19 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
                 result.real_lp_sol_amount = prevFreeSolSum + preciseSol;
                 result.force_close_num = counti; // Number of forced close orders
               } catch (error) {
-                throw new Error(`Liquidity calculation error: Infinite liquidity precise SOL calculation failed - ${error.message}`);
+                throw new PinPetError(`Liquidity calculation error: Infinite liquidity precise SOL calculation failed - ${error.message}`, { cause: error });
               }
             }
           }
 
         } else {
-          throw new Error(`Infinite liquidity calculation failure: Invalid return data format`);
+          throw new PinPetError(`Infinite liquidity calculation failure: Invalid return data format`);
         }
       } catch (error) {
         if (error.message.includes('Infinite liquidity calculation failure') || error.message.includes('Liquidity calculation error') || error.message.includes('Order data format error') || error.message.includes('Price conversion error')) {
           throw error;
         }
-        throw new Error(`Infinite liquidity calculation failure: ${error.message}`);
+        throw new PinPetError(`Infinite liquidity calculation failure: ${error.message}`, { cause: error });
       }
     }
   }
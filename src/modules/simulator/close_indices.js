@@ -1,4 +1,5 @@
 const { MAX_CANDIDATE_INDICES } = require('./utils');
+const { PinPetError, PinPetValidationError } = require('../../utils/errors');
 
 // Calculate number of nodes to include before and after the main position
 const CANDIDATE_NODES_EACH_SIDE = Math.floor((MAX_CANDIDATE_INDICES - 1) / 2);
@@ -49,7 +50,7 @@ async function simulateLongClose(mint, closeOrderId, ordersData = null) {
   }
 
   if (!ordersData || !ordersData.success || !ordersData.data || !ordersData.data.orders) {
-    throw new Error('Failed to fetch down_orders data');
+    throw new PinPetError('Failed to fetch down_orders data');
   }
 
   const orders = ordersData.data.orders;
@@ -68,7 +69,7 @@ async function simulateLongClose(mint, closeOrderId, ordersData = null) {
 
   // 4. If order not found, throw error
   if (targetOrderIndex === -1) {
-    throw new Error(`Order with order_id ${targetOrderId} not found in down_orders`);
+    throw new PinPetValidationError(`Order with order_id ${targetOrderId} not found in down_orders`, { param: 'closeOrderId' });
   }
 
   // 5. Get target order's OrderBook index
@@ -142,7 +143,7 @@ async function simulateShortClose(mint, closeOrderId, ordersData = null) {
   }
 
   if (!ordersData || !ordersData.success || !ordersData.data || !ordersData.data.orders) {
-    throw new Error('Failed to fetch up_orders data');
+    throw new PinPetError('Failed to fetch up_orders data');
   }
 
   const orders = ordersData.data.orders;
@@ -161,7 +162,7 @@ async function simulateShortClose(mint, closeOrderId, ordersData = null) {
 
   // 4. If order not found, throw error
   if (targetOrderIndex === -1) {
-    throw new Error(`Order with order_id ${targetOrderId} not found in up_orders`);
+    throw new PinPetValidationError(`Order with order_id ${targetOrderId} not found in up_orders`, { param: 'closeOrderId' });
   }
 
   // 5. Get target order's OrderBook index
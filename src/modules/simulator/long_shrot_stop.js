@@ -3,6 +3,7 @@ const CurveAMM = require('../../utils/curve_amm');
 const {transformOrdersData , checkPriceRangeOverlap} = require('./stop_loss_utils')
 const { PRICE_ADJUSTMENT_PERCENTAGE, MIN_STOP_LOSS_PERCENT } = require('./utils');
 const JSONbig = require('json-bigint')({ storeAsString: false });
+const { PinPetError, PinPetValidationError } = require('../../utils/errors');
 
 /**
  * Simulate long position stop loss calculation
@@ -128,7 +129,7 @@ async function simulateLongStopLoss(mint, buyTokenAmount, stopLossPrice, lastPri
     try {
         // Parameter validation
         if (!mint || !buyTokenAmount || !stopLossPrice) {
-            throw new Error('Missing required parameters');
+            throw new PinPetValidationError('Missing required parameters');
         }
 
         // Get current price
@@ -136,7 +137,7 @@ async function simulateLongStopLoss(mint, buyTokenAmount, stopLossPrice, lastPri
             //console.log('Getting current price...');
             lastPrice = await this.sdk.data.price(mint);
             if (!lastPrice) {
-                throw new Error('Failed to get current price');
+                throw new PinPetError('Failed to get current price');
             }
         }
         console.log("simulateLongStopLoss lastPrice=", lastPrice)
@@ -146,7 +147,7 @@ async function simulateLongStopLoss(mint, buyTokenAmount, stopLossPrice, lastPri
             //console.log('Getting orders data...');
             ordersData = await this.sdk.data.orders(mint, { type: 'down_orders' });
             if (!ordersData || !ordersData.success) {
-                throw new Error('Failed to get orders data');
+                throw new PinPetError('Failed to get orders data');
             }
         }
 
@@ -215,7 +216,7 @@ async function simulateLongStopLoss(mint, buyTokenAmount, stopLossPrice, lastPri
                 console.error(`[Long Stop Loss Error] Failed at iteration ${iteration}`);
                 console.error(`  - stopLossStartPrice: ${stopLossStartPrice.toString()}`);
                 console.error(`  - buyTokenAmount: ${buyTokenAmount.toString()}`);
-                throw new Error('Failed to calculate stop loss end price');
+                throw new PinPetError('Failed to calculate stop loss end price');
             }
 
             stopLossEndPrice = tradeResult[0]; // Price after trade completion
@@ -246,12 +247,12 @@ async function simulateLongStopLoss(mint, buyTokenAmount, stopLossPrice, lastPri
 
             // Safety check: ensure price doesn't become negative
             if (stopLossStartPrice <= 0n) {
-                throw new Error('Stop loss price became negative after adjustment, cannot continue');
+                throw new PinPetError('Stop loss price became negative after adjustment, cannot continue');
             }
         }
 
         if (iteration >= maxIterations) {
-            throw new Error('Reached maximum iterations, cannot find suitable stop loss price');
+            throw new PinPetError('Reached maximum iterations, cannot find suitable stop loss price');
         }
 
         // Calculate final return values
@@ -437,7 +438,7 @@ async function simulateShortStopLoss(mint, sellTokenAmount, stopLossPrice, lastP
     try {
         // Parameter validation
         if (!mint || !sellTokenAmount || !stopLossPrice) {
-            throw new Error('Missing required parameters');
+            throw new PinPetValidationError('Missing required parameters');
         }
 
         // Get current price
@@ -445,7 +446,7 @@ async function simulateShortStopLoss(mint, sellTokenAmount, stopLossPrice, lastP
             //console.log('Getting current price...');
             lastPrice = await this.sdk.data.price(mint);
             if (!lastPrice) {
-                throw new Error('Failed to get current price');
+                throw new PinPetError('Failed to get current price');
             }
         }
 
@@ -454,7 +455,7 @@ async function simulateShortStopLoss(mint, sellTokenAmount, stopLossPrice, lastP
             //console.log('Getting orders data...');
             ordersData = await this.sdk.data.orders(mint, { type: 'up_orders' });
             if (!ordersData || !ordersData.success) {
-                throw new Error('Failed to get orders data');
+                throw new PinPetError('Failed to get orders data');
             }
         }
 
@@ -521,7 +522,7 @@ async function simulateShortStopLoss(mint, sellTokenAmount, stopLossPrice, lastP
                 console.error(`[Sell Stop Loss Error] Failed at iteration ${iteration}`);
                 console.error(`  - stopLossStartPrice: ${stopLossStartPrice.toString()}`);
                 console.error(`  - sellTokenAmount: ${sellTokenAmount.toString()}`);
-                throw new Error('Failed to calculate stop loss end price');
+                throw new PinPetError('Failed to calculate stop loss end price');
             }
 
             stopLossEndPrice = tradeResult[0]; // Price after trade completion
@@ -552,12 +553,12 @@ async function simulateShortStopLoss(mint, sellTokenAmount, stopLossPrice, lastP
 
             // Safety check: ensure price doesn't exceed maximum
             if (stopLossStartPrice >= CurveAMM.MAX_U128_PRICE) {
-                throw new Error(`Stop loss price exceeded maximum after adjustment: ${stopLossStartPrice} >= ${CurveAMM.MAX_U128_PRICE}`);
+                throw new PinPetError(`Stop loss price exceeded maximum after adjustment: ${stopLossStartPrice} >= ${CurveAMM.MAX_U128_PRICE}`);
             }
         }
 
         if (iteration >= maxIterations) {
-            throw new Error('Reached maximum iterations, cannot find suitable stop loss price');
+            throw new PinPetError('Reached maximum iterations, cannot find suitable stop loss price');
         }
 
         // Calculate final return values
@@ -685,7 +686,7 @@ async function simulateLongSolStopLoss(mint, buySolAmount, stopLossPrice, lastPr
     try {
         // Parameter validation
         if (!mint || !buySolAmount || !stopLossPrice) {
-            throw new Error('Missing required parameters');
+            throw new PinPetValidationError('Missing required parameters');
         }
 
         // Get current price if not provided
@@ -693,7 +694,7 @@ async function simulateLongSolStopLoss(mint, buySolAmount, stopLossPrice, lastPr
         if (!lastPrice) {
             lastPrice = await this.sdk.data.price(mint);
             if (!lastPrice) {
-                throw new Error('Failed to get current price');
+                throw new PinPetError('Failed to get current price');
             }
         }
 
@@ -711,7 +712,7 @@ async function simulateLongSolStopLoss(mint, buySolAmount, stopLossPrice, lastPr
         // This gives us how many tokens we can get when we later sell for buySolAmount SOL
         const initialResult = CurveAMM.sellFromPriceWithSolOutput(currentPrice, buySolAmount);
         if (!initialResult) {
-            throw new Error('Failed to calculate token amount from SOL amount');
+            throw new PinPetError('Failed to calculate token amount from SOL amount');
         }
 
         let buyTokenAmount = initialResult[1]; // Token amount
@@ -849,7 +850,7 @@ async function simulateShortSolStopLoss(mint, sellSolAmount, stopLossPrice, last
     try {
         // Parameter validation
         if (!mint || !sellSolAmount || !stopLossPrice) {
-            throw new Error('Missing required parameters');
+            throw new PinPetValidationError('Missing required parameters');
         }
 
         // Get current price if not provided
@@ -857,7 +858,7 @@ async function simulateShortSolStopLoss(mint, sellSolAmount, stopLossPrice, last
         if (!lastPrice) {
             lastPrice = await this.sdk.data.price(mint);
             if (!lastPrice) {
-                throw new Error('Failed to get current price');
+                throw new PinPetError('Failed to get current price');
             }
         }
 
@@ -877,7 +878,7 @@ async function simulateShortSolStopLoss(mint, sellSolAmount, stopLossPrice, last
         // This gives us how many tokens we need to buy later using sellSolAmount SOL
         const initialResult = CurveAMM.buyFromPriceWithSolInput(currentPrice, sellSolAmount);
         if (!initialResult) {
-            throw new Error('Failed to calculate token amount from SOL amount');
+            throw new PinPetError('Failed to calculate token amount from SOL amount');
         }
 
         let sellTokenAmount = initialResult[1]; // Token amount
@@ -1,5 +1,6 @@
 
 const { MAX_CANDIDATE_INDICES } = require('./utils');
+const { PinPetValidationError } = require('../../utils/errors');
 
 // Liquidity reservation ratio - how much liquidity to reserve relative to the last locked liquidity
 const LIQUIDITY_RESERVATION = 100;  // 100%
@@ -14,7 +15,7 @@ const CANDIDATE_NODES_EACH_SIDE = Math.floor((MAX_CANDIDATE_INDICES - 1) / 2);
  */
 function transformOrdersData(ordersData) {
   if (!ordersData || !ordersData.success || !ordersData.data || !ordersData.data.orders) {
-    throw new Error('Invalid orders data format');
+    throw new PinPetValidationError('Invalid orders data format');
   }
 
   return ordersData.data.orders.map(order => ({
@@ -241,7 +242,7 @@ function checkPriceRangeOverlap(order_type, order_list, lp_start_price, lp_end_p
 
   // Validate and normalize input price range, ensure minPrice <= maxPrice
   if ((isDown && startPrice < endPrice) || (!isDown && startPrice > endPrice)) {
-    throw new Error('Input start and end prices do not match order type rules.');
+    throw new PinPetValidationError('Input start and end prices do not match order type rules.');
   }
   const minPrice = isDown ? endPrice : startPrice;
   const maxPrice = isDown ? startPrice : endPrice;
@@ -1,11 +1,15 @@
-const { ComputeBudgetProgram, PublicKey, Transaction, Keypair, SystemProgram, SYSVAR_RENT_PUBKEY } = require('@solana/web3.js');
+const { ComputeBudgetProgram, Transaction, Keypair, SystemProgram, SYSVAR_RENT_PUBKEY } = require('@solana/web3.js');
 const { TOKEN_PROGRAM_ID, getAssociatedTokenAddress, createAssociatedTokenAccountInstruction, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
 const anchor = require('@coral-xyz/anchor');
-// Use buffer package consistently across all platforms
-const { Buffer } = require('buffer');
+const { createComputeBudgetInstructions, applySimulatedComputeUnits } = require('../utils/compute_budget');
+const { finalizeTransaction, toInstructionSet, INSTRUCTION_SET_BUILD_OPTIONS } = require('../utils/transaction');
+const { resolvePublicKey } = require('../utils/signer');
+const { METADATA_PROGRAM_ID } = require('../utils/pda');
+const { PinPetValidationError } = require('../utils/errors');
 
-// Metaplex Token Metadata Program ID
-const METADATA_PROGRAM_ID = new PublicKey("metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s");
+// Default compute units limits (also the fallback of computeUnits: 'auto')
+const DEFAULT_CREATE_COMPUTE_UNITS = 400000;
+const DEFAULT_CREATE_AND_BUY_COMPUTE_UNITS = 1800000;
 
 /**
  * Token Module
@@ -19,20 +23,31 @@ class TokenModule {
   /**
    * Create new token
    * @param {Object} params - Creation parameters
-   * @param {Keypair} params.mint - Token mint keypair
+   * @param {Keypair} [params.mint] - Token mint keypair, generated when omitted (returned in signers)
    * @param {string} params.name - Token name
    * @param {string} params.symbol - Token symbol
    * @param {string} params.uri - Metadata URI
-   * @param {PublicKey} params.payer - Creator public key (payer)
+   * @param {PublicKey|Keypair|Object} params.payer - Creator public key (payer), or signer (Keypair, anchor Wallet, wallet adapter)
+   * @param {Object} options - Optional parameters
+   * @param {number|string} options.computeUnits - Compute units limit, default 400000, or 'auto' to size by simulation
+   * @param {number} options.computeUnitMargin - Safety margin added to simulated units by 'auto', default 0.1 (10%)
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per compute unit, or 'auto' to estimate from recent fees
+   * @param {number} options.priorityFeePercentile - Percentile of recent fees used by 'auto', default 75
+   * @param {string|number} options.version - Transaction version: 'legacy' (default) or 0 to return a VersionedTransaction
+   * @param {Array<PublicKey|string|AddressLookupTableAccount>} options.lookupTables - Lookup tables used by version 0
+   * @param {Object} options.nonce - Durable nonce { nonceAccount, nonceAuthority?, nonceValue? }: prepends nonceAdvance and uses the nonce value as blockhash (offline signing)
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    */
   async create({
-    mint,
+    mint = Keypair.generate(),
     name,
     symbol,
     uri,
-    payer
-  }) {
+    payer: payerSigner
+  }, options = {}) {
+    const { computeUnits = DEFAULT_CREATE_COMPUTE_UNITS, priorityFee, priorityFeePercentile, computeUnitMargin, version, lookupTables, nonce } = options;
+    const payer = resolvePublicKey(payerSigner, 'payer');
+
     console.log('Token Module - Create:', {
       mint: mint.publicKey.toString(),
       name,
@@ -42,58 +57,21 @@ class TokenModule {
     });
 
     // Calculate borrowing liquidity pool account address (borrowing_curve)
-    const [curveAccount] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("borrowing_curve"),
-        mint.publicKey.toBuffer(),
-      ],
-      this.sdk.programId
-    );
+    const curveAccount = this.sdk.pda.curveAccount(mint.publicKey);
 
     // Calculate liquidity pool token account address (pool_token)
-    const [poolTokenAccount] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("pool_token"),
-        mint.publicKey.toBuffer(),
-      ],
-      this.sdk.programId
-    );
+    const poolTokenAccount = this.sdk.pda.poolTokenAccount(mint.publicKey);
 
     // Calculate liquidity pool SOL account address (pool_sol)
-    const [poolSolAccount] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("pool_sol"),
-        mint.publicKey.toBuffer(),
-      ],
-      this.sdk.programId
-    );
+    const poolSolAccount = this.sdk.pda.poolSolAccount(mint.publicKey);
 
     // Calculate order book accounts (new)
-    const [upOrderbook] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("up_orderbook"),
-        mint.publicKey.toBuffer(),
-      ],
-      this.sdk.programId
-    );
+    const upOrderbook = this.sdk.pda.upOrderbook(mint.publicKey);
 
-    const [downOrderbook] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("down_orderbook"),
-        mint.publicKey.toBuffer(),
-      ],
-      this.sdk.programId
-    );
+    const downOrderbook = this.sdk.pda.downOrderbook(mint.publicKey);
 
     // Calculate Metaplex metadata account address
-    const [metadataAccount] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("metadata"),
-        METADATA_PROGRAM_ID.toBuffer(),
-        mint.publicKey.toBuffer(),
-      ],
-      METADATA_PROGRAM_ID
-    );
+    const metadataAccount = this.sdk.pda.metadata(mint.publicKey);
 
     console.log('Calculated account addresses:');
     console.log('  Borrowing liquidity pool account:', curveAccount.toString());
@@ -106,12 +84,15 @@ class TokenModule {
 
     // Validate required configuration
     if (!this.sdk.paramsAccount) {
-      throw new Error('SDK paramsAccount not configured, please provide paramsAccount configuration during initialization');
+      throw new PinPetValidationError('SDK paramsAccount not configured, please provide paramsAccount configuration during initialization', { param: 'paramsAccount' });
     }
 
-    // Create compute budget instruction
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: 400000
+    // Create compute budget instructions
+    const computeBudgetIxs = await createComputeBudgetInstructions(this.sdk.connection, {
+      computeUnits,
+      priorityFee,
+      priorityFeePercentile,
+      writableAccounts: [curveAccount, poolTokenAccount, poolSolAccount, upOrderbook, downOrderbook]
     });
 
     // Create transaction instructions
@@ -136,13 +117,24 @@ class TokenModule {
 
     // Create transaction and add instructions
     const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
+    transaction.add(...computeBudgetIxs);
     transaction.add(createIx);
 
+    // Size compute units by simulation when computeUnits is 'auto'
+    if (computeUnits === 'auto') {
+      await applySimulatedComputeUnits(this.sdk.connection, transaction, payer, {
+        fallbackUnits: DEFAULT_CREATE_COMPUTE_UNITS,
+        margin: computeUnitMargin
+      });
+    }
+
+    // Output a v0 VersionedTransaction when version is 0
+    const outputTransaction = await finalizeTransaction(this.sdk.connection, transaction, payer, { version, lookupTables, nonce });
+
     console.log('Token creation transaction built, signers required:', [payer.toString(), mint.publicKey.toString()]);
 
     return {
-      transaction,
+      transaction: outputTransaction,
       signers: [mint], // mint keypair needs to be a signer
       accounts: {
         mint: mint.publicKey,
@@ -162,27 +154,34 @@ class TokenModule {
    * Merges create and buy instructions into a single transaction for a single signature submission
    *
    * @param {Object} params - Creation and buy parameters
-   * @param {Keypair} params.mint - Token mint keypair
+   * @param {Keypair} [params.mint] - Token mint keypair, generated when omitted (returned in signers)
    * @param {string} params.name - Token name
    * @param {string} params.symbol - Token symbol
    * @param {string} params.uri - Metadata URI
-   * @param {PublicKey} params.payer - Creator public key (payer)
+   * @param {PublicKey|Keypair|Object} params.payer - Creator public key (payer), or signer (Keypair, anchor Wallet, wallet adapter)
    * @param {anchor.BN} params.buyTokenAmount - Amount of tokens to buy
    * @param {anchor.BN} params.maxSolAmount - Maximum SOL to spend
    * @param {Object} options - Optional parameters
-   * @param {number} options.computeUnits - Compute units limit, default 1800000
+   * @param {number|string} options.computeUnits - Compute units limit, default 1800000, or 'auto' to size by simulation
+   * @param {number} options.computeUnitMargin - Safety margin added to simulated units by 'auto', default 0.1 (10%)
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per compute unit, or 'auto' to estimate from recent fees
+   * @param {number} options.priorityFeePercentile - Percentile of recent fees used by 'auto', default 75
+   * @param {string|number} options.version - Transaction version: 'legacy' (default) or 0 to return a VersionedTransaction
+   * @param {Array<PublicKey|string|AddressLookupTableAccount>} options.lookupTables - Lookup tables used by version 0
+   * @param {Object} options.nonce - Durable nonce { nonceAccount, nonceAuthority?, nonceValue? }: prepends nonceAdvance and uses the nonce value as blockhash (offline signing)
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    */
   async createAndBuy({
-    mint,
+    mint = Keypair.generate(),
     name,
     symbol,
     uri,
-    payer,
+    payer: payerSigner,
     buyTokenAmount,
     maxSolAmount
   }, options = {}) {
-    const { computeUnits = 1800000 } = options;
+    const { computeUnits = DEFAULT_CREATE_AND_BUY_COMPUTE_UNITS, priorityFee, priorityFeePercentile, computeUnitMargin, version, lookupTables, nonce } = options;
+    const payer = resolvePublicKey(payerSigner, 'payer');
 
     console.log('Token Module - CreateAndBuy:', {
       mint: mint.publicKey.toString(),
@@ -196,7 +195,7 @@ class TokenModule {
 
     // 1. Validate parameters
     if (!anchor.BN.isBN(buyTokenAmount) || !anchor.BN.isBN(maxSolAmount)) {
-      throw new Error('buyTokenAmount and maxSolAmount must be anchor.BN type');
+      throw new PinPetValidationError('buyTokenAmount and maxSolAmount must be anchor.BN type');
     }
 
     // 2. Call create method to get create transaction
@@ -220,7 +219,7 @@ class TokenModule {
 
     // Verify these accounts are configured
     if (!feeRecipientAccount || !baseFeeRecipientAccount) {
-      throw new Error('Fee recipient accounts not configured in SDK options');
+      throw new PinPetValidationError('Fee recipient accounts not configured in SDK options', { param: 'feeRecipient' });
     }
 
     console.log('Fee recipient accounts:');
@@ -238,25 +237,12 @@ class TokenModule {
     );
 
     // Calculate cooldown PDA
-    const [cooldownPDA] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from('trade_cooldown'),
-        mintPubkey.toBuffer(),
-        payer.toBuffer()
-      ],
-      this.sdk.programId
-    );
+    const cooldownPDA = this.sdk.pda.cooldown(mintPubkey, payer);
 
     // Calculate orderbook PDAs (reuse values calculated in create)
-    const [upOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from('up_orderbook'), mintPubkey.toBuffer()],
-      this.sdk.programId
-    );
+    const upOrderbook = this.sdk.pda.upOrderbook(mintPubkey);
 
-    const [downOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from('down_orderbook'), mintPubkey.toBuffer()],
-      this.sdk.programId
-    );
+    const downOrderbook = this.sdk.pda.downOrderbook(mintPubkey);
 
     console.log('Buy-related accounts:');
     console.log('  User token account:', userTokenAccount.toString());
@@ -309,15 +295,24 @@ class TokenModule {
     console.log('Step 6: Merging create and buy transactions...');
     const transaction = new Transaction();
 
-    // Set compute unit limit
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
+    // Set compute unit limit and priority fee
+    const computeBudgetIxs = await createComputeBudgetInstructions(this.sdk.connection, {
+      computeUnits,
+      priorityFee,
+      priorityFeePercentile,
+      writableAccounts: [
+        createResult.accounts.curveAccount,
+        createResult.accounts.poolTokenAccount,
+        createResult.accounts.poolSolAccount,
+        upOrderbook,
+        downOrderbook
+      ]
     });
-    transaction.add(modifyComputeUnits);
+    transaction.add(...computeBudgetIxs);
 
-    // Add all instructions from create transaction (skip compute budget instruction from create)
+    // Add all instructions from create transaction (skip compute budget instructions from create)
     createResult.transaction.instructions.forEach(ix => {
-      // Skip compute budget instruction from create transaction (we already added it)
+      // Skip compute budget instructions from create transaction (we already added them)
       if (ix.programId.equals(ComputeBudgetProgram.programId)) {
         return;
       }
@@ -332,14 +327,25 @@ class TokenModule {
     // Add buy instruction
     transaction.add(buyIx);
 
+    // Size compute units by simulation when computeUnits is 'auto'
+    const appliedComputeUnits = computeUnits === 'auto'
+      ? await applySimulatedComputeUnits(this.sdk.connection, transaction, payer, {
+        fallbackUnits: DEFAULT_CREATE_AND_BUY_COMPUTE_UNITS,
+        margin: computeUnitMargin
+      })
+      : computeUnits;
+
+    // Output a v0 VersionedTransaction when version is 0
+    const outputTransaction = await finalizeTransaction(this.sdk.connection, transaction, payer, { version, lookupTables, nonce });
+
     console.log('CreateAndBuy transaction built successfully:');
     console.log('  Total instructions:', transaction.instructions.length);
-    console.log('  Compute units:', computeUnits);
+    console.log('  Compute units:', appliedComputeUnits);
     console.log('  Signers required:', [payer.toString(), mint.publicKey.toString()]);
 
     // 8. Return merged transaction
     return {
-      transaction,
+      transaction: outputTransaction,
       signers: [mint],  // mint keypair needs to sign
       accounts: {
         // create accounts
@@ -353,6 +359,33 @@ class TokenModule {
     };
   }
 
+  /**
+   * Create token, instructions only (see sdk.composer)
+   * @param {Object} params - Same parameters as create(); compute budget options are not accepted, pass them to sdk.composer.compose()
+   * @returns {Promise<Object>} Instruction set { instructions, signers, accounts, payer, lookupAccounts }
+   */
+  async createInstructions(params) {
+    return toInstructionSet(await this.create(params, INSTRUCTION_SET_BUILD_OPTIONS));
+  }
+
+  /**
+   * Create token and buy, instructions only (see sdk.composer)
+   * @param {Object} params - Same parameters as createAndBuy(); compute budget options are not accepted, pass them to sdk.composer.compose()
+   * @returns {Promise<Object>} Instruction set { instructions, signers, accounts, payer, lookupAccounts }
+   *
+   * @example
+   * // Launch and buy from a second wallet in one transaction
+   * const launch = await sdk.token.createAndBuyInstructions({ name, symbol, uri, payer: creator.publicKey, buyTokenAmount, maxSolAmount });
+   * const secondBuy = await sdk.trading.buyInstructions({
+   *   mintAccount: launch.accounts.mint, buyTokenAmount, maxSolAmount, payer: buyer.publicKey,
+   *   feeRecipients: { feeRecipient: launch.accounts.feeRecipientAccount, baseFeeRecipient: launch.accounts.baseFeeRecipientAccount }
+   * });
+   * const result = await sdk.composer.compose([launch, secondBuy], { payer: creator.publicKey, signers: [buyer] });
+   */
+  async createAndBuyInstructions(params) {
+    return toInstructionSet(await this.createAndBuy(params, INSTRUCTION_SET_BUILD_OPTIONS));
+  }
+
 }
 
 module.exports = TokenModule;
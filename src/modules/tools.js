@@ -1,12 +1,13 @@
 const anchor = require('@coral-xyz/anchor');
-const { PublicKey, SystemProgram, SYSVAR_RENT_PUBKEY, Transaction } = require('@solana/web3.js');
+const { PublicKey, SystemProgram, SYSVAR_RENT_PUBKEY, Transaction, AddressLookupTableProgram, ComputeBudgetProgram } = require('@solana/web3.js');
 const { getAssociatedTokenAddress, TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
-// Use buffer package consistently across all platforms
-const { Buffer } = require('buffer');
+const { resolvePublicKey } = require('../utils/signer');
+const { toInstructionSet } = require('../utils/transaction');
+const { PinPetError, PinPetAccountNotFoundError, PinPetValidationError, PinPetDecodeError } = require('../utils/errors');
 
 /**
  * Tools Module
- * Provides trading utility functions: approve trade and close cooldown PDA
+ * Provides trading utility functions: approve trade, close cooldown PDA and per-market address lookup tables
  */
 class ToolsModule {
   /**
@@ -26,7 +27,7 @@ class ToolsModule {
    *
    * @param {Object} params - Parameters
    * @param {PublicKey|string} params.mint - Token mint address
-   * @param {Keypair} params.wallet - User wallet for signing
+   * @param {Keypair|Object} params.wallet - User wallet: Keypair, anchor Wallet or wallet adapter
    * @returns {Promise<Object>} Transaction object and related account info
    *
    * @example
@@ -45,15 +46,15 @@ class ToolsModule {
 
     // Validate parameters
     if (!mint) {
-      throw new Error('mint parameter is required');
+      throw new PinPetValidationError('mint parameter is required', { param: 'mint' });
     }
     if (!wallet) {
-      throw new Error('wallet parameter is required');
+      throw new PinPetValidationError('wallet parameter is required', { param: 'wallet' });
     }
 
     // Convert mint to PublicKey
     const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
-    const walletPubkey = wallet.publicKey;
+    const walletPubkey = resolvePublicKey(wallet, 'wallet');
 
     // Calculate user token account
     const userTokenAccount = await getAssociatedTokenAddress(
@@ -62,14 +63,7 @@ class ToolsModule {
     );
 
     // Calculate trade cooldown PDA
-    const [cooldown] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from('trade_cooldown'),
-        mintPubkey.toBuffer(),
-        walletPubkey.toBuffer()
-      ],
-      this.sdk.programId
-    );
+    const cooldown = this.sdk.pda.cooldown(mintPubkey, walletPubkey);
 
     // Build instruction
     const approveTradeIx = await this.sdk.program.methods
@@ -119,7 +113,7 @@ class ToolsModule {
    *
    * @param {Object} params - Parameters
    * @param {PublicKey|string} params.mint - Token mint address
-   * @param {Keypair} params.wallet - User wallet for signing
+   * @param {Keypair|Object} params.wallet - User wallet: Keypair, anchor Wallet or wallet adapter
    * @returns {Promise<Object>} Transaction object and related account info
    *
    * @example
@@ -138,15 +132,15 @@ class ToolsModule {
 
     // Validate parameters
     if (!mint) {
-      throw new Error('mint parameter is required');
+      throw new PinPetValidationError('mint parameter is required', { param: 'mint' });
     }
     if (!wallet) {
-      throw new Error('wallet parameter is required');
+      throw new PinPetValidationError('wallet parameter is required', { param: 'wallet' });
     }
 
     // Convert mint to PublicKey
     const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
-    const walletPubkey = wallet.publicKey;
+    const walletPubkey = resolvePublicKey(wallet, 'wallet');
 
     // Calculate user token account
     const userTokenAccount = await getAssociatedTokenAddress(
@@ -155,20 +149,16 @@ class ToolsModule {
     );
 
     // Calculate trade cooldown PDA
-    const [cooldown] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from('trade_cooldown'),
-        mintPubkey.toBuffer(),
-        walletPubkey.toBuffer()
-      ],
-      this.sdk.programId
-    );
+    const cooldown = this.sdk.pda.cooldown(mintPubkey, walletPubkey);
 
     // Get cooldown account to fetch bump
     // Use manual fetch method to avoid provider issues
     const cooldownAccountInfo = await this.sdk.connection.getAccountInfo(cooldown);
     if (!cooldownAccountInfo) {
-      throw new Error(`Cooldown PDA does not exist for mint: ${mint} and wallet: ${wallet.publicKey.toString()}`);
+      throw new PinPetAccountNotFoundError(`Cooldown PDA does not exist for mint: ${mint} and wallet: ${walletPubkey.toString()}`, {
+        accountType: 'trade_cooldown',
+        address: cooldown
+      });
     }
 
     const accountsCoder = new anchor.BorshAccountsCoder(this.sdk.program.idl);
@@ -179,7 +169,7 @@ class ToolsModule {
       try {
         cooldownAccountData = accountsCoder.decode('tradeCooldown', cooldownAccountInfo.data);
       } catch (e2) {
-        throw new Error(`Cannot decode cooldown account: ${e1.message}`);
+        throw new PinPetDecodeError(`Cannot decode cooldown account: ${e1.message}`, { accountType: 'TradeCooldown', cause: e1 });
       }
     }
 
@@ -228,7 +218,7 @@ class ToolsModule {
    *
    * @param {Object} params - Parameters
    * @param {PublicKey|string} params.mint - Token mint address
-   * @param {Keypair|Object} params.wallet - User wallet (can be Keypair or object with publicKey)
+   * @param {Keypair|Object|PublicKey} params.wallet - User wallet: Keypair, anchor Wallet, wallet adapter or public key
    * @param {anchor.BN|number|string} [params.tokenBalance] - Optional: user's current token balance, if not provided will fetch from chain
    * @returns {Promise<Object>} Validation result with detailed info
    *
@@ -255,15 +245,15 @@ class ToolsModule {
 
     // Validate parameters
     if (!mint) {
-      throw new Error('mint parameter is required');
+      throw new PinPetValidationError('mint parameter is required', { param: 'mint' });
     }
     if (!wallet) {
-      throw new Error('wallet parameter is required');
+      throw new PinPetValidationError('wallet parameter is required', { param: 'wallet' });
     }
 
     // Convert mint to PublicKey
     const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
-    const walletPubkey = wallet.publicKey || wallet;
+    const walletPubkey = resolvePublicKey(wallet, 'wallet');
 
     // Calculate user token account
     const userTokenAccount = await getAssociatedTokenAddress(
@@ -272,14 +262,7 @@ class ToolsModule {
     );
 
     // Calculate trade cooldown PDA
-    const [cooldown] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from('trade_cooldown'),
-        mintPubkey.toBuffer(),
-        walletPubkey.toBuffer()
-      ],
-      this.sdk.programId
-    );
+    const cooldown = this.sdk.pda.cooldown(mintPubkey, walletPubkey);
 
     // Get cooldown account data
     const cooldownAccountInfo = await this.sdk.connection.getAccountInfo(cooldown);
@@ -309,7 +292,7 @@ class ToolsModule {
       try {
         cooldownAccountData = accountsCoder.decode('tradeCooldown', cooldownAccountInfo.data);
       } catch (e2) {
-        throw new Error(`Cannot decode cooldown account: ${e1.message}`);
+        throw new PinPetDecodeError(`Cannot decode cooldown account: ${e1.message}`, { accountType: 'TradeCooldown', cause: e1 });
       }
     }
 
@@ -326,7 +309,10 @@ class ToolsModule {
       // Fetch token balance from chain
       const userTokenAccountInfo = await this.sdk.connection.getAccountInfo(userTokenAccount);
       if (!userTokenAccountInfo) {
-        throw new Error(`User token account does not exist for mint: ${mint} and wallet: ${walletPubkey.toString()}`);
+        throw new PinPetAccountNotFoundError(`User token account does not exist for mint: ${mint} and wallet: ${walletPubkey.toString()}`, {
+          accountType: 'user_token_account',
+          address: userTokenAccount
+        });
       }
 
       try {
@@ -334,7 +320,7 @@ class ToolsModule {
         const tokenAccountInfo = await this.sdk.connection.getTokenAccountBalance(userTokenAccount);
         currentTokenBalance = new anchor.BN(tokenAccountInfo.value.amount);
       } catch (e) {
-        throw new Error(`Cannot fetch token balance: ${e.message}`);
+        throw new PinPetError(`Cannot fetch token balance: ${e.message}`, { cause: e });
       }
     }
 
@@ -365,6 +351,231 @@ class ToolsModule {
       }
     };
   }
+
+  /**
+   * Approve trade, instructions only (see sdk.composer)
+   * @param {Object} params - Same parameters as approveTrade(); takes no options, compute budget is set by sdk.composer.compose()
+   * @returns {Promise<Object>} Instruction set { instructions, signers, accounts, payer, lookupAccounts }
+   *
+   * @example
+   * const approve = await sdk.tools.approveTradeInstructions({ mint, wallet });
+   * const sell = await sdk.trading.sellInstructions({ mintAccount: mint, sellTokenAmount, minSolOutput, payer: wallet });
+   * const result = await sdk.composer.compose([approve, sell]);
+   */
+  async approveTradeInstructions(params) {
+    return toInstructionSet(await this.approveTrade(params));
+  }
+
+  /**
+   * Close trade cooldown, instructions only (see sdk.composer)
+   * @param {Object} params - Same parameters as closeTradeCooldown(); takes no options, compute budget is set by sdk.composer.compose()
+   * @returns {Promise<Object>} Instruction set { instructions, signers, accounts, payer, lookupAccounts }
+   */
+  async closeTradeCooldownInstructions(params) {
+    return toInstructionSet(await this.closeTradeCooldown(params));
+  }
+
+  /**
+   * Get the accounts of a market that are worth storing in an address lookup table
+   *
+   * Includes: mint, curve, pool token/SOL, up/down orderbook, fee recipients (read from the curve account)
+   * and the program accounts used by the trading instructions
+   *
+   * @param {PublicKey|string} mint - Token mint address
+   * @returns {Promise<Array<PublicKey>>} Deduplicated account addresses
+   *
+   * @example
+   * const addresses = await sdk.tools.getMarketLookupTableAddresses('xxxxx');
+   */
+  async getMarketLookupTableAddresses(mint) {
+    if (!mint) {
+      throw new PinPetValidationError('mint parameter is required', { param: 'mint' });
+    }
+
+    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+
+    // Calculate market PDAs
+    const curveAccount = this.sdk.pda.curveAccount(mintPubkey);
+    const poolTokenAccount = this.sdk.pda.poolTokenAccount(mintPubkey);
+    const poolSolAccount = this.sdk.pda.poolSolAccount(mintPubkey);
+    const upOrderbook = this.sdk.pda.upOrderbook(mintPubkey);
+    const downOrderbook = this.sdk.pda.downOrderbook(mintPubkey);
+
+    // Fee recipients are stored in the curve account
+    const curveAccountInfo = await this.sdk.chain.getCurveAccount(mintPubkey);
+
+    const addresses = [
+      mintPubkey,
+      curveAccount,
+      poolTokenAccount,
+      poolSolAccount,
+      upOrderbook,
+      downOrderbook,
+      new PublicKey(curveAccountInfo.feeRecipient),
+      new PublicKey(curveAccountInfo.baseFeeRecipient),
+      this.sdk.programId,
+      TOKEN_PROGRAM_ID,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
+      SystemProgram.programId,
+      SYSVAR_RENT_PUBKEY,
+      ComputeBudgetProgram.programId
+    ];
+
+    // Deduplicate (fee recipients may be the same account)
+    const seen = new Set();
+    return addresses.filter(address => {
+      const key = address.toString();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Create an address lookup table for a market and fill it with the market accounts
+   *
+   * The table can be passed to trading/token builders with { version: 0, lookupTables: [lookupTableAddress] }
+   * and reused across trades. A lookup table is usable one slot after it is extended.
+   *
+   * @param {Object} params - Parameters
+   * @param {PublicKey|string} params.mint - Token mint address
+   * @param {PublicKey|Keypair|Object} params.payer - Payer and lookup table authority, public key or signer
+   * @param {number} [params.recentSlot] - Recent slot used to derive the table address, default latest finalized slot
+   * @returns {Promise<Object>} Transaction object, lookup table address and stored addresses
+   *
+   * @example
+   * const result = await sdk.tools.createMarketLookupTable({
+   *   mint: 'xxxxx',
+   *   payer: wallet.publicKey
+   * });
+   * await sdk.send(result, wallet);
+   * console.log('Lookup table:', result.lookupTableAddress.toString());
+   */
+  async createMarketLookupTable(params) {
+    const { mint, payer: payerSigner, recentSlot } = params;
+
+    // Validate parameters
+    if (!mint) {
+      throw new PinPetValidationError('mint parameter is required', { param: 'mint' });
+    }
+    if (!payerSigner) {
+      throw new PinPetValidationError('payer parameter is required', { param: 'payer' });
+    }
+    const payer = resolvePublicKey(payerSigner, 'payer');
+
+    // Collect market accounts
+    const addresses = await this.getMarketLookupTableAddresses(mint);
+
+    // Build create + extend instructions
+    const slot = recentSlot ?? await this.sdk.connection.getSlot('finalized');
+    const [createIx, lookupTableAddress] = AddressLookupTableProgram.createLookupTable({
+      authority: payer,
+      payer: payer,
+      recentSlot: slot
+    });
+    const extendIx = AddressLookupTableProgram.extendLookupTable({
+      lookupTable: lookupTableAddress,
+      authority: payer,
+      payer: payer,
+      addresses
+    });
+
+    // Build transaction
+    const transaction = new Transaction().add(createIx, extendIx);
+
+    // Return result
+    return {
+      transaction,
+      signers: [],
+      lookupTableAddress,
+      addresses
+    };
+  }
+
+  /**
+   * Extend an existing lookup table with the market accounts it does not contain yet
+   *
+   * Use Cases:
+   * - Share one lookup table between several markets
+   * - Add accounts that changed after the table was created (e.g. fee recipients)
+   *
+   * @param {Object} params - Parameters
+   * @param {PublicKey|string} params.mint - Token mint address
+   * @param {PublicKey|string} params.lookupTable - Lookup table address
+   * @param {PublicKey|Keypair|Object} params.payer - Payer and lookup table authority, public key or signer
+   * @returns {Promise<Object>} Transaction object (null when nothing to add), lookup table address and added addresses
+   *
+   * @example
+   * const result = await sdk.tools.extendMarketLookupTable({
+   *   mint: 'xxxxx',
+   *   lookupTable: lookupTableAddress,
+   *   payer: wallet.publicKey
+   * });
+   * if (result.transaction) {
+   *   await sdk.send(result, wallet);
+   * }
+   */
+  async extendMarketLookupTable(params) {
+    const { mint, lookupTable, payer: payerSigner } = params;
+
+    // Validate parameters
+    if (!mint) {
+      throw new PinPetValidationError('mint parameter is required', { param: 'mint' });
+    }
+    if (!lookupTable) {
+      throw new PinPetValidationError('lookupTable parameter is required', { param: 'lookupTable' });
+    }
+    if (!payerSigner) {
+      throw new PinPetValidationError('payer parameter is required', { param: 'payer' });
+    }
+    const payer = resolvePublicKey(payerSigner, 'payer');
+
+    const lookupTableAddress = typeof lookupTable === 'string' ? new PublicKey(lookupTable) : lookupTable;
+
+    // Get current table content
+    const { value: lookupTableAccount } = await this.sdk.connection.getAddressLookupTable(lookupTableAddress);
+    if (!lookupTableAccount) {
+      throw new PinPetAccountNotFoundError(`Address lookup table not found: ${lookupTableAddress.toString()}`, {
+        accountType: 'address_lookup_table',
+        address: lookupTableAddress
+      });
+    }
+
+    // Keep only the market accounts missing from the table
+    const existing = new Set(lookupTableAccount.state.addresses.map(address => address.toString()));
+    const addresses = (await this.getMarketLookupTableAddresses(mint))
+      .filter(address => !existing.has(address.toString()));
+
+    if (addresses.length === 0) {
+      return {
+        transaction: null,
+        signers: [],
+        lookupTableAddress,
+        addresses
+      };
+    }
+
+    // Build extend instruction
+    const extendIx = AddressLookupTableProgram.extendLookupTable({
+      lookupTable: lookupTableAddress,
+      authority: payer,
+      payer: payer,
+      addresses
+    });
+
+    // Build transaction
+    const transaction = new Transaction().add(extendIx);
+
+    // Return result
+    return {
+      transaction,
+      signers: [],
+      lookupTableAddress,
+      addresses
+    };
+  }
 }
 
 module.exports = ToolsModule;
@@ -1,13 +1,18 @@
-const { ComputeBudgetProgram, PublicKey, Transaction, SystemProgram, SYSVAR_RENT_PUBKEY } = require('@solana/web3.js');
+const { PublicKey, Transaction, SystemProgram, SYSVAR_RENT_PUBKEY, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
 const { createAssociatedTokenAccountInstruction, getAssociatedTokenAddress, TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
 const anchor = require('@coral-xyz/anchor');
-// Use unified buffer package for consistent cross-platform behavior
-const { Buffer } = require('buffer');
 const { MAX_CANDIDATE_INDICES } = require('./simulator/utils');
+const { createComputeBudgetInstructions, applySimulatedComputeUnits } = require('../utils/compute_budget');
+const { finalizeTransaction, toInstructionSet, INSTRUCTION_SET_BUILD_OPTIONS } = require('../utils/transaction');
+const { decodeProgramError, PinPetValidationError } = require('../utils/errors');
+const { resolvePublicKey } = require('../utils/signer');
 
 // Environment detection and conditional loading
 const IS_NODE = typeof process !== 'undefined' && process.versions && process.versions.node;
 
+// Default compute units limit of trading transactions (also the fallback of computeUnits: 'auto')
+const DEFAULT_COMPUTE_UNITS = 1400000;
+
 /**
  * Trading Module
  * Handles buy/sell and long/short trading operations
@@ -23,9 +28,16 @@ class TradingModule {
    * @param {string|PublicKey} params.mintAccount - Token mint account address
    * @param {anchor.BN} params.buyTokenAmount - Amount of tokens to buy
    * @param {anchor.BN} params.maxSolAmount - Maximum SOL to spend
-   * @param {PublicKey} params.payer - Payer public key
+   * @param {PublicKey|Keypair|Object} params.payer - Payer public key, or signer (Keypair, anchor Wallet, wallet adapter)
+   * @param {Object} [params.feeRecipients] - { feeRecipient, baseFeeRecipient } of a curve created in the same transaction, read from the curve account by default
    * @param {Object} options - Optional parameters
-   * @param {number} options.computeUnits - Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - Compute units limit, default 1400000, or 'auto' to size by simulation
+   * @param {number} options.computeUnitMargin - Safety margin added to simulated units by 'auto', default 0.1 (10%)
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per compute unit, or 'auto' to estimate from recent fees
+   * @param {number} options.priorityFeePercentile - Percentile of recent fees used by 'auto', default 75
+   * @param {string|number} options.version - Transaction version: 'legacy' (default) or 0 to return a VersionedTransaction
+   * @param {Array<PublicKey|string|AddressLookupTableAccount>} options.lookupTables - Lookup tables used by version 0 (see sdk.tools.createMarketLookupTable)
+   * @param {Object} options.nonce - Durable nonce { nonceAccount, nonceAuthority?, nonceValue? }: prepends nonceAdvance and uses the nonce value as blockhash (offline signing)
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    *
    * @example
@@ -36,29 +48,24 @@ class TradingModule {
    *   payer: wallet.publicKey
    * });
    */
-  async buy({ mintAccount, buyTokenAmount, maxSolAmount, payer }, options = {}) {
-    const { computeUnits = 1400000 } = options;
+  async buy({ mintAccount, buyTokenAmount, maxSolAmount, payer: payerSigner, feeRecipients }, options = {}) {
+    const { computeUnits = DEFAULT_COMPUTE_UNITS, priorityFee, priorityFeePercentile, computeUnitMargin, version, lookupTables, nonce } = options;
 
     // 1. Parameter validation and conversion
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
+    const payer = resolvePublicKey(payerSigner, 'payer');
 
     if (!anchor.BN.isBN(buyTokenAmount) || !anchor.BN.isBN(maxSolAmount)) {
-      throw new Error('buyTokenAmount and maxSolAmount must be anchor.BN type');
+      throw new PinPetValidationError('buyTokenAmount and maxSolAmount must be anchor.BN type');
     }
 
     // 2. Calculate PDA accounts
     const accounts = this._calculatePDAAccounts(mint);
 
     // 3. Calculate orderbook PDAs
-    const [upOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from('up_orderbook'), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const upOrderbook = this.sdk.pda.upOrderbook(mint);
 
-    const [downOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from('down_orderbook'), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const downOrderbook = this.sdk.pda.downOrderbook(mint);
 
     // 4. Get user token account
     const userTokenAccount = await getAssociatedTokenAddress(
@@ -79,24 +86,20 @@ class TradingModule {
       )
       : null;
 
-    // 6. Get fee recipient accounts from curve account
-    const curveAccountInfo = await this.sdk.chain.getCurveAccount(mint);
+    // 6. Get fee recipient accounts from curve account (given when the curve is created in the same transaction)
+    const curveAccountInfo = feeRecipients || await this.sdk.chain.getCurveAccount(mint);
     const feeRecipientAccount = new PublicKey(curveAccountInfo.feeRecipient);
     const baseFeeRecipientAccount = new PublicKey(curveAccountInfo.baseFeeRecipient);
 
     // 6.5. Calculate cooldown PDA
-    const [cooldownPDA] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from('trade_cooldown'),
-        mint.toBuffer(),
-        payer.toBuffer()
-      ],
-      this.sdk.programId
-    );
+    const cooldownPDA = this.sdk.pda.cooldown(mint, payer);
 
     // 7. Build transaction instructions
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
+    const computeBudgetIxs = await createComputeBudgetInstructions(this.sdk.connection, {
+      computeUnits,
+      priorityFee,
+      priorityFeePercentile,
+      writableAccounts: [accounts.curveAccount, accounts.poolTokenAccount, accounts.poolSolAccount, upOrderbook, downOrderbook]
     });
 
     const buyIx = await this.sdk.program.methods
@@ -122,7 +125,7 @@ class TradingModule {
 
     // 8. Create transaction and add instructions
     const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
+    transaction.add(...computeBudgetIxs);
 
     // If user token account doesn't exist, create it first
     if (createAtaIx) {
@@ -131,9 +134,20 @@ class TradingModule {
 
     transaction.add(buyIx);
 
+    // Size compute units by simulation when computeUnits is 'auto'
+    if (computeUnits === 'auto') {
+      await applySimulatedComputeUnits(this.sdk.connection, transaction, payer, {
+        fallbackUnits: DEFAULT_COMPUTE_UNITS,
+        margin: computeUnitMargin
+      });
+    }
+
+    // Output a v0 VersionedTransaction when version is 0
+    const outputTransaction = await finalizeTransaction(this.sdk.connection, transaction, payer, { version, lookupTables, nonce });
+
     // 9. Return transaction object and related info
     return {
-      transaction,
+      transaction: outputTransaction,
       signers: [], // Buy transaction doesn't need additional signers, only payer signature
       accounts: {
         mint: mint,
@@ -159,9 +173,15 @@ class TradingModule {
    * @param {string|PublicKey} params.mintAccount - Token mint account address
    * @param {anchor.BN} params.sellTokenAmount - Amount of tokens to sell
    * @param {anchor.BN} params.minSolOutput - Minimum SOL output
-   * @param {PublicKey} params.payer - Payer public key
+   * @param {PublicKey|Keypair|Object} params.payer - Payer public key, or signer (Keypair, anchor Wallet, wallet adapter)
    * @param {Object} options - Optional parameters
-   * @param {number} options.computeUnits - Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - Compute units limit, default 1400000, or 'auto' to size by simulation
+   * @param {number} options.computeUnitMargin - Safety margin added to simulated units by 'auto', default 0.1 (10%)
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per compute unit, or 'auto' to estimate from recent fees
+   * @param {number} options.priorityFeePercentile - Percentile of recent fees used by 'auto', default 75
+   * @param {string|number} options.version - Transaction version: 'legacy' (default) or 0 to return a VersionedTransaction
+   * @param {Array<PublicKey|string|AddressLookupTableAccount>} options.lookupTables - Lookup tables used by version 0 (see sdk.tools.createMarketLookupTable)
+   * @param {Object} options.nonce - Durable nonce { nonceAccount, nonceAuthority?, nonceValue? }: prepends nonceAdvance and uses the nonce value as blockhash (offline signing)
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    * 
    * @example
@@ -172,29 +192,24 @@ class TradingModule {
    *   payer: wallet.publicKey
    * });
    */
-  async sell({ mintAccount, sellTokenAmount, minSolOutput, payer }, options = {}) {
-    const { computeUnits = 1400000 } = options;
+  async sell({ mintAccount, sellTokenAmount, minSolOutput, payer: payerSigner }, options = {}) {
+    const { computeUnits = DEFAULT_COMPUTE_UNITS, priorityFee, priorityFeePercentile, computeUnitMargin, version, lookupTables, nonce } = options;
 
     // 1. Parameter validation and conversion
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
+    const payer = resolvePublicKey(payerSigner, 'payer');
 
     if (!anchor.BN.isBN(sellTokenAmount) || !anchor.BN.isBN(minSolOutput)) {
-      throw new Error('sellTokenAmount and minSolOutput must be anchor.BN type');
+      throw new PinPetValidationError('sellTokenAmount and minSolOutput must be anchor.BN type');
     }
 
     // 2. Calculate PDA accounts
     const accounts = this._calculatePDAAccounts(mint);
 
     // 3. Calculate orderbook PDAs
-    const [upOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from('up_orderbook'), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const upOrderbook = this.sdk.pda.upOrderbook(mint);
 
-    const [downOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from('down_orderbook'), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const downOrderbook = this.sdk.pda.downOrderbook(mint);
 
     // 4. Get user token account
     const userTokenAccount = await getAssociatedTokenAddress(
@@ -221,18 +236,14 @@ class TradingModule {
     const baseFeeRecipientAccount = new PublicKey(curveAccountInfo.baseFeeRecipient);
 
     // 6.5. Calculate cooldown PDA
-    const [cooldownPDA] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from('trade_cooldown'),
-        mint.toBuffer(),
-        payer.toBuffer()
-      ],
-      this.sdk.programId
-    );
+    const cooldownPDA = this.sdk.pda.cooldown(mint, payer);
 
     // 7. Build transaction instructions
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
+    const computeBudgetIxs = await createComputeBudgetInstructions(this.sdk.connection, {
+      computeUnits,
+      priorityFee,
+      priorityFeePercentile,
+      writableAccounts: [accounts.curveAccount, accounts.poolTokenAccount, accounts.poolSolAccount, upOrderbook, downOrderbook]
     });
 
     const sellIx = await this.sdk.program.methods
@@ -258,7 +269,7 @@ class TradingModule {
 
     // 8. Create transaction and add instructions
     const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
+    transaction.add(...computeBudgetIxs);
 
     // If user token account doesn't exist, create it first
     if (createAtaIx) {
@@ -267,9 +278,20 @@ class TradingModule {
 
     transaction.add(sellIx);
 
+    // Size compute units by simulation when computeUnits is 'auto'
+    if (computeUnits === 'auto') {
+      await applySimulatedComputeUnits(this.sdk.connection, transaction, payer, {
+        fallbackUnits: DEFAULT_COMPUTE_UNITS,
+        margin: computeUnitMargin
+      });
+    }
+
+    // Output a v0 VersionedTransaction when version is 0
+    const outputTransaction = await finalizeTransaction(this.sdk.connection, transaction, payer, { version, lookupTables, nonce });
+
     // 9. Return transaction object and related info
     return {
-      transaction,
+      transaction: outputTransaction,
       signers: [], // Sell transaction doesn't need additional signers, only payer signature
       accounts: {
         mint: mint,
@@ -296,9 +318,15 @@ class TradingModule {
    * @param {anchor.BN} params.marginSol - Margin amount (margin in SOL)
    * @param {anchor.BN} params.closePrice - Close price (close price/stop loss price)
    * @param {Array<number>} params.closeInsertIndices - Close insert indices array (position indices for inserting close order in order book)
-   * @param {PublicKey} params.payer - Payer public key
+   * @param {PublicKey|Keypair|Object} params.payer - Payer public key, or signer (Keypair, anchor Wallet, wallet adapter)
    * @param {Object} options - Optional parameters
-   * @param {number} options.computeUnits - Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - Compute units limit, default 1400000, or 'auto' to size by simulation
+   * @param {number} options.computeUnitMargin - Safety margin added to simulated units by 'auto', default 0.1 (10%)
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per compute unit, or 'auto' to estimate from recent fees
+   * @param {number} options.priorityFeePercentile - Percentile of recent fees used by 'auto', default 75
+   * @param {string|number} options.version - Transaction version: 'legacy' (default) or 0 to return a VersionedTransaction
+   * @param {Array<PublicKey|string|AddressLookupTableAccount>} options.lookupTables - Lookup tables used by version 0 (see sdk.tools.createMarketLookupTable)
+   * @param {Object} options.nonce - Durable nonce { nonceAccount, nonceAuthority?, nonceValue? }: prepends nonceAdvance and uses the nonce value as blockhash (offline signing)
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    *
    * @example
@@ -312,42 +340,40 @@ class TradingModule {
    *   payer: wallet.publicKey
    * });
    */
-  async long({ mintAccount, buyTokenAmount, maxSolAmount, marginSol, closePrice, closeInsertIndices, payer }, options = {}) {
-    const { computeUnits = 1400000 } = options;
+  async long({ mintAccount, buyTokenAmount, maxSolAmount, marginSol, closePrice, closeInsertIndices, payer: payerSigner }, options = {}) {
+    const { computeUnits = DEFAULT_COMPUTE_UNITS, priorityFee, priorityFeePercentile, computeUnitMargin, version, lookupTables, nonce } = options;
 
     // 1. Parameter validation and conversion
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
+    const payer = resolvePublicKey(payerSigner, 'payer');
 
     if (!anchor.BN.isBN(buyTokenAmount) || !anchor.BN.isBN(maxSolAmount) ||
       !anchor.BN.isBN(marginSol) || !anchor.BN.isBN(closePrice)) {
-      throw new Error('All amount parameters must be anchor.BN type');
+      throw new PinPetValidationError('All amount parameters must be anchor.BN type');
     }
 
     if (!Array.isArray(closeInsertIndices) || closeInsertIndices.length === 0) {
-      throw new Error('closeInsertIndices must be a non-empty array');
+      throw new PinPetValidationError('closeInsertIndices must be a non-empty array');
     }
 
     if (closeInsertIndices.length > 20) {
-      throw new Error('closeInsertIndices array cannot exceed 20 elements');
+      throw new PinPetValidationError('closeInsertIndices array cannot exceed 20 elements');
     }
 
     // 2. Calculate PDA accounts
     const accounts = this._calculatePDAAccounts(mint);
 
     // 3. Calculate OrderBook PDA addresses
-    const [upOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from("up_orderbook"), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const upOrderbook = this.sdk.pda.upOrderbook(mint);
 
-    const [downOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from("down_orderbook"), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const downOrderbook = this.sdk.pda.downOrderbook(mint);
 
     // 4. Build transaction instructions
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
+    const computeBudgetIxs = await createComputeBudgetInstructions(this.sdk.connection, {
+      computeUnits,
+      priorityFee,
+      priorityFeePercentile,
+      writableAccounts: [accounts.curveAccount, accounts.poolTokenAccount, accounts.poolSolAccount, upOrderbook, downOrderbook]
     });
 
     const longIx = await this.sdk.program.methods
@@ -376,12 +402,23 @@ class TradingModule {
 
     // 5. Create transaction and add instructions
     const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
+    transaction.add(...computeBudgetIxs);
     transaction.add(longIx);
 
+    // Size compute units by simulation when computeUnits is 'auto'
+    if (computeUnits === 'auto') {
+      await applySimulatedComputeUnits(this.sdk.connection, transaction, payer, {
+        fallbackUnits: DEFAULT_COMPUTE_UNITS,
+        margin: computeUnitMargin
+      });
+    }
+
+    // Output a v0 VersionedTransaction when version is 0
+    const outputTransaction = await finalizeTransaction(this.sdk.connection, transaction, payer, { version, lookupTables, nonce });
+
     // 6. Return transaction object and related info
     return {
-      transaction,
+      transaction: outputTransaction,
       signers: [], // Long transaction doesn't need additional signers, only payer signature
       accounts: {
         mint: mint,
@@ -407,9 +444,15 @@ class TradingModule {
    * @param {anchor.BN} params.marginSol - Margin amount (margin in SOL)
    * @param {anchor.BN} params.closePrice - Close price (stop loss price)
    * @param {Array<number>} params.closeInsertIndices - Close insert indices array (position indices for inserting close order in order book)
-   * @param {PublicKey} params.payer - Payer public key
+   * @param {PublicKey|Keypair|Object} params.payer - Payer public key, or signer (Keypair, anchor Wallet, wallet adapter)
    * @param {Object} options - Optional parameters
-   * @param {number} options.computeUnits - Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - Compute units limit, default 1400000, or 'auto' to size by simulation
+   * @param {number} options.computeUnitMargin - Safety margin added to simulated units by 'auto', default 0.1 (10%)
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per compute unit, or 'auto' to estimate from recent fees
+   * @param {number} options.priorityFeePercentile - Percentile of recent fees used by 'auto', default 75
+   * @param {string|number} options.version - Transaction version: 'legacy' (default) or 0 to return a VersionedTransaction
+   * @param {Array<PublicKey|string|AddressLookupTableAccount>} options.lookupTables - Lookup tables used by version 0 (see sdk.tools.createMarketLookupTable)
+   * @param {Object} options.nonce - Durable nonce { nonceAccount, nonceAuthority?, nonceValue? }: prepends nonceAdvance and uses the nonce value as blockhash (offline signing)
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    *
    * @example
@@ -423,42 +466,40 @@ class TradingModule {
    *   payer: wallet.publicKey
    * });
    */
-  async short({ mintAccount, borrowSellTokenAmount, minSolOutput, marginSol, closePrice, closeInsertIndices, payer }, options = {}) {
-    const { computeUnits = 1400000 } = options;
+  async short({ mintAccount, borrowSellTokenAmount, minSolOutput, marginSol, closePrice, closeInsertIndices, payer: payerSigner }, options = {}) {
+    const { computeUnits = DEFAULT_COMPUTE_UNITS, priorityFee, priorityFeePercentile, computeUnitMargin, version, lookupTables, nonce } = options;
 
     // 1. Parameter validation and conversion
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
+    const payer = resolvePublicKey(payerSigner, 'payer');
 
     if (!anchor.BN.isBN(borrowSellTokenAmount) || !anchor.BN.isBN(minSolOutput) ||
       !anchor.BN.isBN(marginSol) || !anchor.BN.isBN(closePrice)) {
-      throw new Error('All amount parameters must be anchor.BN type');
+      throw new PinPetValidationError('All amount parameters must be anchor.BN type');
     }
 
     if (!Array.isArray(closeInsertIndices) || closeInsertIndices.length === 0) {
-      throw new Error('closeInsertIndices must be a non-empty array');
+      throw new PinPetValidationError('closeInsertIndices must be a non-empty array');
     }
 
     if (closeInsertIndices.length > 20) {
-      throw new Error('closeInsertIndices array cannot exceed 20 elements');
+      throw new PinPetValidationError('closeInsertIndices array cannot exceed 20 elements');
     }
 
     // 2. Calculate PDA accounts
     const accounts = this._calculatePDAAccounts(mint);
 
     // 3. Calculate OrderBook PDA addresses
-    const [upOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from("up_orderbook"), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const upOrderbook = this.sdk.pda.upOrderbook(mint);
 
-    const [downOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from("down_orderbook"), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const downOrderbook = this.sdk.pda.downOrderbook(mint);
 
     // 4. Build transaction instructions
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
+    const computeBudgetIxs = await createComputeBudgetInstructions(this.sdk.connection, {
+      computeUnits,
+      priorityFee,
+      priorityFeePercentile,
+      writableAccounts: [accounts.curveAccount, accounts.poolTokenAccount, accounts.poolSolAccount, upOrderbook, downOrderbook]
     });
 
     const shortIx = await this.sdk.program.methods
@@ -487,12 +528,23 @@ class TradingModule {
 
     // 5. Create transaction and add instructions
     const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
+    transaction.add(...computeBudgetIxs);
     transaction.add(shortIx);
 
+    // Size compute units by simulation when computeUnits is 'auto'
+    if (computeUnits === 'auto') {
+      await applySimulatedComputeUnits(this.sdk.connection, transaction, payer, {
+        fallbackUnits: DEFAULT_COMPUTE_UNITS,
+        margin: computeUnitMargin
+      });
+    }
+
+    // Output a v0 VersionedTransaction when version is 0
+    const outputTransaction = await finalizeTransaction(this.sdk.connection, transaction, payer, { version, lookupTables, nonce });
+
     // 6. Return transaction object and related info
     return {
-      transaction,
+      transaction: outputTransaction,
       signers: [], // Short transaction doesn't need additional signers, only payer signature
       accounts: {
         mint: mint,
@@ -517,10 +569,16 @@ class TradingModule {
    * @param {anchor.BN} params.minSolOutput - Minimum SOL output after selling
    * @param {number|anchor.BN} params.closeOrderId - Order unique ID
    * @param {Array<number>} params.closeOrderIndices - Close order position indices array
-   * @param {PublicKey} params.payer - Payer public key
+   * @param {PublicKey|Keypair|Object} params.payer - Payer public key, or signer (Keypair, anchor Wallet, wallet adapter)
    * @param {PublicKey} params.userSolAccount - User SOL account to receive funds (must be order opener)
    * @param {Object} options - Optional parameters
-   * @param {number} options.computeUnits - Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - Compute units limit, default 1400000, or 'auto' to size by simulation
+   * @param {number} options.computeUnitMargin - Safety margin added to simulated units by 'auto', default 0.1 (10%)
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per compute unit, or 'auto' to estimate from recent fees
+   * @param {number} options.priorityFeePercentile - Percentile of recent fees used by 'auto', default 75
+   * @param {string|number} options.version - Transaction version: 'legacy' (default) or 0 to return a VersionedTransaction
+   * @param {Array<PublicKey|string|AddressLookupTableAccount>} options.lookupTables - Lookup tables used by version 0 (see sdk.tools.createMarketLookupTable)
+   * @param {Object} options.nonce - Durable nonce { nonceAccount, nonceAuthority?, nonceValue? }: prepends nonceAdvance and uses the nonce value as blockhash (offline signing)
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    *
    * @example
@@ -534,14 +592,15 @@ class TradingModule {
    *   userSolAccount: orderOwnerPublicKey
    * });
    */
-  async closeLong({ mintAccount, sellTokenAmount, minSolOutput, closeOrderId, closeOrderIndices, payer, userSolAccount }, options = {}) {
-    const { computeUnits = 1400000 } = options;
+  async closeLong({ mintAccount, sellTokenAmount, minSolOutput, closeOrderId, closeOrderIndices, payer: payerSigner, userSolAccount }, options = {}) {
+    const { computeUnits = DEFAULT_COMPUTE_UNITS, priorityFee, priorityFeePercentile, computeUnitMargin, version, lookupTables, nonce } = options;
 
     // 1. Parameter validation and conversion
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
+    const payer = resolvePublicKey(payerSigner, 'payer');
 
     if (!anchor.BN.isBN(sellTokenAmount) || !anchor.BN.isBN(minSolOutput)) {
-      throw new Error('sellTokenAmount and minSolOutput must be anchor.BN type');
+      throw new PinPetValidationError('sellTokenAmount and minSolOutput must be anchor.BN type');
     }
 
     // Convert closeOrderId to anchor.BN (u64)
@@ -549,24 +608,24 @@ class TradingModule {
 
     // Validate closeOrderIndices parameter
     if (!Array.isArray(closeOrderIndices) || closeOrderIndices.length === 0) {
-      throw new Error('closeOrderIndices must be a non-empty array');
+      throw new PinPetValidationError('closeOrderIndices must be a non-empty array');
     }
 
     if (closeOrderIndices.length > MAX_CANDIDATE_INDICES) {
-      throw new Error(`closeOrderIndices array cannot exceed ${MAX_CANDIDATE_INDICES} elements`);
+      throw new PinPetValidationError(`closeOrderIndices array cannot exceed ${MAX_CANDIDATE_INDICES} elements`);
     }
 
     // Validate and convert userSolAccount - supports both string and PublicKey objects
     let userSolAccountPubkey;
     if (!userSolAccount) {
-      throw new Error('userSolAccount is required');
+      throw new PinPetValidationError('userSolAccount is required');
     }
 
     if (typeof userSolAccount === 'string') {
       try {
         userSolAccountPubkey = new PublicKey(userSolAccount);
       } catch (error) {
-        throw new Error('userSolAccount must be a valid PublicKey string');
+        throw new PinPetValidationError('userSolAccount must be a valid PublicKey string');
       }
     } else if (userSolAccount instanceof PublicKey) {
       userSolAccountPubkey = userSolAccount;
@@ -575,25 +634,19 @@ class TradingModule {
       try {
         userSolAccountPubkey = new PublicKey(userSolAccount.toString());
       } catch (error) {
-        throw new Error('userSolAccount must be a valid PublicKey');
+        throw new PinPetValidationError('userSolAccount must be a valid PublicKey');
       }
     } else {
-      throw new Error('userSolAccount must be a valid PublicKey or PublicKey string');
+      throw new PinPetValidationError('userSolAccount must be a valid PublicKey or PublicKey string');
     }
 
     // 2. Calculate PDA accounts
     const accounts = this._calculatePDAAccounts(mint);
 
     // 3. Calculate OrderBook PDA addresses
-    const [upOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from('up_orderbook'), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const upOrderbook = this.sdk.pda.upOrderbook(mint);
 
-    const [downOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from('down_orderbook'), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const downOrderbook = this.sdk.pda.downOrderbook(mint);
 
     // 4. Get fee recipient accounts from curve account
     const curveAccountInfo = await this.sdk.chain.getCurveAccount(mint);
@@ -601,8 +654,11 @@ class TradingModule {
     const baseFeeRecipientAccount = new PublicKey(curveAccountInfo.baseFeeRecipient);
 
     // 5. Build transaction instructions
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
+    const computeBudgetIxs = await createComputeBudgetInstructions(this.sdk.connection, {
+      computeUnits,
+      priorityFee,
+      priorityFeePercentile,
+      writableAccounts: [accounts.curveAccount, accounts.poolTokenAccount, accounts.poolSolAccount, upOrderbook, downOrderbook]
     });
 
     const closeLongIx = await this.sdk.program.methods
@@ -631,12 +687,23 @@ class TradingModule {
 
     // 6. Create transaction and add instructions
     const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
+    transaction.add(...computeBudgetIxs);
     transaction.add(closeLongIx);
 
+    // Size compute units by simulation when computeUnits is 'auto'
+    if (computeUnits === 'auto') {
+      await applySimulatedComputeUnits(this.sdk.connection, transaction, payer, {
+        fallbackUnits: DEFAULT_COMPUTE_UNITS,
+        margin: computeUnitMargin
+      });
+    }
+
+    // Output a v0 VersionedTransaction when version is 0
+    const outputTransaction = await finalizeTransaction(this.sdk.connection, transaction, payer, { version, lookupTables, nonce });
+
     // 7. Return transaction object and related info
     return {
-      transaction,
+      transaction: outputTransaction,
       signers: [], // Close long transaction doesn't need additional signers, only payer signature
       accounts: {
         mint: mint,
@@ -666,10 +733,16 @@ class TradingModule {
    * @param {anchor.BN} params.maxSolAmount - Maximum SOL amount to spend
    * @param {number|anchor.BN} params.closeOrderId - Order unique ID
    * @param {Array<number>} params.closeOrderIndices - Close order position indices array
-   * @param {PublicKey} params.payer - Payer public key
+   * @param {PublicKey|Keypair|Object} params.payer - Payer public key, or signer (Keypair, anchor Wallet, wallet adapter)
    * @param {PublicKey} params.userSolAccount - User SOL account to receive funds (must be order opener)
    * @param {Object} options - Optional parameters
-   * @param {number} options.computeUnits - Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - Compute units limit, default 1400000, or 'auto' to size by simulation
+   * @param {number} options.computeUnitMargin - Safety margin added to simulated units by 'auto', default 0.1 (10%)
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per compute unit, or 'auto' to estimate from recent fees
+   * @param {number} options.priorityFeePercentile - Percentile of recent fees used by 'auto', default 75
+   * @param {string|number} options.version - Transaction version: 'legacy' (default) or 0 to return a VersionedTransaction
+   * @param {Array<PublicKey|string|AddressLookupTableAccount>} options.lookupTables - Lookup tables used by version 0 (see sdk.tools.createMarketLookupTable)
+   * @param {Object} options.nonce - Durable nonce { nonceAccount, nonceAuthority?, nonceValue? }: prepends nonceAdvance and uses the nonce value as blockhash (offline signing)
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    *
    * @example
@@ -683,14 +756,15 @@ class TradingModule {
    *   userSolAccount: orderOwnerPublicKey
    * });
    */
-  async closeShort({ mintAccount, buyTokenAmount, maxSolAmount, closeOrderId, closeOrderIndices, payer, userSolAccount }, options = {}) {
-    const { computeUnits = 1400000 } = options;
+  async closeShort({ mintAccount, buyTokenAmount, maxSolAmount, closeOrderId, closeOrderIndices, payer: payerSigner, userSolAccount }, options = {}) {
+    const { computeUnits = DEFAULT_COMPUTE_UNITS, priorityFee, priorityFeePercentile, computeUnitMargin, version, lookupTables, nonce } = options;
 
     // 1. Parameter validation and conversion
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
+    const payer = resolvePublicKey(payerSigner, 'payer');
 
     if (!anchor.BN.isBN(buyTokenAmount) || !anchor.BN.isBN(maxSolAmount)) {
-      throw new Error('buyTokenAmount and maxSolAmount must be anchor.BN type');
+      throw new PinPetValidationError('buyTokenAmount and maxSolAmount must be anchor.BN type');
     }
 
     // Convert closeOrderId to anchor.BN (u64)
@@ -698,24 +772,24 @@ class TradingModule {
 
     // Validate closeOrderIndices parameter
     if (!Array.isArray(closeOrderIndices) || closeOrderIndices.length === 0) {
-      throw new Error('closeOrderIndices must be a non-empty array');
+      throw new PinPetValidationError('closeOrderIndices must be a non-empty array');
     }
 
     if (closeOrderIndices.length > MAX_CANDIDATE_INDICES) {
-      throw new Error(`closeOrderIndices array cannot exceed ${MAX_CANDIDATE_INDICES} elements`);
+      throw new PinPetValidationError(`closeOrderIndices array cannot exceed ${MAX_CANDIDATE_INDICES} elements`);
     }
 
     // Validate and convert userSolAccount - supports both string and PublicKey objects
     let userSolAccountPubkey;
     if (!userSolAccount) {
-      throw new Error('userSolAccount is required');
+      throw new PinPetValidationError('userSolAccount is required');
     }
 
     if (typeof userSolAccount === 'string') {
       try {
         userSolAccountPubkey = new PublicKey(userSolAccount);
       } catch (error) {
-        throw new Error('userSolAccount must be a valid PublicKey string');
+        throw new PinPetValidationError('userSolAccount must be a valid PublicKey string');
       }
     } else if (userSolAccount instanceof PublicKey) {
       userSolAccountPubkey = userSolAccount;
@@ -724,25 +798,19 @@ class TradingModule {
       try {
         userSolAccountPubkey = new PublicKey(userSolAccount.toString());
       } catch (error) {
-        throw new Error('userSolAccount must be a valid PublicKey');
+        throw new PinPetValidationError('userSolAccount must be a valid PublicKey');
       }
     } else {
-      throw new Error('userSolAccount must be a valid PublicKey or PublicKey string');
+      throw new PinPetValidationError('userSolAccount must be a valid PublicKey or PublicKey string');
     }
 
     // 2. Calculate PDA accounts
     const accounts = this._calculatePDAAccounts(mint);
 
     // 3. Calculate OrderBook PDA addresses
-    const [upOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from('up_orderbook'), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const upOrderbook = this.sdk.pda.upOrderbook(mint);
 
-    const [downOrderbook] = PublicKey.findProgramAddressSync(
-      [Buffer.from('down_orderbook'), mint.toBuffer()],
-      this.sdk.programId
-    );
+    const downOrderbook = this.sdk.pda.downOrderbook(mint);
 
     // 4. Get fee recipient accounts from curve account
     const curveAccountInfo = await this.sdk.chain.getCurveAccount(mint);
@@ -750,8 +818,11 @@ class TradingModule {
     const baseFeeRecipientAccount = new PublicKey(curveAccountInfo.baseFeeRecipient);
 
     // 5. Build transaction instructions
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
+    const computeBudgetIxs = await createComputeBudgetInstructions(this.sdk.connection, {
+      computeUnits,
+      priorityFee,
+      priorityFeePercentile,
+      writableAccounts: [accounts.curveAccount, accounts.poolTokenAccount, accounts.poolSolAccount, upOrderbook, downOrderbook]
     });
 
     const closeShortIx = await this.sdk.program.methods
@@ -780,12 +851,23 @@ class TradingModule {
 
     // 6. Create transaction and add instructions
     const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
+    transaction.add(...computeBudgetIxs);
     transaction.add(closeShortIx);
 
+    // Size compute units by simulation when computeUnits is 'auto'
+    if (computeUnits === 'auto') {
+      await applySimulatedComputeUnits(this.sdk.connection, transaction, payer, {
+        fallbackUnits: DEFAULT_COMPUTE_UNITS,
+        margin: computeUnitMargin
+      });
+    }
+
+    // Output a v0 VersionedTransaction when version is 0
+    const outputTransaction = await finalizeTransaction(this.sdk.connection, transaction, payer, { version, lookupTables, nonce });
+
     // 7. Return transaction object and related info
     return {
-      transaction,
+      transaction: outputTransaction,
       signers: [], // Close short transaction doesn't need additional signers, only payer signature
       accounts: {
         mint: mint,
@@ -806,6 +888,131 @@ class TradingModule {
     };
   }
 
+  // ========== Instruction-only Methods ==========
+  // Bare instructions without compute budget, for composing several actions in one transaction (see sdk.composer).
+  // They take no builder options: compute units and priority fee are options of sdk.composer.compose().
+
+  /**
+   * Buy tokens, instructions only
+   * @param {Object} params - Same parameters as buy(), builder options are not accepted
+   * @returns {Promise<Object>} Instruction set { instructions, signers, accounts, payer, lookupAccounts }
+   *
+   * @example
+   * // Flip a long into a short atomically
+   * const close = await sdk.trading.closeLongInstructions({ ... });
+   * const open = await sdk.trading.shortInstructions({ ... });
+   * const result = await sdk.composer.compose([close, open], { priorityFee: 'auto' });
+   */
+  async buyInstructions(params) {
+    return toInstructionSet(await this.buy(params, INSTRUCTION_SET_BUILD_OPTIONS));
+  }
+
+  /**
+   * Sell tokens, instructions only
+   * @param {Object} params - Same parameters as sell(), builder options are not accepted
+   * @returns {Promise<Object>} Instruction set { instructions, signers, accounts, payer, lookupAccounts }
+   */
+  async sellInstructions(params) {
+    return toInstructionSet(await this.sell(params, INSTRUCTION_SET_BUILD_OPTIONS));
+  }
+
+  /**
+   * Open long position, instructions only
+   * @param {Object} params - Same parameters as long(), builder options are not accepted
+   * @returns {Promise<Object>} Instruction set { instructions, signers, accounts, payer, lookupAccounts }
+   */
+  async longInstructions(params) {
+    return toInstructionSet(await this.long(params, INSTRUCTION_SET_BUILD_OPTIONS));
+  }
+
+  /**
+   * Open short position, instructions only
+   * @param {Object} params - Same parameters as short(), builder options are not accepted
+   * @returns {Promise<Object>} Instruction set { instructions, signers, accounts, payer, lookupAccounts }
+   */
+  async shortInstructions(params) {
+    return toInstructionSet(await this.short(params, INSTRUCTION_SET_BUILD_OPTIONS));
+  }
+
+  /**
+   * Close long position, instructions only
+   * @param {Object} params - Same parameters as closeLong(), builder options are not accepted
+   * @returns {Promise<Object>} Instruction set { instructions, signers, accounts, payer, lookupAccounts }
+   */
+  async closeLongInstructions(params) {
+    return toInstructionSet(await this.closeLong(params, INSTRUCTION_SET_BUILD_OPTIONS));
+  }
+
+  /**
+   * Close short position, instructions only
+   * @param {Object} params - Same parameters as closeShort(), builder options are not accepted
+   * @returns {Promise<Object>} Instruction set { instructions, signers, accounts, payer, lookupAccounts }
+   */
+  async closeShortInstructions(params) {
+    return toInstructionSet(await this.closeShort(params, INSTRUCTION_SET_BUILD_OPTIONS));
+  }
+
+  // ========== Pre-flight Simulation ==========
+
+  /**
+   * Simulate a builder result before sending and decode PinPet program errors
+   *
+   * Maps `custom program error: 0x17xx` back to the IDL error name and message, and suggests
+   * a remedy category: 'slippage' | 'margin' | 'liquidity' | 'cooldown' (null when none applies)
+   *
+   * @param {Object} result - Builder result
+   * @param {Transaction|VersionedTransaction} result.transaction - Transaction to simulate (legacy or v0)
+   * @param {PublicKey|Keypair|Object} payer - Fee payer public key or signer
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - Simulation commitment, default sdk options commitment or 'confirmed'
+   * @returns {Promise<Object>} { success, error, err, logs, unitsConsumed, remedy }
+   *
+   * @example
+   * const result = await sdk.trading.buy({ ... });
+   * const preflight = await sdk.trading.preflight(result, wallet.publicKey);
+   * if (!preflight.success) {
+   *   console.log(preflight.error.name, preflight.error.message); // ExceedsMaxSolAmount ...
+   *   console.log('Remedy:', preflight.remedy); // 'slippage'
+   * }
+   */
+  async preflight(result, payer, options = {}) {
+    if (!result || !result.transaction) {
+      throw new PinPetValidationError('preflight: result.transaction is required');
+    }
+
+    const commitment = options.commitment || this.sdk.options.commitment || 'confirmed';
+    const payerPubkey = resolvePublicKey(payer, 'payer');
+
+    // 1. Build an unsigned versioned transaction (signatures and blockhash are not verified)
+    const transaction = result.transaction instanceof VersionedTransaction
+      ? result.transaction
+      : new VersionedTransaction(new TransactionMessage({
+        payerKey: payerPubkey,
+        recentBlockhash: PublicKey.default.toBase58(),
+        instructions: result.transaction.instructions
+      }).compileToLegacyMessage());
+
+    // 2. Simulate
+    const simulation = await this.sdk.connection.simulateTransaction(transaction, {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      commitment
+    });
+
+    // 3. Decode program error
+    const { err, logs, unitsConsumed } = simulation.value;
+    const error = err ? decodeProgramError(err, logs) : null;
+
+    return {
+      success: !err,
+      error,
+      err: err || null,
+      logs: logs || [],
+      unitsConsumed: unitsConsumed ?? null,
+      remedy: error ? error.remedy : null
+    };
+  }
+
   // ========== PDA Calculation Methods ==========
 
   /**
@@ -816,22 +1023,13 @@ class TradingModule {
    */
   _calculatePDAAccounts(mintAccount) {
     // Calculate curve account PDA
-    const [curveAccount] = PublicKey.findProgramAddressSync(
-      [Buffer.from('borrowing_curve'), mintAccount.toBuffer()],
-      this.sdk.programId
-    );
+    const curveAccount = this.sdk.pda.curveAccount(mintAccount);
 
     // Calculate pool token account PDA
-    const [poolTokenAccount] = PublicKey.findProgramAddressSync(
-      [Buffer.from('pool_token'), mintAccount.toBuffer()],
-      this.sdk.programId
-    );
+    const poolTokenAccount = this.sdk.pda.poolTokenAccount(mintAccount);
 
     // Calculate pool SOL account PDA
-    const [poolSolAccount] = PublicKey.findProgramAddressSync(
-      [Buffer.from('pool_sol'), mintAccount.toBuffer()],
-      this.sdk.programId
-    );
+    const poolSolAccount = this.sdk.pda.poolSolAccount(mintAccount);
 
     return {
       curveAccount,
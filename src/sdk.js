@@ -18,8 +18,15 @@ const FastModule = require('./modules/fast');
 const SimulatorModule = require('./modules/simulator');
 const ChainModule = require('./modules/chain');
 const ToolsModule = require('./modules/tools');
+const SenderModule = require('./modules/sender');
+const BundleModule = require('./modules/bundle');
+const ComposerModule = require('./modules/composer');
+const EventsModule = require('./modules/events');
+const AnalyticsModule = require('./modules/analytics');
 const OrderUtils = require('./utils/orderUtils');
 const CurveAMM = require('./utils/curve_amm');
+const PdaUtils = require('./utils/pda');
+const { parseError, PinPetValidationError } = require('./utils/errors');
 const spinpetIdl = require('./idl/pinpet.json');
 
 /**
@@ -41,7 +48,7 @@ class PinPetSdk {
     
     // Validate defaultDataSource configuration
     if (options.defaultDataSource && !['fast', 'chain'].includes(options.defaultDataSource)) {
-      throw new Error('defaultDataSource must be "fast" or "chain"');
+      throw new PinPetValidationError('defaultDataSource must be "fast" or "chain"');
     }
 
    //console.log("options.defaultDataSource",options.defaultDataSource)
@@ -71,6 +78,9 @@ class PinPetSdk {
 
     // Initialize Anchor program
     this.program = this._initProgram(this.options);
+
+    // Program addresses (memoized PDA derivations), used by the modules below
+    this.pda = new PdaUtils(this.programId);
     
     // Initialize functional modules
     this.trading = new TradingModule(this);
@@ -80,6 +90,11 @@ class PinPetSdk {
     this.simulator = new SimulatorModule(this);
     this.chain = new ChainModule(this);
     this.tools = new ToolsModule(this);
+    this.sender = new SenderModule(this);
+    this.bundle = new BundleModule(this);
+    this.composer = new ComposerModule(this);
+    this.events = new EventsModule(this);
+    this.analytics = new AnalyticsModule(this);
 
     // Initialize curve AMM utility
     this.curve = CurveAMM;
@@ -87,6 +102,9 @@ class PinPetSdk {
     /**
      * Unified data interface - automatically routes to fast or chain module based on defaultDataSource config
      *
+     * Options are passed through to the module. With the chain source, `commitment` and `minContextSlot`
+     * control the read and the response reports its `slot` (see sdk.chain.orders / price / user_orders).
+     *
      * @example
      * // Get orders using default data source
      * const ordersData = await sdk.data.orders(mint, { type: 'down_orders' });
@@ -103,6 +121,16 @@ class PinPetSdk {
      *   limit: 200,
      *   order_by: 'start_time_desc'
      * });
+     *
+     * // Open positions of a wallet in every market
+     * const { data } = await sdk.data.user_positions(user);
+     *
+     * // Chain state no older than our own transaction, to feed the simulator
+     * const { slot } = await sdk.send(result, wallet);
+     * const fresh = { dataSource: 'chain', minContextSlot: slot };
+     * const { price } = await sdk.data.price(mint, { ...fresh, withContext: true });
+     * const upOrders = await sdk.data.orders(mint, { ...fresh, type: 'up_orders' });
+     * await sdk.simulator.simulateTokenBuy(mint, amount, null, price, upOrders);
      */
     this.data = {
       /**
@@ -117,7 +145,7 @@ class PinPetSdk {
        * Get token price data
        * @param {string} mint - Token address
        * @param {Object} options - Query parameters, supports dataSource field to temporarily specify data source
-       * @returns {Promise<string>} Price string
+       * @returns {Promise<string|Object>} Price string, or { price, slot } with the chain source and withContext
        */
       price: (mint, options = {}) => this._getDataWithSource('price', [mint, options]),
 
@@ -128,7 +156,15 @@ class PinPetSdk {
        * @param {Object} options - Query parameters, supports dataSource field to temporarily specify data source
        * @returns {Promise<Object>} User order data
        */
-      user_orders: (user, mint, options = {}) => this._getDataWithSource('user_orders', [user, mint, options])
+      user_orders: (user, mint, options = {}) => this._getDataWithSource('user_orders', [user, mint, options]),
+
+      /**
+       * Get a user's open orders across every market, grouped by mint and side
+       * @param {string} user - User address
+       * @param {Object} options - Query parameters, supports dataSource field to temporarily specify data source
+       * @returns {Promise<Object>} { success, data: { user, positions: [{ mint, up_orders, down_orders }], total }, message }
+       */
+      user_positions: (user, options = {}) => this._getDataWithSource('user_positions', [user, options])
     };
   }
 
@@ -165,6 +201,22 @@ class PinPetSdk {
     return new anchor.Program(spinpetIdl, this.programId);
   }
 
+  /**
+   * Sign, send and confirm a builder result (shortcut for sdk.sender.send)
+   *
+   * @param {Object} result - Builder result { transaction, signers, accounts }
+   * @param {Keypair|Object} wallet - Fee payer: Keypair, or wallet object with publicKey and signTransaction()
+   * @param {Object} options - Send options, see SenderModule.send
+   * @returns {Promise<Object>} Send result { signature, slot, confirmationStatus, blockhash, lastValidBlockHeight, receipt, receipts }
+   *
+   * @example
+   * const result = await sdk.token.create({ mint, name, symbol, uri, payer: wallet.publicKey });
+   * const { signature, slot } = await sdk.send(result, wallet);
+   */
+  send(result, wallet, options = {}) {
+    return this.sender.send(result, wallet, options);
+  }
+
   // ========== Unified Data Interface Routing Method ==========
 
   /**
@@ -184,7 +236,7 @@ class PinPetSdk {
     const module = dataSource === 'chain' ? this.chain : this.fast;
     
     if (!module[method]) {
-      throw new Error(`Method ${method} does not exist in ${dataSource} module`);
+      throw new PinPetValidationError(`Method ${method} does not exist in ${dataSource} module`);
     }
     
     return module[method](...args);
@@ -195,5 +247,9 @@ class PinPetSdk {
 // Add utility classes as static properties to PinPetSdk class
 PinPetSdk.CurveAMM = CurveAMM;
 PinPetSdk.OrderUtils = OrderUtils;
+PinPetSdk.PdaUtils = PdaUtils;
+
+// Convert any error (SendTransactionError, AnchorError, ...) into a typed PinPet error
+PinPetSdk.parseError = parseError;
 
 module.exports = PinPetSdk;
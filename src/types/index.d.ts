@@ -1,4 +1,4 @@
-import { Connection, PublicKey, Transaction, Keypair } from '@solana/web3.js';
+import { Connection, PublicKey, Transaction, VersionedTransaction, Keypair, AddressLookupTableAccount, TransactionInstruction, AccountInfo } from '@solana/web3.js';
 import { BN, Wallet, Program } from '@coral-xyz/anchor';
 
 // ========================= Basic Type Definitions =========================
@@ -22,6 +22,49 @@ export interface PinPetSdkOptions {
   feeRecipient?: string;
   baseFeeRecipient?: string;
   paramsAccount?: string;
+  commitment?: 'processed' | 'confirmed' | 'finalized';
+  skipPreflight?: boolean;
+  maxRetries?: number;
+  // Block engine base URL used by sdk.bundle (Jito compatible JSON-RPC API)
+  blockEngineUrl?: string;
+  // Tip account and default tip amount (lamports) of bundles
+  bundleTipAccount?: string | PublicKey;
+  bundleTipLamports?: number;
+  // Enable the chain account cache (sdk.chain.enableCache)
+  accountCache?: boolean | AccountCacheOptions;
+}
+
+export interface AccountCacheOptions {
+  // Time to live of an entry in ms, default 2000
+  ttl?: number;
+  // Drop entries on onAccountChange notifications, default false
+  subscribe?: boolean;
+  commitment?: 'processed' | 'confirmed' | 'finalized';
+  // Maximum number of entries (expired, then least recently used are evicted), default 10000
+  maxEntries?: number;
+}
+
+export interface AccountCacheStats {
+  hits: number;
+  misses: number;
+  hitRate: number;
+  size: number;
+  subscriptions: number;
+}
+
+export interface AccountCache {
+  getAccountInfo(address: PublicKey | string): Promise<AccountInfo<Buffer> | null>;
+  getAccountInfoAndContext(
+    address: PublicKey | string,
+    options?: { minContextSlot?: number }
+  ): Promise<{ context: { slot: number }; value: AccountInfo<Buffer> | null }>;
+  getMultipleAccountsInfoAndContext(
+    addresses: Array<PublicKey | string>,
+    options?: { minContextSlot?: number }
+  ): Promise<Array<{ context: { slot: number }; value: AccountInfo<Buffer> | null }>>;
+  invalidate(addresses?: Array<PublicKey | string>): void;
+  stats(): AccountCacheStats;
+  close(): Promise<void>;
 }
 
 // ========================= Order and Transaction Related Types =========================
@@ -47,8 +90,15 @@ export interface LpPair {
   tokenAmount: BN;
 }
 
+// Builder or sdk.composer result: transaction and its extra signers
+export interface SendableResult {
+  transaction: Transaction | VersionedTransaction;
+  signers?: Signer[];
+}
+
 export interface TransactionResult {
-  transaction: Transaction;
+  // Legacy Transaction, or VersionedTransaction when built with version: 0
+  transaction: Transaction | VersionedTransaction;
   signers: Keypair[];
   accounts: Record<string, PublicKey>;
   orderData?: {
@@ -66,6 +116,8 @@ export interface OrdersResponse {
     total?: number;
     page?: number;
     limit?: number;
+    // Slot the accounts were read at (chain data source)
+    slot?: number;
   };
 }
 
@@ -90,14 +142,16 @@ export interface BuyParams {
   mintAccount: string | PublicKey;
   buyTokenAmount: BN;
   maxSolAmount: BN;
-  payer: PublicKey;
+  payer: PublicKey | Signer;
+  // Fee recipients of a curve created in the same transaction (read from the curve account by default)
+  feeRecipients?: { feeRecipient: string | PublicKey; baseFeeRecipient: string | PublicKey };
 }
 
 export interface SellParams {
   mintAccount: string | PublicKey;
   sellTokenAmount: BN;
   minSolOutput: BN;
-  payer: PublicKey;
+  payer: PublicKey | Signer;
 }
 
 export interface LongParams {
@@ -108,7 +162,7 @@ export interface LongParams {
   closePrice: BN;
   prevOrder?: PublicKey | null;
   nextOrder?: PublicKey | null;
-  payer: PublicKey;
+  payer: PublicKey | Signer;
 }
 
 export interface ShortParams {
@@ -119,7 +173,7 @@ export interface ShortParams {
   closePrice: BN;
   prevOrder?: PublicKey | null;
   nextOrder?: PublicKey | null;
-  payer: PublicKey;
+  payer: PublicKey | Signer;
 }
 
 export interface CloseLongParams {
@@ -127,7 +181,7 @@ export interface CloseLongParams {
   closeOrder: string | PublicKey;
   sellTokenAmount: BN;
   minSolOutput: BN;
-  payer: PublicKey;
+  payer: PublicKey | Signer;
 }
 
 export interface CloseShortParams {
@@ -135,33 +189,191 @@ export interface CloseShortParams {
   closeOrder: string | PublicKey;
   buyTokenAmount: BN;
   maxSolAmount: BN;
-  payer: PublicKey;
+  payer: PublicKey | Signer;
 }
 
 export interface TransactionOptions {
-  computeUnits?: number;
+  // Compute units limit, or 'auto' to size it by simulation (falls back to the builder default)
+  computeUnits?: number | 'auto';
+  // Safety margin added to simulated units by computeUnits: 'auto', default 0.1 (10%)
+  computeUnitMargin?: number;
+  // Priority fee in micro-lamports per compute unit, or 'auto' to estimate from recent fees
+  priorityFee?: number | 'auto';
+  // Percentile of recent prioritization fees used by 'auto', default 75
+  priorityFeePercentile?: number;
+  // Transaction version: 'legacy' (default) or 0 to return a VersionedTransaction
+  version?: 'legacy' | 0;
+  // Address lookup tables used by version 0 (accounts or addresses)
+  lookupTables?: (AddressLookupTableAccount | PublicKey | string)[];
+  // Durable nonce: prepends nonceAdvance and uses the nonce value as blockhash (offline signing)
+  nonce?: DurableNonceOption;
+}
+
+export interface DurableNonceOption {
+  nonceAccount: PublicKey | string;
+  // Default payer
+  nonceAuthority?: PublicKey | Signer;
+  // Fetched from the nonce account when omitted
+  nonceValue?: string;
+}
+
+// ========================= Pre-flight Related Types =========================
+
+export type RemedyCategory = 'slippage' | 'margin' | 'liquidity' | 'cooldown';
+
+export interface ProgramErrorInfo {
+  code: number;
+  name: string;
+  message: string;
+  remedy: RemedyCategory | null;
+  instructionIndex: number | null;
+}
+
+export interface PreflightResult {
+  success: boolean;
+  // Decoded PinPet / Anchor program error, null when successful or not a program error
+  error: ProgramErrorInfo | null;
+  // Raw simulation error
+  err: any;
+  logs: string[];
+  unitsConsumed: number | null;
+  remedy: RemedyCategory | null;
+}
+
+// ========================= Send Related Types =========================
+
+export interface SignTransactionWallet {
+  publicKey: PublicKey;
+  signTransaction<T extends Transaction | VersionedTransaction>(transaction: T): Promise<T>;
+  signAllTransactions?<T extends Transaction | VersionedTransaction>(transactions: T[]): Promise<T[]>;
+}
+
+// Keypair, anchor Wallet or browser wallet adapter, accepted wherever a payer / wallet is expected
+export type Signer = Keypair | SignTransactionWallet;
+
+export type SendWallet = Signer;
+
+export interface SendOptions {
+  commitment?: 'processed' | 'confirmed' | 'finalized';
+  skipPreflight?: boolean;
+  preflightCommitment?: 'processed' | 'confirmed' | 'finalized';
+  maxRetries?: number;
+  // Read the execution receipts after confirmation, default true
+  receipt?: boolean;
+}
+
+export interface SendResult {
+  signature: string;
+  slot: number;
+  // Status observed after confirmation (at least the requested commitment), null when it could not be read
+  confirmationStatus: 'processed' | 'confirmed' | 'finalized' | null;
+  blockhash: string;
+  // null for durable nonce transactions
+  lastValidBlockHeight: number | null;
+  // First trade receipt, null when there is none or the receipts could not be read
+  receipt?: ExecutionReceipt | null;
+  receipts?: ExecutionReceipt[] | null;
+  receiptError?: Error;
 }
 
+// Execution receipt from a trade event, fields that do not apply are null
+export interface ExecutionReceipt {
+  event: 'BuySellEvent' | 'LongShortEvent' | 'FullCloseEvent' | 'PartialCloseEvent';
+  action: 'buy' | 'sell' | 'long' | 'short' | 'closeLong' | 'closeShort';
+  mint: string;
+  payer: string;
+  tokenAmount: bigint;
+  solAmount: bigint;
+  // u128 prices, see CurveAMM.u128ToDecimal
+  latestPrice: bigint;
+  openPrice: bigint | null;
+  lockLpStartPrice: bigint | null;
+  lockLpEndPrice: bigint | null;
+  // New order (long/short) or closed order, usable as closeOrderId
+  orderId: string | null;
+  orderIndex: number | null;
+  marginSolAmount: bigint | null;
+  borrowAmount: bigint | null;
+  positionAssetAmount: bigint | null;
+  userCloseProfit: bigint | null;
+  liquidateIndices: number[];
+  eventIndex: number;
+}
+
+export interface SignerSlot {
+  publicKey: PublicKey;
+  signed: boolean;
+}
+
+export type SerializableTransaction = TransactionResult | Transaction | VersionedTransaction | string;
+
 // ========================= Query Parameter Types =========================
 
-export interface OrdersQueryOptions {
+// Chain read options
+export interface ReadOptions {
+  commitment?: 'processed' | 'confirmed' | 'finalized';
+  // Minimum slot of the read, e.g. SendResult.slot of your last transaction
+  minContextSlot?: number;
+}
+
+export interface OrdersQueryOptions extends ReadOptions {
   type?: 'up_orders' | 'down_orders';
   limit?: number;
   page?: number;
   dataSource?: DataSourceType;
 }
 
-export interface PriceQueryOptions {
+export interface PriceQueryOptions extends ReadOptions {
   dataSource?: DataSourceType;
+  // Chain source: return { price, slot } instead of the price string
+  withContext?: boolean;
 }
 
-export interface UserOrdersQueryOptions {
+export interface UserOrdersQueryOptions extends ReadOptions {
   type?: 'up_orders' | 'down_orders';
   limit?: number;
   page?: number;
+  order_by?: 'start_time_desc' | 'start_time_asc';
+  dataSource?: DataSourceType;
+}
+
+export interface UserPositionsQueryOptions extends ReadOptions {
+  // Chain: only scan these markets instead of discovering them with chain.mints()
+  mints?: Array<string | PublicKey>;
+  // Chain: discovery filters, see chain.mints()
+  creator?: string | PublicKey;
+  feeRecipient?: string | PublicKey;
+  // Chain: markets read in parallel, default 4
+  concurrency?: number;
+  // Fast: orders per API page, default 100
+  pageSize?: number;
+  order_by?: 'start_time_desc' | 'start_time_asc';
   dataSource?: DataSourceType;
 }
 
+export interface UserPosition {
+  mint: string;
+  // Short orders (order_type 2)
+  up_orders: OrderData[];
+  // Long orders (order_type 1)
+  down_orders: OrderData[];
+  // Chain only: slot the orderbooks were read at
+  slot?: number;
+}
+
+export interface UserPositionsResponse {
+  success: boolean;
+  data: {
+    user: string;
+    positions: UserPosition[];
+    total: number;
+    // Chain only
+    markets_scanned?: number;
+    errors?: Array<{ mint: string; error: Error }>;
+  };
+  message: string;
+}
+
 // ========================= Simulator Related Types =========================
 
 export interface SimulationResult {
@@ -204,24 +416,204 @@ export interface TradingModule {
   short(params: ShortParams, options?: TransactionOptions): Promise<TransactionResult>;
   closeLong(params: CloseLongParams, options?: TransactionOptions): Promise<TransactionResult>;
   closeShort(params: CloseShortParams, options?: TransactionOptions): Promise<TransactionResult>;
+  preflight(result: SendableResult, payer: PublicKey | string | Signer, options?: { commitment?: 'processed' | 'confirmed' | 'finalized' }): Promise<PreflightResult>;
+  buyInstructions(params: BuyParams): Promise<InstructionSet>;
+  sellInstructions(params: SellParams): Promise<InstructionSet>;
+  longInstructions(params: LongParams): Promise<InstructionSet>;
+  shortInstructions(params: ShortParams): Promise<InstructionSet>;
+  closeLongInstructions(params: CloseLongParams): Promise<InstructionSet>;
+  closeShortInstructions(params: CloseShortParams): Promise<InstructionSet>;
 }
 
 export interface FastModule {
-  mints(options?: any): Promise<any>;
+  mints(options?: any): Promise<MintsResponse>;
   mint_info(mint: string): Promise<MintInfo>;
   orders(mint: string, options?: OrdersQueryOptions): Promise<OrdersResponse>;
   price(mint: string, options?: PriceQueryOptions): Promise<PriceResponse>;
   user_orders(user: string, mint: string, options?: UserOrdersQueryOptions): Promise<OrdersResponse>;
+  user_positions(user: string, options?: UserPositionsQueryOptions): Promise<UserPositionsResponse>;
 }
 
 export interface ChainModule {
-  getCurveAccount(mint: string): Promise<any>;
+  getCurveAccount(mint: string | PublicKey, options?: ReadOptions): Promise<any>;
   orders(mint: string, options?: OrdersQueryOptions): Promise<OrdersResponse>;
+  user_orders(user: string, mint: string, options?: UserOrdersQueryOptions): Promise<OrdersResponse>;
+  user_positions(user: string, options?: UserPositionsQueryOptions): Promise<UserPositionsResponse>;
+  debug_orders(mint: string, options?: { type?: 'up_orders' | 'down_orders' } & ReadOptions): Promise<any>;
   price(mint: string, options?: PriceQueryOptions): Promise<PriceResponse>;
+  snapshot(mint: string | PublicKey, options?: SnapshotOptions): Promise<MarketSnapshot>;
+  snapshots(mints: Array<string | PublicKey>, options?: SnapshotsOptions): Promise<MarketSnapshotResult[]>;
+  mints(options?: ChainMintsOptions): Promise<MintsResponse>;
+  cache: AccountCache | null;
+  enableCache(options?: AccountCacheOptions): AccountCache;
+  disableCache(): Promise<void>;
+  invalidate(mint?: string | PublicKey): void;
+  cacheStats(): AccountCacheStats | null;
+  watchOrderbook(
+    mint: string | PublicKey,
+    side: 'up_orders' | 'down_orders',
+    handler: (change: OrderbookChange) => void | Promise<void>,
+    options?: ReadOptions & { onError?: (error: Error) => void }
+  ): Promise<OrderbookWatch>;
+}
+
+export interface OrderbookHeaderState {
+  last_modified: number;
+  order_id_counter: string;
+  total: number;
+}
+
+export interface OrderbookChange {
+  mint: string;
+  side: 'up_orders' | 'down_orders';
+  slot: number;
+  added: ChainOrder[];
+  removed: ChainOrder[];
+  // fields: changed order fields (linked list pointers excluded)
+  updated: Array<{ previous: ChainOrder; current: ChainOrder; fields: string[] }>;
+  header: OrderbookHeaderState;
+  previousHeader: OrderbookHeaderState;
+}
+
+export interface OrderbookWatch {
+  // State at slot, when the watch started
+  orders: ChainOrder[];
+  header: OrderbookHeaderState;
+  slot: number;
+  unsubscribe(): Promise<void>;
+}
+
+export interface SnapshotsOptions {
+  // Also read both orderbooks, default false
+  includeOrderbooks?: boolean;
+  commitment?: 'processed' | 'confirmed' | 'finalized';
+  minContextSlot?: number;
+}
+
+export type MarketSnapshotResult =
+  | ({ mint: string; success: true; orders?: MarketSnapshot['orders'] } & Pick<MarketSnapshot, 'context' | 'curve'>)
+  | { mint: string; success: false; error: Error };
+
+export interface ChainMintsOptions extends ReadOptions {
+  // Only markets created by this wallet
+  creator?: string | PublicKey;
+  // Only markets with this (partner) fee recipient
+  feeRecipient?: string | PublicKey;
+}
+
+// Token object of fast.mints() / chain.mints(); chain.mints() leaves fields not held by the curve account null
+export interface MarketListing {
+  payer: string;
+  mint_account: string;
+  curve_account: string;
+  pool_token_account: string;
+  pool_sol_account: string;
+  fee_recipient: string;
+  base_fee_recipient: string;
+  params_account: string | null;
+  swap_fee: number;
+  borrow_fee: number;
+  fee_discount_flag: number;
+  name: string | null;
+  symbol: string | null;
+  uri: string | null;
+  up_orderbook: string;
+  down_orderbook: string;
+  latest_price: string;
+  created_at: number | null;
+  created_slot: number | null;
+  updated_at: number | null;
+  extras: Record<string, any>;
+}
+
+export interface MintsResponse {
+  code: number;
+  msg: string;
+  data: {
+    tokens: MarketListing[];
+    total: number;
+    next_cursor: string | null;
+    // chain.mints() only: slot of the read
+    slot?: number;
+  };
+}
+
+export interface SnapshotOptions {
+  user?: string | PublicKey | Signer;
+  commitment?: 'processed' | 'confirmed' | 'finalized';
+  minContextSlot?: number;
+}
+
+// Order as returned by sdk.chain.orders() data.orders
+export interface ChainOrder extends LiquidatedOrder {
+  mint: string;
+  lock_lp_start_price: string;
+  lock_lp_end_price: string;
+  open_price: string;
+  lock_lp_sol_amount: string;
+  lock_lp_token_amount: string;
+  margin_init_sol_amount: string;
+  realized_sol_amount: string;
+  start_time: number;
+  end_time: number;
+  borrow_fee: number;
+  next_order: number;
+  prev_order: number;
+}
+
+export interface MarketSnapshot {
+  context: { slot: number };
+  mint: string;
+  // sdk.chain.getCurveAccount() fields without the fee recipient balances
+  curve: {
+    lpTokenReserve: bigint;
+    lpSolReserve: bigint;
+    price: bigint;
+    borrowTokenReserve: bigint;
+    borrowSolReserve: bigint;
+    swapFee: number;
+    borrowFee: number;
+    feeDiscountFlag: number;
+    feeSplit: number;
+    borrowDuration: number;
+    bump: number;
+    baseFeeRecipient: string;
+    feeRecipient: string;
+    mint: string;
+    upOrderbook: string;
+    downOrderbook: string;
+    creator: string;
+    poolTokenAccount: string;
+    poolSolAccount: string;
+    poolTokenBalance: bigint;
+    poolSolBalance: number;
+    _metadata: { accountAddress: string; mintAddress: string };
+  };
+  orders: {
+    up_orders: ChainOrder[];
+    down_orders: ChainOrder[];
+  };
+  // null without options.user
+  user: {
+    address: string;
+    solBalance: number;
+    tokenAccount: string;
+    // null when the associated token account does not exist
+    tokenBalance: bigint | null;
+    cooldown: {
+      address: string;
+      lastTradeTime: number;
+      approvalTokenAmount: bigint;
+      bump: number;
+    } | null;
+  } | null;
 }
 
 export interface TokenModule {
-  create(params: any): Promise<TransactionResult>;
+  create(params: any, options?: TransactionOptions): Promise<TransactionResult>;
+  createAndBuy(params: any, options?: TransactionOptions): Promise<TransactionResult>;
+  createInstructions(params: any): Promise<InstructionSet>;
+  createAndBuyInstructions(params: any): Promise<InstructionSet>;
 }
 
 export interface ParamModule {
@@ -237,11 +629,324 @@ export interface SimulatorModule {
   simulateSellStopLoss(mint: string, sellTokenAmount: bigint | string | number, stopLossPrice: bigint | string | number, lastPrice?: any, ordersData?: any): Promise<any>;
 }
 
+export interface LookupTableResult {
+  // null when the lookup table already contains all market accounts
+  transaction: Transaction | null;
+  signers: Keypair[];
+  lookupTableAddress: PublicKey;
+  addresses: PublicKey[];
+}
+
+export interface ToolsModule {
+  approveTrade(params: { mint: string | PublicKey; wallet: Signer }): Promise<TransactionResult>;
+  closeTradeCooldown(params: { mint: string | PublicKey; wallet: Signer }): Promise<TransactionResult>;
+  approveTradeInstructions(params: { mint: string | PublicKey; wallet: Signer }): Promise<InstructionSet>;
+  closeTradeCooldownInstructions(params: { mint: string | PublicKey; wallet: Signer }): Promise<InstructionSet>;
+  validateCooldown(params: { mint: string | PublicKey; wallet: Signer | PublicKey | { publicKey: PublicKey }; tokenBalance?: BN | number | string }): Promise<any>;
+  getMarketLookupTableAddresses(mint: string | PublicKey): Promise<PublicKey[]>;
+  createMarketLookupTable(params: { mint: string | PublicKey; payer: PublicKey | Signer; recentSlot?: number }): Promise<LookupTableResult>;
+  extendMarketLookupTable(params: { mint: string | PublicKey; lookupTable: string | PublicKey; payer: PublicKey | Signer }): Promise<LookupTableResult>;
+}
+
+export type BundleStatus = 'Invalid' | 'Pending' | 'Failed' | 'Landed';
+
+export interface BundleOptions {
+  blockEngineUrl?: string;
+  tipAccount?: string | PublicKey;
+  tipLamports?: number;
+  commitment?: 'processed' | 'confirmed' | 'finalized';
+  // Poll the bundle status until landed, default true
+  waitForLanding?: boolean;
+  pollInterval?: number;
+  timeout?: number;
+}
+
+export interface BundleBuildResult {
+  transactions: (Transaction | VersionedTransaction)[];
+  signatures: (string | null)[];
+  blockhash: string;
+  lastValidBlockHeight: number;
+}
+
+// Bare instructions returned by the *Instructions methods
+export interface InstructionSet {
+  instructions: TransactionInstruction[];
+  signers: Signer[];
+  accounts: any;
+  payer?: PublicKey;
+  // Non-signer accounts that can be stored in an address lookup table
+  lookupAccounts: PublicKey[];
+}
+
+export interface ComposeOptions extends TransactionOptions {
+  payer?: PublicKey | Signer;
+  signers?: Signer[];
+}
+
+export interface ComposeResult {
+  transaction: Transaction | VersionedTransaction;
+  signers: Signer[];
+  accounts: any[];
+  lookupAccounts: PublicKey[];
+}
+
+export interface ComposerModule {
+  compose(instructionSets: InstructionSet[], options?: ComposeOptions): Promise<ComposeResult>;
+}
+
+export interface BundleStatusResult {
+  bundleId: string;
+  status: BundleStatus;
+  landedSlot: number | null;
+}
+
+export interface BundleSendResult extends BundleStatusResult {
+  signatures: (string | null)[];
+}
+
+export interface BundleModule {
+  createTipInstruction(params: { payer: PublicKey | Signer; tipAccount?: string | PublicKey; tipLamports?: number }): TransactionInstruction;
+  build(results: SendableResult | SendableResult[], wallet: Signer, options?: BundleOptions): Promise<BundleBuildResult>;
+  send(results: SendableResult | SendableResult[], wallet: Signer, options?: BundleOptions): Promise<BundleSendResult>;
+  getBundleStatus(bundleId: string, options?: { blockEngineUrl?: string }): Promise<BundleStatusResult>;
+  waitForBundle(bundleId: string, options?: BundleOptions): Promise<BundleStatusResult>;
+}
+
+// ========================= Event Related Types =========================
+
+// Event fields keep the IDL snake_case names: u64/u128/i64 -> bigint, pubkey -> base58 string
+export interface BuySellEventData {
+  payer: string;
+  mint_account: string;
+  is_buy: boolean;
+  token_amount: bigint;
+  sol_amount: bigint;
+  latest_price: bigint;
+  liquidate_indices: number[];
+}
+
+export interface LongShortEventData {
+  payer: string;
+  mint_account: string;
+  order_id: bigint;
+  order_index: number;
+  latest_price: bigint;
+  open_price: bigint;
+  order_type: number;
+  lock_lp_start_price: bigint;
+  lock_lp_end_price: bigint;
+  lock_lp_sol_amount: bigint;
+  lock_lp_token_amount: bigint;
+  start_time: bigint;
+  end_time: bigint;
+  margin_sol_amount: bigint;
+  borrow_amount: bigint;
+  position_asset_amount: bigint;
+  borrow_fee: number;
+  liquidate_indices: number[];
+}
+
+export interface FullCloseEventData {
+  payer: string;
+  user_sol_account: string;
+  mint_account: string;
+  is_close_long: boolean;
+  final_token_amount: bigint;
+  final_sol_amount: bigint;
+  user_close_profit: bigint;
+  latest_price: bigint;
+  order_id: bigint;
+  order_index: number;
+  liquidate_indices: number[];
+}
+
+export interface PartialCloseEventData extends FullCloseEventData {
+  order_type: number;
+  user: string;
+  lock_lp_start_price: bigint;
+  lock_lp_end_price: bigint;
+  lock_lp_sol_amount: bigint;
+  lock_lp_token_amount: bigint;
+  start_time: bigint;
+  end_time: bigint;
+  margin_sol_amount: bigint;
+  borrow_amount: bigint;
+  position_asset_amount: bigint;
+  borrow_fee: number;
+  realized_sol_amount: bigint;
+}
+
+export interface MilestoneDiscountEventData {
+  payer: string;
+  mint_account: string;
+  curve_account: string;
+  swap_fee: number;
+  borrow_fee: number;
+  fee_discount_flag: number;
+}
+
+export interface TokenCreatedEventData {
+  payer: string;
+  mint_account: string;
+  curve_account: string;
+  pool_token_account: string;
+  pool_sol_account: string;
+  fee_recipient: string;
+  base_fee_recipient: string;
+  params_account: string;
+  swap_fee: number;
+  borrow_fee: number;
+  fee_discount_flag: number;
+  name: string;
+  symbol: string;
+  uri: string;
+  up_orderbook: string;
+  down_orderbook: string;
+  latest_price: bigint;
+}
+
+export interface PinPetEventContext {
+  signature: string | null;
+  slot: number | null;
+  blockTime: number | null;
+  // Top-level instruction that emitted the event
+  instructionIndex: number;
+  // Position among the PinPet events of the transaction
+  eventIndex: number;
+}
+
+export type PinPetEvent =
+  | ({ name: 'BuySellEvent'; data: BuySellEventData } & PinPetEventContext)
+  | ({ name: 'LongShortEvent'; data: LongShortEventData } & PinPetEventContext)
+  | ({ name: 'FullCloseEvent'; data: FullCloseEventData } & PinPetEventContext)
+  | ({ name: 'PartialCloseEvent'; data: PartialCloseEventData } & PinPetEventContext)
+  | ({ name: 'MilestoneDiscountEvent'; data: MilestoneDiscountEventData } & PinPetEventContext)
+  | ({ name: 'TokenCreatedEvent'; data: TokenCreatedEventData } & PinPetEventContext);
+
+export type PinPetEventName = PinPetEvent['name'];
+
+export interface EventsModule {
+  parseTransaction(signatureOrTx: string | any, options?: { commitment?: 'processed' | 'confirmed' | 'finalized' }): Promise<PinPetEvent[]>;
+  parseLogs(logs: string[], context?: { signature?: string; slot?: number; blockTime?: number | null }): PinPetEvent[];
+  decodeEvent(data: string): { name: PinPetEventName; data: any } | null;
+  subscribe(filter: EventSubscribeFilter, handler: (event: PinPetEvent) => void | Promise<void>, options?: EventSubscribeOptions): EventSubscription;
+  history(mint: string | PublicKey, options?: EventHistoryOptions): AsyncGenerator<PinPetHistoryEvent, void, unknown>;
+  getLiquidationSide(event: { name: string; data: any }): 'up_orders' | 'down_orders' | null;
+  resolveLiquidations(event: { name: string; data: any }, orderbook: LiquidationOrderbook): LiquidatedOrder[];
+}
+
+// Orderbook read before the transaction: sdk.chain.orders() result or data, orders array, or both sides
+export type LiquidationOrderbook =
+  | OrdersResponse
+  | OrdersResponse['data']
+  | LiquidatedOrder[]
+  | { up_orders: OrdersResponse | OrdersResponse['data'] | LiquidatedOrder[]; down_orders: OrdersResponse | OrdersResponse['data'] | LiquidatedOrder[] };
+
+// Order as returned by sdk.chain.orders(), index is its orderbook slot
+export interface LiquidatedOrder {
+  user: string;
+  order_id: string;
+  order_type: string;
+  margin_sol_amount: string;
+  borrow_amount: string;
+  position_asset_amount: string;
+  index: number;
+  [key: string]: any;
+}
+
+export interface EventHistoryOptions {
+  before?: string;
+  until?: string;
+  // Cursor of a yielded event ('signature:eventIndex'), takes precedence over before
+  cursor?: string;
+  // Maximum number of events to yield
+  limit?: number;
+  types?: PinPetEventName | PinPetEventName[];
+  // Signatures per getSignaturesForAddress page, default 100
+  pageSize?: number;
+  // Parallel getTransaction requests, default 4
+  concurrency?: number;
+  // Retries per RPC request, default 3
+  retries?: number;
+  // First retry delay in ms, doubled on each retry, default 500
+  retryDelay?: number;
+  commitment?: 'confirmed' | 'finalized';
+}
+
+export type PinPetHistoryEvent = PinPetEvent & { cursor: string };
+
+export type CandleInterval = '1s' | '1m' | '5m' | '15m' | '30m' | '1h' | '4h' | '1d';
+
+export interface Candle {
+  // Candle start, unix seconds
+  time: number;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  // Token volume (BuySellEvent only)
+  volume: number;
+  volumeSol: number;
+  trades: number;
+}
+
+export interface CandlesOptions {
+  interval?: CandleInterval | number;
+  // Backfill start, unix seconds
+  from?: number;
+  // Maximum number of historical events to read
+  limit?: number;
+  live?: boolean;
+  onUpdate?: (candle: Candle, event: PinPetEvent) => void;
+  onError?: (error: Error) => void;
+  commitment?: 'confirmed' | 'finalized';
+}
+
+export interface CandleSeries {
+  // Oldest first, updated in place by live events
+  candles: Candle[];
+  // Interval in seconds
+  interval: number;
+  unsubscribe(): Promise<void>;
+}
+
+export interface AnalyticsModule {
+  candles(mint: string | PublicKey, options?: CandlesOptions): Promise<CandleSeries>;
+}
+
+export interface EventSubscribeFilter {
+  mint?: string | PublicKey;
+  types?: PinPetEventName | PinPetEventName[];
+  commitment?: 'processed' | 'confirmed' | 'finalized';
+}
+
+export interface EventSubscribeOptions {
+  // Re-subscribe after this many ms without notifications, default 60000
+  idleTimeout?: number;
+  onError?: (error: any) => void;
+}
+
+export interface EventSubscription {
+  unsubscribe(): Promise<void>;
+}
+
+export interface SenderModule {
+  send(result: SendableResult, wallet: SendWallet, options?: SendOptions): Promise<SendResult>;
+  serialize(transaction: TransactionResult | Transaction | VersionedTransaction): string;
+  deserialize(data: string | Uint8Array): Transaction | VersionedTransaction;
+  signerSlots(transaction: SerializableTransaction): SignerSlot[];
+  sign(transaction: SerializableTransaction, signers: Signer | Signer[]): Promise<Transaction | VersionedTransaction>;
+  submit(transaction: SerializableTransaction, options?: SendOptions): Promise<SendResult>;
+  getReceipts(signature: string, options?: { commitment?: 'confirmed' | 'finalized' }): Promise<ExecutionReceipt[]>;
+}
+
 // ========================= Data Interface Types =========================
 
 export interface DataInterface {
   orders(mint: string, options?: OrdersQueryOptions): Promise<OrdersResponse>;
   price(mint: string, options?: PriceQueryOptions): Promise<PriceResponse>;
+  user_orders(user: string, mint: string, options?: UserOrdersQueryOptions): Promise<OrdersResponse>;
+  user_positions(user: string, options?: UserPositionsQueryOptions): Promise<UserPositionsResponse>;
 }
 
 // ========================= Main SDK Type Definitions =========================
@@ -257,6 +962,9 @@ export declare class PinPetSdk {
   paramsAccount: PublicKey;
   pinPetFastApiUrl: string;
 
+  // Program addresses (memoized PDA derivations)
+  pda: PdaUtils;
+
   // Constants
   readonly MAX_ORDERS_COUNT: number;
   readonly FIND_MAX_ORDERS_COUNT: number;
@@ -269,11 +977,21 @@ export declare class PinPetSdk {
   token: TokenModule;
   param: ParamModule;
   simulator: SimulatorModule;
+  tools: ToolsModule;
+  sender: SenderModule;
+  bundle: BundleModule;
+  composer: ComposerModule;
+  events: EventsModule;
+  analytics: AnalyticsModule;
   data: DataInterface;
 
   // Static utility class references
   static CurveAMM: typeof CurveAMM;
   static OrderUtils: typeof OrderUtils;
+  static PdaUtils: typeof PdaUtils;
+
+  // Convert any error (SendTransactionError, AnchorError, ...) into a typed PinPet error
+  static parseError(err: any): PinPetError | null;
 
   constructor(
     connection: Connection,
@@ -281,6 +999,9 @@ export declare class PinPetSdk {
     options?: PinPetSdkOptions
   );
 
+  // Sign, send and confirm a builder result
+  send(result: SendableResult, wallet: SendWallet, options?: SendOptions): Promise<SendResult>;
+
   // OrderUtils shortcut methods
   buildLpPairs(orders: OrderData[], direction: string, price: any, maxCount?: number): LpPair[];
   buildOrderAccounts(orders: OrderData[], maxCount?: number): (string | null)[];
@@ -296,6 +1017,7 @@ export declare class OrderUtils {
   static findPrevNext(orders: OrderData[], findOrderPda: string): FindPrevNextResult;
   static findOrderIndex(orders: OrderData[], targetOrderPda: string | PublicKey | null): number;
   static validateOrdersFormat(orders: OrderData[], throwOnError?: boolean): boolean | ValidationResult;
+  static groupPositions(orders: OrderData[]): UserPosition[];
 }
 
 export declare class CurveAMM {
@@ -347,12 +1069,201 @@ export declare class CurveAMM {
   static calculatePoolPrice(lpTokenReserve: bigint | string | number | BN, lpSolReserve: bigint | string | number | BN): string | null;
 }
 
+export interface MintAddresses {
+  curveAccount: PublicKey;
+  poolTokenAccount: PublicKey;
+  poolSolAccount: PublicKey;
+  upOrderbook: PublicKey;
+  downOrderbook: PublicKey;
+  metadataAccount: PublicKey;
+}
+
+export interface UserAddresses extends MintAddresses {
+  cooldown: PublicKey;
+  userTokenAccount: PublicKey;
+}
+
+export declare class PdaUtils {
+  static readonly METADATA_PROGRAM_ID: PublicKey;
+
+  programId: PublicKey;
+
+  constructor(programId: string | PublicKey);
+
+  curveAccount(mint: string | PublicKey): PublicKey;
+  poolTokenAccount(mint: string | PublicKey): PublicKey;
+  poolSolAccount(mint: string | PublicKey): PublicKey;
+  upOrderbook(mint: string | PublicKey): PublicKey;
+  downOrderbook(mint: string | PublicKey): PublicKey;
+  cooldown(mint: string | PublicKey, user: string | PublicKey): PublicKey;
+  params(partner: string | PublicKey): PublicKey;
+  admin(): PublicKey;
+  metadata(mint: string | PublicKey): PublicKey;
+  forMint(mint: string | PublicKey): MintAddresses;
+  forUser(mint: string | PublicKey, user: string | PublicKey): UserAddresses;
+  clear(): void;
+}
+
 // ========================= Constant and Function Exports =========================
 
 export declare const SPINPET_PROGRAM_ID: string;
 
 export declare function getDefaultOptions(networkName?: 'MAINNET' | 'DEVNET' | 'LOCALNET'): NetworkConfig;
 
+// ========================= Account Decoders =========================
+
+// u64/u128 fields are bigint, i64 timestamps are numbers
+export interface DecodedOrderBookHeader {
+  version: number;
+  orderType: number;
+  bump: number;
+  authority: PublicKey;
+  orderIdCounter: bigint;
+  createdAt: number;
+  lastModified: number;
+  totalCapacity: number;
+  head: number;
+  tail: number;
+  total: number;
+  headerSize: number;
+}
+
+export interface DecodedMarginOrder {
+  user: PublicKey;
+  lockLpStartPrice: bigint;
+  lockLpEndPrice: bigint;
+  openPrice: bigint;
+  orderId: bigint;
+  lockLpSolAmount: bigint;
+  lockLpTokenAmount: bigint;
+  nextLpSolAmount: bigint;
+  nextLpTokenAmount: bigint;
+  marginInitSolAmount: bigint;
+  marginSolAmount: bigint;
+  borrowAmount: bigint;
+  positionAssetAmount: bigint;
+  realizedSolAmount: bigint;
+  startTime: number;
+  endTime: number;
+  version: number;
+  nextOrder: number;
+  prevOrder: number;
+  borrowFee: number;
+  orderType: number;
+}
+
+export interface DecodedOrderBook {
+  header: DecodedOrderBookHeader;
+  orders: Array<DecodedMarginOrder & { index: number }>;
+}
+
+export interface DecodedBorrowingBondingCurve {
+  lpTokenReserve: bigint;
+  lpSolReserve: bigint;
+  price: bigint;
+  borrowTokenReserve: bigint;
+  borrowSolReserve: bigint;
+  swapFee: number;
+  borrowFee: number;
+  feeDiscountFlag: number;
+  baseFeeRecipient: PublicKey;
+  feeRecipient: PublicKey;
+  feeSplit: number;
+  borrowDuration: number;
+  mint: PublicKey;
+  upOrderbook: PublicKey;
+  downOrderbook: PublicKey;
+  creator: PublicKey;
+  bump: number;
+}
+
+export interface DecodedTradeCooldown {
+  lastTradeTime: number;
+  approvalTokenAmount: bigint;
+  bump: number;
+}
+
+export interface DecodedParams {
+  baseSwapFee: number;
+  baseBorrowFee: number;
+  baseBorrowDuration: number;
+  baseFeeRecipient: PublicKey;
+  feeRecipient: PublicKey;
+  feeSplit: number;
+  bump: number;
+}
+
+export interface DecodedAdmin {
+  defaultSwapFee: number;
+  defaultBorrowFee: number;
+  defaultBorrowDuration: number;
+  baseFeeRecipient: PublicKey;
+  defaultFeeSplit: number;
+  admin: PublicKey;
+  bump: number;
+}
+
+export type DecodedAccount =
+  | { type: 'OrderBook'; account: DecodedOrderBook }
+  | { type: 'BorrowingBondingCurve'; account: DecodedBorrowingBondingCurve }
+  | { type: 'TradeCooldown'; account: DecodedTradeCooldown }
+  | { type: 'Params'; account: DecodedParams }
+  | { type: 'Admin'; account: DecodedAdmin };
+
+export declare function decodeAccount(data: Uint8Array): DecodedAccount;
+export declare function getAccountFieldRange(accountType: string, from: string, to?: string): { offset: number; length: number };
+export declare function decodeAccountFields(data: Uint8Array, accountType: string, from: string, to?: string): Record<string, any>;
+export declare function decodeOrderBook(data: Uint8Array): DecodedOrderBook;
+export declare function decodeOrderBookHeader(data: Uint8Array): DecodedOrderBookHeader;
+export declare function decodeMarginOrder(data: Uint8Array, index: number, header?: DecodedOrderBookHeader): DecodedMarginOrder;
+export declare function decodeBorrowingBondingCurve(data: Uint8Array): DecodedBorrowingBondingCurve;
+export declare function decodeTradeCooldown(data: Uint8Array): DecodedTradeCooldown;
+export declare function decodeParams(data: Uint8Array): DecodedParams;
+export declare function decodeAdmin(data: Uint8Array): DecodedAdmin;
+
+// ========================= Error Classes =========================
+
+export declare class PinPetError extends Error {
+  cause?: any;
+  constructor(message: string, options?: { cause?: any });
+}
+
+export declare class PinPetProgramError extends PinPetError {
+  code: number;
+  errorName: string;
+  remedy: RemedyCategory | null;
+  instructionIndex: number | null;
+  logs: string[];
+  signature: string | null;
+  constructor(message: string, options: { code: number; errorName: string; remedy?: RemedyCategory | null; instructionIndex?: number | null; logs?: string[]; signature?: string; cause?: any });
+}
+
+export declare class PinPetApiError extends PinPetError {
+  // HTTP status, null when the request did not get a response
+  status: number | null;
+  // API response code
+  code: number | string | null;
+  url: string | null;
+  constructor(message: string, options?: { status?: number | null; code?: number | string | null; url?: string; cause?: any });
+}
+
+export declare class PinPetAccountNotFoundError extends PinPetError {
+  accountType: string | null;
+  address: string | null;
+  constructor(message: string, options?: { accountType?: string; address?: string | PublicKey; cause?: any });
+}
+
+export declare class PinPetValidationError extends PinPetError {
+  param: string | null;
+  constructor(message: string, options?: { param?: string; cause?: any });
+}
+
+export declare class PinPetDecodeError extends PinPetError {
+  accountType: string | null;
+  version: number | null;
+  constructor(message: string, options?: { accountType?: string; version?: number; cause?: any });
+}
+
 // ========================= Module Class Exports =========================
 
 export declare class TradingModule implements TradingModule {}
@@ -361,6 +1272,11 @@ export declare class ChainModule implements ChainModule {}
 export declare class TokenModule implements TokenModule {}
 export declare class ParamModule implements ParamModule {}
 export declare class SimulatorModule implements SimulatorModule {}
+export declare class SenderModule implements SenderModule {}
+export declare class BundleModule implements BundleModule {}
+export declare class ComposerModule implements ComposerModule {}
+export declare class EventsModule implements EventsModule {}
+export declare class AnalyticsModule implements AnalyticsModule {}
 
 // Default export
 export default PinPetSdk;
\ No newline at end of file
@@ -0,0 +1,243 @@
+const { PublicKey } = require('@solana/web3.js');
+
+const DEFAULT_CACHE_TTL = 2000;
+// Entries kept at most, expired then least recently used entries are evicted first
+const MAX_CACHE_ENTRIES = 10000;
+
+/**
+ * Account cache keyed by account address
+ *
+ * Entries expire after `ttl` ms. With `subscribe`, every cached account gets an onAccountChange
+ * subscription that expires its entry as soon as the account changes on chain.
+ * Concurrent reads of the same address share one request, and the misses of a call are read together.
+ * At most `maxEntries` entries are kept: expired entries are swept, then the least recently used are evicted.
+ * The subscription of an account is removed with its entry (eviction, invalidate, failed read).
+ */
+class AccountCache {
+  /**
+   * @param {Connection} connection - Solana connection
+   * @param {Object} options - Optional parameters
+   * @param {number} options.ttl - Time to live of an entry in ms, default 2000
+   * @param {boolean} options.subscribe - Invalidate entries from onAccountChange subscriptions, default false
+   * @param {string} options.commitment - Commitment of reads and subscriptions, default connection commitment
+   * @param {number} options.maxEntries - Maximum number of entries, default 10000
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.ttl = options.ttl ?? DEFAULT_CACHE_TTL;
+    this.subscribe = options.subscribe || false;
+    this.commitment = options.commitment;
+    this.maxEntries = options.maxEntries ?? MAX_CACHE_ENTRIES;
+
+    // address -> { promise, expiresAt, slot, stale }, least recently used first
+    this.entries = new Map();
+    this.lastSweep = Date.now();
+    // address -> onAccountChange subscription id
+    this.subscriptions = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Read an account through the cache
+   * @param {PublicKey|string} address - Account address
+   * @returns {Promise<AccountInfo<Buffer>|null>} Account info, null when the account does not exist
+   */
+  async getAccountInfo(address) {
+    const { value } = await this.getAccountInfoAndContext(address);
+    return value;
+  }
+
+  /**
+   * Read an account and the slot it was read at through the cache
+   * An entry read before `minContextSlot` is not served, the account is read again with that minimum slot.
+   * @param {PublicKey|string} address - Account address
+   * @param {Object} options - Optional parameters
+   * @param {number} options.minContextSlot - Minimum slot of the read
+   * @returns {Promise<Object>} { context: { slot }, value } - value is null when the account does not exist
+   */
+  async getAccountInfoAndContext(address, options = {}) {
+    const [result] = await this.getMultipleAccountsInfoAndContext([address], options);
+    return result;
+  }
+
+  /**
+   * Read accounts and the slot each was read at through the cache
+   * Hits are served from the cache. All misses are read with one getMultipleAccountsInfo request
+   * (so they share a slot) and cached from its response.
+   * @param {Array<PublicKey|string>} addresses - Account addresses
+   * @param {Object} options - Optional parameters
+   * @param {number} options.minContextSlot - Minimum slot of the read, older entries are read again
+   * @returns {Promise<Array<Object>>} [{ context: { slot }, value }] in address order, value is null for missing accounts
+   */
+  async getMultipleAccountsInfoAndContext(addresses, options = {}) {
+    const { minContextSlot } = options;
+    const now = Date.now();
+
+    // 1. Serve hits, collect misses (an address is read once per call)
+    const promises = new Array(addresses.length);
+    const misses = new Map();
+    addresses.forEach((address, position) => {
+      const pubkey = typeof address === 'string' ? new PublicKey(address) : address;
+      const key = pubkey.toString();
+      const miss = misses.get(key);
+      if (miss) {
+        miss.positions.push(position);
+        return;
+      }
+
+      const entry = this.entries.get(key);
+      if (entry && !entry.stale && entry.expiresAt > now && (minContextSlot === undefined || entry.slot >= minContextSlot)) {
+        this.hits++;
+        // Most recently used last
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        promises[position] = entry.promise;
+        return;
+      }
+
+      this.misses++;
+      misses.set(key, { key, pubkey, positions: [position] });
+    });
+
+    // 2. Read the misses in one request and cache them
+    if (misses.size > 0) {
+      const missList = [...misses.values()];
+      const batch = this.connection.getMultipleAccountsInfoAndContext(
+        missList.map(miss => miss.pubkey),
+        { commitment: this.commitment, minContextSlot }
+      );
+      missList.forEach((miss, index) => {
+        const promise = batch.then(({ context, value }) => ({ context, value: value[index] }));
+        // Rejections are surfaced through `batch`
+        promise.catch(() => {});
+        miss.entry = { promise, expiresAt: Infinity, slot: minContextSlot ?? 0, stale: false };
+        this.entries.delete(miss.key);
+        this._evict();
+        this.entries.set(miss.key, miss.entry);
+        for (const position of miss.positions) {
+          promises[position] = promise;
+        }
+      });
+
+      try {
+        const { context } = await batch;
+        for (const miss of missList) {
+          miss.entry.expiresAt = Date.now() + this.ttl;
+          miss.entry.slot = context.slot;
+          // Evicted or invalidated while in flight: no subscription
+          if (this.entries.get(miss.key) === miss.entry) {
+            this._watch(miss.pubkey, miss.key);
+          }
+        }
+      } catch (error) {
+        // Failed reads are not cached
+        for (const miss of missList) {
+          if (this.entries.get(miss.key) === miss.entry) {
+            this._remove(miss.key);
+          }
+        }
+        throw error;
+      }
+    }
+
+    return Promise.all(promises);
+  }
+
+  /**
+   * Drop cached entries
+   * @param {Array<PublicKey|string>} [addresses] - Addresses to drop, all entries when omitted
+   */
+  invalidate(addresses) {
+    const keys = addresses ? addresses.map(address => address.toString()) : [...this.entries.keys()];
+    for (const key of keys) {
+      this._remove(key);
+    }
+  }
+
+  /**
+   * Cache statistics
+   * @returns {Object} { hits, misses, hitRate, size, subscriptions }
+   */
+  stats() {
+    const total = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: total === 0 ? 0 : this.hits / total,
+      size: this.entries.size,
+      subscriptions: this.subscriptions.size
+    };
+  }
+
+  /**
+   * Remove every subscription and drop all entries
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const ids = [...this.subscriptions.values()];
+    this.subscriptions.clear();
+    this.entries.clear();
+    await Promise.all(ids.map(id => this.connection.removeAccountChangeListener(id).catch(() => {})));
+  }
+
+  /**
+   * Subscribe to an account once, expiring its entry on every change
+   * The entry is kept (stale) so that the subscription is removed with it when it is evicted.
+   * @private
+   */
+  _watch(pubkey, key) {
+    if (!this.subscribe || this.subscriptions.has(key)) {
+      return;
+    }
+    const id = this.connection.onAccountChange(pubkey, () => {
+      const entry = this.entries.get(key);
+      if (entry) {
+        entry.stale = true;
+      }
+    }, this.commitment);
+    this.subscriptions.set(key, id);
+  }
+
+  /**
+   * Make room for one entry: sweep expired entries (at most once per ttl, or when full),
+   * then evict least recently used entries
+   * @private
+   */
+  _evict() {
+    const now = Date.now();
+    if (this.entries.size >= this.maxEntries || now - this.lastSweep >= this.ttl) {
+      this.lastSweep = now;
+      for (const [key, entry] of this.entries) {
+        if (entry.stale || entry.expiresAt <= now) {
+          this._remove(key);
+        }
+      }
+    }
+    for (const key of this.entries.keys()) {
+      if (this.entries.size < this.maxEntries) {
+        break;
+      }
+      this._remove(key);
+    }
+  }
+
+  /**
+   * Drop an entry and remove the subscription of its account
+   * @private
+   */
+  _remove(key) {
+    this.entries.delete(key);
+    const id = this.subscriptions.get(key);
+    if (id !== undefined) {
+      this.subscriptions.delete(key);
+      this.connection.removeAccountChangeListener(id).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  AccountCache,
+  DEFAULT_CACHE_TTL,
+  MAX_CACHE_ENTRIES
+};
@@ -0,0 +1,171 @@
+const { ComputeBudgetProgram, PublicKey, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+const { PinPetError, PinPetValidationError } = require('./errors');
+
+// Default percentile of recent prioritization fees used by priorityFee: 'auto'
+const DEFAULT_PRIORITY_FEE_PERCENTILE = 75;
+
+// Maximum compute units a transaction can request, used as the limit while simulating
+const MAX_COMPUTE_UNITS = 1400000;
+
+// Default safety margin added to simulated compute units by computeUnits: 'auto' (0.1 = 10%)
+const DEFAULT_COMPUTE_UNIT_MARGIN = 0.1;
+
+// ComputeBudget instruction discriminator of SetComputeUnitLimit
+const SET_COMPUTE_UNIT_LIMIT_DISCRIMINATOR = 2;
+
+/**
+ * Estimate priority fee from recent prioritization fees of the given writable accounts
+ * @param {Connection} connection - Solana connection instance
+ * @param {Array<PublicKey>} writableAccounts - Accounts the instruction writes to (curve, pools, orderbooks)
+ * @param {number} percentile - Percentile of recent fees to use (0-100), default 75
+ * @returns {Promise<number>} Priority fee in micro-lamports per compute unit
+ */
+async function estimatePriorityFee(connection, writableAccounts, percentile = DEFAULT_PRIORITY_FEE_PERCENTILE) {
+  if (typeof percentile !== 'number' || percentile < 0 || percentile > 100) {
+    throw new PinPetValidationError('priorityFeePercentile must be a number between 0 and 100');
+  }
+
+  const recentFees = await connection.getRecentPrioritizationFees({
+    lockedWritableAccounts: writableAccounts
+  });
+
+  if (!recentFees || recentFees.length === 0) {
+    return 0;
+  }
+
+  const sortedFees = recentFees
+    .map(fee => fee.prioritizationFee)
+    .sort((a, b) => a - b);
+
+  const index = Math.min(
+    sortedFees.length - 1,
+    Math.max(0, Math.ceil((percentile / 100) * sortedFees.length) - 1)
+  );
+
+  return sortedFees[index];
+}
+
+/**
+ * Create compute budget instructions (unit limit + optional unit price)
+ * @param {Connection} connection - Solana connection instance
+ * @param {Object} params - Compute budget parameters
+ * @param {number|string} params.computeUnits - Compute units limit, or 'auto' (starts at the maximum, see applySimulatedComputeUnits)
+ * @param {number|string} [params.priorityFee] - Priority fee in micro-lamports, or 'auto' to estimate from recent fees
+ * @param {number} [params.priorityFeePercentile] - Percentile used by 'auto', default 75
+ * @param {Array<PublicKey>} [params.writableAccounts] - Accounts the instruction writes to, used by 'auto'
+ * @returns {Promise<Array<TransactionInstruction>>} Compute budget instructions
+ */
+async function createComputeBudgetInstructions(connection, { computeUnits, priorityFee, priorityFeePercentile, writableAccounts = [] }) {
+  const instructions = [
+    ComputeBudgetProgram.setComputeUnitLimit({
+      units: computeUnits === 'auto' ? MAX_COMPUTE_UNITS : computeUnits
+    })
+  ];
+
+  let microLamports = 0;
+  if (priorityFee === 'auto') {
+    microLamports = await estimatePriorityFee(connection, writableAccounts, priorityFeePercentile);
+  } else if (priorityFee !== undefined && priorityFee !== null) {
+    if (typeof priorityFee !== 'number' || priorityFee < 0) {
+      throw new PinPetValidationError('priorityFee must be a non-negative number (micro-lamports) or "auto"');
+    }
+    microLamports = priorityFee;
+  }
+
+  if (microLamports > 0) {
+    instructions.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+  }
+
+  return instructions;
+}
+
+/**
+ * Simulate instructions and return consumed compute units
+ * @param {Connection} connection - Solana connection instance
+ * @param {Array<TransactionInstruction>} instructions - Instructions to simulate (including compute budget instructions)
+ * @param {PublicKey} payer - Fee payer public key
+ * @returns {Promise<number>} Units consumed by the simulation
+ */
+async function simulateComputeUnits(connection, instructions, payer) {
+  // Signatures and blockhash are not needed: sigVerify is off and the RPC replaces the blockhash
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: PublicKey.default.toBase58(),
+    instructions
+  }).compileToLegacyMessage();
+
+  const simulation = await connection.simulateTransaction(new VersionedTransaction(message), {
+    sigVerify: false,
+    replaceRecentBlockhash: true
+  });
+
+  if (simulation.value.err) {
+    throw new PinPetError(`Simulation failed: ${JSON.stringify(simulation.value.err)}`);
+  }
+  if (!simulation.value.unitsConsumed) {
+    throw new PinPetError('Simulation did not report unitsConsumed');
+  }
+
+  return simulation.value.unitsConsumed;
+}
+
+/**
+ * Replace the compute unit limit instruction of a transaction
+ * @param {Transaction} transaction - Transaction containing a SetComputeUnitLimit instruction
+ * @param {number} units - New compute unit limit
+ */
+function setComputeUnitLimit(transaction, units) {
+  const index = transaction.instructions.findIndex(ix =>
+    ix.programId.equals(ComputeBudgetProgram.programId) &&
+    ix.data[0] === SET_COMPUTE_UNIT_LIMIT_DISCRIMINATOR
+  );
+  const limitIx = ComputeBudgetProgram.setComputeUnitLimit({ units });
+
+  if (index === -1) {
+    transaction.instructions.unshift(limitIx);
+  } else {
+    transaction.instructions[index] = limitIx;
+  }
+}
+
+/**
+ * Size the compute unit limit of a built transaction by simulation (computeUnits: 'auto')
+ * Simulates with the maximum limit, adds the safety margin to unitsConsumed and rewrites the limit instruction.
+ * Falls back to fallbackUnits when simulation fails.
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {Transaction} transaction - Built transaction (modified in place)
+ * @param {PublicKey} payer - Fee payer public key
+ * @param {Object} params - Sizing parameters
+ * @param {number} params.fallbackUnits - Compute units used when simulation fails
+ * @param {number} [params.margin] - Safety margin ratio added to consumed units, default 0.1 (10%)
+ * @returns {Promise<number>} Compute unit limit written to the transaction
+ */
+async function applySimulatedComputeUnits(connection, transaction, payer, { fallbackUnits, margin = DEFAULT_COMPUTE_UNIT_MARGIN }) {
+  if (typeof margin !== 'number' || margin < 0) {
+    throw new PinPetValidationError('computeUnitMargin must be a non-negative number');
+  }
+
+  let units = fallbackUnits;
+  try {
+    setComputeUnitLimit(transaction, MAX_COMPUTE_UNITS);
+    const unitsConsumed = await simulateComputeUnits(connection, transaction.instructions, payer);
+    units = Math.min(MAX_COMPUTE_UNITS, Math.ceil(unitsConsumed * (1 + margin)));
+  } catch (error) {
+    console.warn(`computeUnits auto: ${error.message}, using default ${fallbackUnits}`);
+  }
+
+  setComputeUnitLimit(transaction, units);
+  return units;
+}
+
+module.exports = {
+  estimatePriorityFee,
+  createComputeBudgetInstructions,
+  simulateComputeUnits,
+  setComputeUnitLimit,
+  applySimulatedComputeUnits,
+  DEFAULT_PRIORITY_FEE_PERCENTILE,
+  DEFAULT_COMPUTE_UNIT_MARGIN,
+  MAX_COMPUTE_UNITS
+};
@@ -0,0 +1,385 @@
+const { PublicKey } = require('@solana/web3.js');
+// Unified use of buffer package for consistency across all platforms
+const { Buffer } = require('buffer');
+const spinpetIdl = require('../idl/pinpet.json');
+const { PinPetDecodeError, PinPetValidationError } = require('./errors');
+
+// Account name -> 8-byte Anchor discriminator
+const DISCRIMINATORS = Object.fromEntries(spinpetIdl.accounts.map(account => [account.name, Buffer.from(account.discriminator)]));
+
+// End of the OrderBook linked list
+const NULL_ORDER_INDEX = 65535;
+
+// Field readers: type -> [size, read(data, offset)]
+// u64/u128 are returned as bigint, i64 timestamps as number
+const FIELD_READERS = {
+  u8: [1, (data, offset) => data.readUInt8(offset)],
+  u16: [2, (data, offset) => data.readUInt16LE(offset)],
+  u32: [4, (data, offset) => data.readUInt32LE(offset)],
+  u64: [8, (data, offset) => data.readBigUInt64LE(offset)],
+  i64: [8, (data, offset) => Number(data.readBigInt64LE(offset))],
+  u128: [16, (data, offset) => (data.readBigUInt64LE(offset + 8) << 64n) | data.readBigUInt64LE(offset)],
+  pubkey: [32, (data, offset) => new PublicKey(data.subarray(offset, offset + 32))]
+};
+
+/**
+ * OrderBook layouts, keyed by the header `version` byte
+ * The header is followed by `totalCapacity` MarginOrder slots of `orderSize` bytes, starting at 8 + headerSize.
+ * The MarginOrder `version` field is order data, the slot layout follows the OrderBook version.
+ */
+const ORDERBOOK_LAYOUTS = {
+  1: {
+    headerSize: 112,
+    orderSize: 192,
+    header: [
+      ['version', 'u8'], ['orderType', 'u8'], ['bump', 'u8'], [null, 5],
+      ['authority', 'pubkey'], ['orderIdCounter', 'u64'], ['createdAt', 'i64'], ['lastModified', 'i64'],
+      ['totalCapacity', 'u32'], ['head', 'u16'], ['tail', 'u16'], ['total', 'u16'], [null, 2], [null, 32]
+    ],
+    order: [
+      ['user', 'pubkey'], ['lockLpStartPrice', 'u128'], ['lockLpEndPrice', 'u128'], ['openPrice', 'u128'],
+      ['orderId', 'u64'], ['lockLpSolAmount', 'u64'], ['lockLpTokenAmount', 'u64'],
+      ['nextLpSolAmount', 'u64'], ['nextLpTokenAmount', 'u64'],
+      ['marginInitSolAmount', 'u64'], ['marginSolAmount', 'u64'], ['borrowAmount', 'u64'],
+      ['positionAssetAmount', 'u64'], ['realizedSolAmount', 'u64'],
+      ['startTime', 'i64'], ['endTime', 'i64'], ['version', 'u32'],
+      ['nextOrder', 'u16'], ['prevOrder', 'u16'], ['borrowFee', 'u16'], ['orderType', 'u8'], [null, 5]
+    ]
+  }
+};
+
+/**
+ * Borsh account layouts, keyed by layout version
+ * These accounts carry no version field: the discriminator identifies the account and its current layout.
+ */
+const ACCOUNT_LAYOUTS = {
+  BorrowingBondingCurve: {
+    1: [
+      ['lpTokenReserve', 'u64'], ['lpSolReserve', 'u64'], ['price', 'u128'],
+      ['borrowTokenReserve', 'u64'], ['borrowSolReserve', 'u64'],
+      ['swapFee', 'u16'], ['borrowFee', 'u16'], ['feeDiscountFlag', 'u8'],
+      ['baseFeeRecipient', 'pubkey'], ['feeRecipient', 'pubkey'], ['feeSplit', 'u8'], ['borrowDuration', 'u32'],
+      ['mint', 'pubkey'], ['upOrderbook', 'pubkey'], ['downOrderbook', 'pubkey'], ['creator', 'pubkey'], ['bump', 'u8']
+    ]
+  },
+  TradeCooldown: {
+    1: [['lastTradeTime', 'i64'], ['approvalTokenAmount', 'u64'], ['bump', 'u8']]
+  },
+  Params: {
+    1: [
+      ['baseSwapFee', 'u16'], ['baseBorrowFee', 'u16'], ['baseBorrowDuration', 'u32'],
+      ['baseFeeRecipient', 'pubkey'], ['feeRecipient', 'pubkey'], ['feeSplit', 'u8'], ['bump', 'u8']
+    ]
+  },
+  Admin: {
+    1: [
+      ['defaultSwapFee', 'u16'], ['defaultBorrowFee', 'u16'], ['defaultBorrowDuration', 'u32'],
+      ['baseFeeRecipient', 'pubkey'], ['defaultFeeSplit', 'u8'], ['admin', 'pubkey'], ['bump', 'u8']
+    ]
+  }
+};
+
+// Current layout version of the Borsh accounts
+const CURRENT_ACCOUNT_LAYOUT = 1;
+
+/**
+ * Byte size of a field list
+ * @private
+ */
+function layoutSize(fields) {
+  return fields.reduce((size, [, type]) => size + (typeof type === 'number' ? type : FIELD_READERS[type][0]), 0);
+}
+
+/**
+ * Read a field list at offset, skipping padding (null names)
+ * @private
+ */
+function readFields(data, offset, fields) {
+  const result = {};
+  for (const [name, type] of fields) {
+    if (typeof type === 'number') {
+      offset += type;
+      continue;
+    }
+    const [size, read] = FIELD_READERS[type];
+    result[name] = read(data, offset);
+    offset += size;
+  }
+  return result;
+}
+
+/**
+ * Check the input is a Buffer of an account with the expected discriminator
+ * @private
+ * @returns {Buffer} Account data
+ */
+function checkAccount(data, accountType) {
+  if (!(data instanceof Uint8Array)) {
+    throw new PinPetDecodeError(`${accountType}: account data must be a Buffer or Uint8Array`, { accountType });
+  }
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(DISCRIMINATORS[accountType])) {
+    throw new PinPetDecodeError(`${accountType}: account discriminator does not match`, { accountType });
+  }
+  return buffer;
+}
+
+/**
+ * Get the OrderBook layout of a version
+ * @private
+ * @throws {PinPetDecodeError} Unknown layout version
+ */
+function getOrderBookLayout(version) {
+  const layout = ORDERBOOK_LAYOUTS[version];
+  if (!layout) {
+    throw new PinPetDecodeError(
+      `OrderBook: unknown layout version ${version}, supported versions: ${Object.keys(ORDERBOOK_LAYOUTS).join(', ')}`,
+      { accountType: 'OrderBook', version }
+    );
+  }
+  return layout;
+}
+
+/**
+ * Resolve the layout of an OrderBook account from its version byte
+ * @private
+ */
+function resolveOrderBookLayout(data) {
+  const version = data.length > 8 ? data.readUInt8(8) : null;
+  const layout = getOrderBookLayout(version);
+  if (data.length < 8 + layout.headerSize) {
+    throw new PinPetDecodeError(`OrderBook: account data too short for layout version ${version} (${data.length} bytes)`, {
+      accountType: 'OrderBook',
+      version
+    });
+  }
+  return layout;
+}
+
+/**
+ * Decode the header of an OrderBook account
+ * @param {Buffer|Uint8Array} data - Raw OrderBook account data
+ * @returns {Object} { version, orderType, bump, authority, orderIdCounter, createdAt, lastModified,
+ *   totalCapacity, head, tail, total, headerSize }
+ * @throws {PinPetDecodeError} Wrong discriminator, unknown layout version or truncated data
+ */
+function decodeOrderBookHeader(data) {
+  const buffer = checkAccount(data, 'OrderBook');
+  const layout = resolveOrderBookLayout(buffer);
+  return {
+    ...readFields(buffer, 8, layout.header),
+    headerSize: layout.headerSize
+  };
+}
+
+/**
+ * Decode the MarginOrder in one slot of an OrderBook account
+ * @param {Buffer|Uint8Array} data - Raw OrderBook account data
+ * @param {number} index - Order slot index
+ * @param {Object} [header] - Header from decodeOrderBookHeader(data), decoded when omitted
+ * @returns {Object} { user, lockLpStartPrice, lockLpEndPrice, openPrice, orderId, lockLpSolAmount, lockLpTokenAmount,
+ *   nextLpSolAmount, nextLpTokenAmount, marginInitSolAmount, marginSolAmount, borrowAmount, positionAssetAmount,
+ *   realizedSolAmount, startTime, endTime, version, nextOrder, prevOrder, borrowFee, orderType }
+ * @throws {PinPetDecodeError} Invalid OrderBook data, unknown header version or slot outside the account data
+ */
+function decodeMarginOrder(data, index, header = decodeOrderBookHeader(data)) {
+  const buffer = Buffer.isBuffer(data) ? data : checkAccount(data, 'OrderBook');
+  const layout = getOrderBookLayout(header.version);
+  const offset = 8 + layout.headerSize + index * layout.orderSize;
+
+  if (!Number.isInteger(index) || index < 0 || offset + layout.orderSize > buffer.length) {
+    throw new PinPetDecodeError(`Order index ${index} exceeds data boundary`, { accountType: 'OrderBook', version: header.version });
+  }
+  return readFields(buffer, offset, layout.order);
+}
+
+/**
+ * Decode an OrderBook account: header and active orders in linked list order
+ * @param {Buffer|Uint8Array} data - Raw OrderBook account data
+ * @returns {Object} { header, orders } - orders are decodeMarginOrder() objects with their slot `index`
+ * @throws {PinPetDecodeError} Invalid data, or a linked list that does not end within totalCapacity orders
+ *
+ * @example
+ * const { header, orders } = decodeOrderBook(accountInfo.data);
+ * console.log(header.total, orders.map(order => order.orderId.toString()));
+ */
+function decodeOrderBook(data) {
+  const buffer = checkAccount(data, 'OrderBook');
+  const header = decodeOrderBookHeader(buffer);
+  const orders = [];
+
+  let index = header.head;
+  while (index !== NULL_ORDER_INDEX) {
+    if (orders.length >= header.totalCapacity) {
+      throw new PinPetDecodeError(`OrderBook: linked list exceeds totalCapacity ${header.totalCapacity}`, {
+        accountType: 'OrderBook',
+        version: header.version
+      });
+    }
+    const order = decodeMarginOrder(buffer, index, header);
+    orders.push({ ...order, index });
+    index = order.nextOrder;
+  }
+
+  return { header, orders };
+}
+
+/**
+ * Decode a Borsh account with its current layout
+ * @private
+ */
+function decodeBorshAccount(data, accountType) {
+  const buffer = checkAccount(data, accountType);
+  const fields = ACCOUNT_LAYOUTS[accountType][CURRENT_ACCOUNT_LAYOUT];
+  if (buffer.length < 8 + layoutSize(fields)) {
+    throw new PinPetDecodeError(`${accountType}: account data too short for layout version ${CURRENT_ACCOUNT_LAYOUT} (${buffer.length} bytes)`, {
+      accountType,
+      version: CURRENT_ACCOUNT_LAYOUT
+    });
+  }
+  return readFields(buffer, 8, fields);
+}
+
+/**
+ * Decode a BorrowingBondingCurve (curve_account) account
+ * @param {Buffer|Uint8Array} data - Raw account data
+ * @returns {Object} { lpTokenReserve, lpSolReserve, price, borrowTokenReserve, borrowSolReserve, swapFee, borrowFee,
+ *   feeDiscountFlag, baseFeeRecipient, feeRecipient, feeSplit, borrowDuration, mint, upOrderbook, downOrderbook, creator, bump }
+ * @throws {PinPetDecodeError} Wrong discriminator or truncated data
+ */
+function decodeBorrowingBondingCurve(data) {
+  return decodeBorshAccount(data, 'BorrowingBondingCurve');
+}
+
+/**
+ * Decode a TradeCooldown account
+ * @param {Buffer|Uint8Array} data - Raw account data
+ * @returns {Object} { lastTradeTime, approvalTokenAmount, bump }
+ * @throws {PinPetDecodeError} Wrong discriminator or truncated data
+ */
+function decodeTradeCooldown(data) {
+  return decodeBorshAccount(data, 'TradeCooldown');
+}
+
+/**
+ * Decode a Params (partner parameters) account
+ * @param {Buffer|Uint8Array} data - Raw account data
+ * @returns {Object} { baseSwapFee, baseBorrowFee, baseBorrowDuration, baseFeeRecipient, feeRecipient, feeSplit, bump }
+ * @throws {PinPetDecodeError} Wrong discriminator or truncated data
+ */
+function decodeParams(data) {
+  return decodeBorshAccount(data, 'Params');
+}
+
+/**
+ * Decode the Admin account
+ * @param {Buffer|Uint8Array} data - Raw account data
+ * @returns {Object} { defaultSwapFee, defaultBorrowFee, defaultBorrowDuration, baseFeeRecipient, defaultFeeSplit, admin, bump }
+ * @throws {PinPetDecodeError} Wrong discriminator or truncated data
+ */
+function decodeAdmin(data) {
+  return decodeBorshAccount(data, 'Admin');
+}
+
+// Account name -> decoder
+const ACCOUNT_DECODERS = {
+  OrderBook: decodeOrderBook,
+  BorrowingBondingCurve: decodeBorrowingBondingCurve,
+  TradeCooldown: decodeTradeCooldown,
+  Params: decodeParams,
+  Admin: decodeAdmin
+};
+
+/**
+ * Decode any PinPet account, picking the decoder from its discriminator
+ * @param {Buffer|Uint8Array} data - Raw account data
+ * @returns {Object} { type, account } - type is the IDL account name ('OrderBook', 'BorrowingBondingCurve', ...)
+ * @throws {PinPetDecodeError} Unknown discriminator or invalid data
+ *
+ * @example
+ * const { type, account } = decodeAccount(Buffer.from(base64Data, 'base64'));
+ */
+function decodeAccount(data) {
+  const buffer = data instanceof Uint8Array ? Buffer.from(data.buffer, data.byteOffset, data.byteLength) : null;
+  const type = buffer && buffer.length >= 8
+    ? Object.keys(DISCRIMINATORS).find(name => buffer.subarray(0, 8).equals(DISCRIMINATORS[name]))
+    : undefined;
+  if (!type) {
+    throw new PinPetDecodeError('Account data does not start with a PinPet account discriminator');
+  }
+  return { type, account: ACCOUNT_DECODERS[type](buffer) };
+}
+
+/**
+ * Resolve consecutive fields of a Borsh account's current layout
+ * @private
+ */
+function resolveFieldRange(accountType, from, to) {
+  const fields = ACCOUNT_LAYOUTS[accountType] ? ACCOUNT_LAYOUTS[accountType][CURRENT_ACCOUNT_LAYOUT] : null;
+  const start = fields ? fields.findIndex(([name]) => name === from) : -1;
+  const end = fields ? fields.findIndex(([name]) => name === to) : -1;
+  if (start === -1 || end < start) {
+    throw new PinPetValidationError(`${accountType}: unknown field range ${from}..${to}`, { param: 'from' });
+  }
+  const rangeFields = fields.slice(start, end + 1);
+  return { offset: 8 + layoutSize(fields.slice(0, start)), length: layoutSize(rangeFields), fields: rangeFields };
+}
+
+/**
+ * Byte range of consecutive fields of a Borsh account, for getProgramAccounts memcmp filters and dataSlice
+ * @param {string} accountType - IDL account name ('BorrowingBondingCurve', 'TradeCooldown', 'Params', 'Admin')
+ * @param {string} from - First field
+ * @param {string} [to] - Last field, default `from`
+ * @returns {Object} { offset, length } - offset counts from the start of the account data (discriminator included)
+ *
+ * @example
+ * // Curves created by a wallet
+ * const { offset } = getAccountFieldRange('BorrowingBondingCurve', 'creator');
+ * const filter = { memcmp: { offset, bytes: creator.toBase58() } };
+ */
+function getAccountFieldRange(accountType, from, to = from) {
+  const { offset, length } = resolveFieldRange(accountType, from, to);
+  return { offset, length };
+}
+
+/**
+ * Decode a data slice holding consecutive fields of a Borsh account (see getAccountFieldRange)
+ * @param {Buffer|Uint8Array} data - Slice starting at the `from` field
+ * @param {string} accountType - IDL account name
+ * @param {string} from - First field
+ * @param {string} [to] - Last field, default `from`
+ * @returns {Object} Fields `from` to `to`
+ * @throws {PinPetDecodeError} Slice too short
+ *
+ * @example
+ * const dataSlice = getAccountFieldRange('BorrowingBondingCurve', 'price', 'creator');
+ * const accounts = await connection.getProgramAccounts(programId, { dataSlice, filters });
+ * const fields = decodeAccountFields(accounts[0].account.data, 'BorrowingBondingCurve', 'price', 'creator');
+ */
+function decodeAccountFields(data, accountType, from, to = from) {
+  const { length, fields } = resolveFieldRange(accountType, from, to);
+  if (!(data instanceof Uint8Array) || data.length < length) {
+    throw new PinPetDecodeError(`${accountType}: data too short for fields ${from}..${to} (${data ? data.length : 0} bytes)`, {
+      accountType,
+      version: CURRENT_ACCOUNT_LAYOUT
+    });
+  }
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return readFields(buffer, 0, fields);
+}
+
+module.exports = {
+  ORDERBOOK_LAYOUTS,
+  ACCOUNT_LAYOUTS,
+  NULL_ORDER_INDEX,
+  decodeAccount,
+  decodeAccountFields,
+  getAccountFieldRange,
+  decodeOrderBook,
+  decodeOrderBookHeader,
+  decodeMarginOrder,
+  decodeBorrowingBondingCurve,
+  decodeTradeCooldown,
+  decodeParams,
+  decodeAdmin
+};
@@ -0,0 +1,359 @@
+const anchor = require('@coral-xyz/anchor');
+const spinpetIdl = require('../idl/pinpet.json');
+
+// PinPet program errors from the IDL: code -> { name, message }
+const PROGRAM_ERRORS = new Map(spinpetIdl.errors.map(error => [error.code, { name: error.name, message: error.msg }]));
+
+// Anchor framework errors (constraints, account checks): code -> name
+const LANG_ERROR_NAMES = new Map(Object.entries(anchor.LangErrorCode).map(([name, code]) => [code, name]));
+
+// Suggested remedy category of program errors that the caller can act on
+const REMEDY_CATEGORIES = {
+  // Price moved: raise maxSolAmount / lower minSolOutput, or re-quote
+  slippage: ['ExceedsMaxSolAmount', 'InsufficientSolOutput'],
+  // Margin position parameters: add margin or move the stop loss price
+  margin: ['InsufficientMargin', 'InsufficientMinimumMargin', 'InsufficientRepayment', 'InvalidStopLossPrice'],
+  // Not enough liquidity at the current price: reduce the amount
+  liquidity: ['InsufficientLiquidity', 'InsufficientMarketLiquidity', 'InsufficientBorrowingReserve', 'InsufficientPoolFunds'],
+  // Trade cooldown PDA: wait, or call sdk.tools.approveTrade
+  cooldown: ['TradeCooldownNotExpired', 'ExceedApprovalAmount', 'CooldownNotInitialized', 'CannotCloseCooldownWithBalance']
+};
+
+// ========== Error Classes ==========
+
+/**
+ * Base class of all errors thrown by the SDK
+ * Messages are kept compatible with the plain Error messages of previous versions.
+ */
+class PinPetError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Optional parameters
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'PinPetError';
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * PinPet (or Anchor framework) program error returned by a transaction or simulation
+ */
+class PinPetProgramError extends PinPetError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Program error info
+   * @param {number} options.code - Custom error code (e.g. 6048)
+   * @param {string} options.errorName - IDL error name (e.g. 'ExceedsMaxSolAmount')
+   * @param {string|null} [options.remedy] - Suggested remedy category
+   * @param {number|null} [options.instructionIndex] - Index of the failed instruction
+   * @param {Array<string>} [options.logs] - Program logs
+   * @param {string} [options.signature] - Transaction signature
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PinPetProgramError';
+    this.code = options.code;
+    this.errorName = options.errorName;
+    this.remedy = options.remedy ?? null;
+    this.instructionIndex = options.instructionIndex ?? null;
+    this.logs = options.logs || [];
+    this.signature = options.signature || null;
+  }
+}
+
+/**
+ * Fast API request error
+ */
+class PinPetApiError extends PinPetError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - API error info
+   * @param {number|null} [options.status] - HTTP status (null when the request did not get a response)
+   * @param {number|string|null} [options.code] - API response `code`
+   * @param {string} [options.url] - Request URL
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PinPetApiError';
+    this.status = options.status ?? null;
+    this.code = options.code ?? null;
+    this.url = options.url || null;
+  }
+}
+
+/**
+ * On-chain account (curve_account, orderbook, ...) does not exist
+ */
+class PinPetAccountNotFoundError extends PinPetError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Account info
+   * @param {string} [options.accountType] - Account type (e.g. 'curve_account')
+   * @param {string} [options.address] - Account address
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PinPetAccountNotFoundError';
+    this.accountType = options.accountType || null;
+    this.address = options.address ? options.address.toString() : null;
+  }
+}
+
+/**
+ * Invalid parameter or input data
+ */
+class PinPetValidationError extends PinPetError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Optional parameters
+   * @param {string} [options.param] - Name of the invalid parameter
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PinPetValidationError';
+    this.param = options.param || null;
+  }
+}
+
+/**
+ * Raw account data that cannot be decoded (wrong discriminator, unknown layout version, truncated data)
+ */
+class PinPetDecodeError extends PinPetError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Decode info
+   * @param {string} [options.accountType] - Account type (e.g. 'OrderBook')
+   * @param {number} [options.version] - Layout version found in the data
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PinPetDecodeError';
+    this.accountType = options.accountType || null;
+    this.version = options.version ?? null;
+  }
+}
+
+/**
+ * Prefix the message of a caught error, keeping its PinPet error class
+ * Plain errors are wrapped in a PinPetError with the original error as cause.
+ *
+ * @param {Error} error - Caught error
+ * @param {string} prefix - Message prefix (e.g. 'Failed to get orders')
+ * @returns {PinPetError} Error to throw
+ */
+function withErrorPrefix(error, prefix) {
+  if (error instanceof PinPetError) {
+    error.message = `${prefix}: ${error.message}`;
+    return error;
+  }
+  return new PinPetError(`${prefix}: ${error.message}`, { cause: error });
+}
+
+/**
+ * Get the suggested remedy category of a program error
+ * @param {string} name - Program error name (e.g. 'ExceedsMaxSolAmount')
+ * @returns {string|null} 'slippage' | 'margin' | 'liquidity' | 'cooldown', or null
+ */
+function getRemedyCategory(name) {
+  const entry = Object.entries(REMEDY_CATEGORIES).find(([, names]) => names.includes(name));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Look up a custom program error code in the PinPet IDL and the Anchor framework errors
+ * @param {number} code - Custom error code (e.g. 6048)
+ * @returns {Object|null} { code, name, message, remedy }, or null for unknown codes
+ */
+function lookupProgramError(code) {
+  const programError = PROGRAM_ERRORS.get(code);
+  if (programError) {
+    return {
+      code,
+      name: programError.name,
+      message: programError.message,
+      remedy: getRemedyCategory(programError.name)
+    };
+  }
+
+  const langErrorName = LANG_ERROR_NAMES.get(code);
+  if (langErrorName) {
+    return {
+      code,
+      name: langErrorName,
+      message: anchor.LangErrorMessage.get(code),
+      remedy: null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Extract the custom error code from a transaction error
+ * Understands the RPC error object ({ InstructionError: [index, { Custom: code }] }),
+ * 'custom program error: 0x...' messages and Anchor 'Error Number: ...' log lines.
+ *
+ * @param {Object|string|null} err - Transaction error object or error message
+ * @param {Array<string>} [logs] - Program logs
+ * @returns {Object|null} { code, instructionIndex }, or null when no custom error is found
+ */
+function extractCustomErrorCode(err, logs = []) {
+  // 1. RPC error object
+  const instructionError = err && typeof err === 'object' ? err.InstructionError : null;
+  if (Array.isArray(instructionError) && instructionError[1] && typeof instructionError[1].Custom === 'number') {
+    return { code: instructionError[1].Custom, instructionIndex: instructionError[0] };
+  }
+
+  // 2. Error message (RPC message, serialized error object or AnchorError message)
+  const message = typeof err === 'string' ? err : (err && err.message) || '';
+  const hexMatch = message.match(/custom program error: (0x[0-9a-fA-F]+)/);
+  if (hexMatch) {
+    return { code: parseInt(hexMatch[1], 16), instructionIndex: null };
+  }
+  const jsonMatch = message.match(/"InstructionError":\[(\d+),\{"Custom":(\d+)\}\]/);
+  if (jsonMatch) {
+    return { code: Number(jsonMatch[2]), instructionIndex: Number(jsonMatch[1]) };
+  }
+  const numberMatch = message.match(/Error Number: (\d+)/);
+  if (numberMatch) {
+    return { code: Number(numberMatch[1]), instructionIndex: null };
+  }
+
+  // 3. Anchor error log line
+  for (const log of logs || []) {
+    const logMatch = log.match(/Error Number: (\d+)/) || log.match(/custom program error: (0x[0-9a-fA-F]+)/);
+    if (logMatch) {
+      return { code: logMatch[1].startsWith('0x') ? parseInt(logMatch[1], 16) : Number(logMatch[1]), instructionIndex: null };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode a transaction error into the PinPet / Anchor program error
+ * @param {Object|string|null} err - Transaction error object or error message
+ * @param {Array<string>} [logs] - Program logs
+ * @returns {Object|null} { code, name, message, remedy, instructionIndex }, or null when not a known program error
+ */
+function decodeProgramError(err, logs = []) {
+  const extracted = extractCustomErrorCode(err, logs);
+  if (!extracted) {
+    return null;
+  }
+
+  const programError = lookupProgramError(extracted.code);
+  if (!programError) {
+    return null;
+  }
+
+  return {
+    ...programError,
+    instructionIndex: extracted.instructionIndex
+  };
+}
+
+/**
+ * Create a PinPetProgramError from a decoded program error
+ * @param {Object} decoded - Result of decodeProgramError
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.prefix] - Message prefix (e.g. 'Transaction xxx failed')
+ * @param {Array<string>} [options.logs] - Program logs
+ * @param {string} [options.signature] - Transaction signature
+ * @param {Error} [options.cause] - Underlying error
+ * @returns {PinPetProgramError} Program error
+ */
+function createProgramError(decoded, { prefix, logs, signature, cause } = {}) {
+  const description = `${decoded.name} (${decoded.code}): ${decoded.message}`;
+  return new PinPetProgramError(prefix ? `${prefix}: ${description}` : description, {
+    code: decoded.code,
+    errorName: decoded.name,
+    remedy: decoded.remedy,
+    instructionIndex: decoded.instructionIndex,
+    logs,
+    signature,
+    cause
+  });
+}
+
+/**
+ * Convert any error into a typed PinPet error
+ *
+ * Recognizes:
+ * - PinPet errors (returned as is)
+ * - SendTransactionError (web3.js), using its message and transaction logs
+ * - AnchorError / ProgramError (Anchor)
+ * - Messages containing 'custom program error: 0x...'
+ *
+ * @param {Error|Object|string} err - Error to parse
+ * @returns {PinPetError|null} PinPetProgramError when a program error is found, otherwise PinPetError wrapping err (null for empty input)
+ *
+ * @example
+ * try {
+ *   await sdk.send(result, wallet);
+ * } catch (err) {
+ *   const error = PinPetSdk.parseError(err);
+ *   if (error instanceof PinPetProgramError && error.remedy === 'slippage') {
+ *     // re-quote and retry
+ *   }
+ * }
+ */
+function parseError(err) {
+  if (err === null || err === undefined) {
+    return null;
+  }
+  if (err instanceof PinPetError) {
+    return err;
+  }
+
+  // SendTransactionError keeps logs in transactionLogs, Anchor errors in logs
+  let logs = [];
+  if (Array.isArray(err.transactionLogs)) {
+    logs = err.transactionLogs;
+  } else if (Array.isArray(err.logs)) {
+    logs = err.logs;
+  }
+
+  // Anchor ProgramError carries the numeric code directly
+  let decoded = typeof err.code === 'number' ? lookupProgramError(err.code) : null;
+  if (decoded) {
+    decoded = { ...decoded, instructionIndex: null };
+  } else {
+    decoded = decodeProgramError(err, logs);
+  }
+
+  const message = typeof err === 'string' ? err : err.message || String(err);
+  const cause = err instanceof Error ? err : undefined;
+
+  if (decoded) {
+    return createProgramError(decoded, { logs, signature: err.signature, cause });
+  }
+  return new PinPetError(message, { cause });
+}
+
+module.exports = {
+  PinPetError,
+  PinPetProgramError,
+  PinPetApiError,
+  PinPetAccountNotFoundError,
+  PinPetValidationError,
+  PinPetDecodeError,
+  withErrorPrefix,
+  createProgramError,
+  parseError,
+  REMEDY_CATEGORIES,
+  getRemedyCategory,
+  lookupProgramError,
+  extractCustomErrorCode,
+  decodeProgramError
+};
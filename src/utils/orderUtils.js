@@ -6,10 +6,28 @@ const anchor = require('@coral-xyz/anchor');
  * Provides pure function utilities for order data format conversion and processing
  */
 class OrderUtils {
-  
-
-
-
+  /**
+   * Group user orders (user_orders() format) by mint and side
+   * order_type 2 (short) goes to up_orders, order_type 1 (long) to down_orders; order is kept within each side.
+   * @param {Array<Object>} orders - Orders with mint and order_type
+   * @returns {Array<Object>} [{ mint, up_orders, down_orders }] in order of first appearance of each mint
+   *
+   * @example
+   * const positions = OrderUtils.groupPositions(userOrders.data.orders);
+   * positions.forEach(({ mint, up_orders, down_orders }) => console.log(mint, up_orders.length, down_orders.length));
+   */
+  static groupPositions(orders) {
+    const byMint = new Map();
+    for (const order of orders) {
+      let position = byMint.get(order.mint);
+      if (!position) {
+        position = { mint: order.mint, up_orders: [], down_orders: [] };
+        byMint.set(order.mint, position);
+      }
+      (order.order_type === 2 ? position.up_orders : position.down_orders).push(order);
+    }
+    return [...byMint.values()];
+  }
 }
 
 module.exports = OrderUtils;
\ No newline at end of file
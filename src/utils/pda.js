@@ -0,0 +1,194 @@
+const { PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+// Unified use of buffer package for consistency across all platforms
+const { Buffer } = require('buffer');
+
+// Metaplex Token Metadata program
+const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+// Memoized derivations kept per instance, oldest dropped first
+const MAX_MEMOIZED_ADDRESSES = 10000;
+
+/**
+ * Convert a PublicKey or base58 string to PublicKey
+ * @param {PublicKey|string} value - Address
+ * @returns {PublicKey} Public key
+ */
+function toPublicKey(value) {
+  return typeof value === 'string' ? new PublicKey(value) : value;
+}
+
+/**
+ * PDA Utility Class
+ * Derives every PinPet program address (curve, pools, orderbooks, cooldown, params, admin, Metaplex metadata).
+ * Derivations are memoized, findProgramAddressSync is expensive in browsers.
+ *
+ * Available as sdk.pda, or standalone with just a program ID.
+ *
+ * @example
+ * const pda = new PdaUtils(SPINPET_PROGRAM_ID);
+ * const { curveAccount, upOrderbook, downOrderbook } = pda.forMint(mint);
+ * const { cooldown, userTokenAccount } = pda.forUser(mint, wallet.publicKey);
+ */
+class PdaUtils {
+  /**
+   * @param {PublicKey|string} programId - PinPet program ID
+   */
+  constructor(programId) {
+    this.programId = toPublicKey(programId);
+    this.memo = new Map();
+  }
+
+  /**
+   * curve_account (BorrowingBondingCurve) address, seeds ['borrowing_curve', mint]
+   * @param {PublicKey|string} mint - Token mint
+   * @returns {PublicKey} Address
+   */
+  curveAccount(mint) {
+    return this._derive('borrowing_curve', mint);
+  }
+
+  /**
+   * Pool token account address, seeds ['pool_token', mint]
+   * @param {PublicKey|string} mint - Token mint
+   * @returns {PublicKey} Address
+   */
+  poolTokenAccount(mint) {
+    return this._derive('pool_token', mint);
+  }
+
+  /**
+   * Pool SOL account address, seeds ['pool_sol', mint]
+   * @param {PublicKey|string} mint - Token mint
+   * @returns {PublicKey} Address
+   */
+  poolSolAccount(mint) {
+    return this._derive('pool_sol', mint);
+  }
+
+  /**
+   * Up orderbook (short orders) address, seeds ['up_orderbook', mint]
+   * @param {PublicKey|string} mint - Token mint
+   * @returns {PublicKey} Address
+   */
+  upOrderbook(mint) {
+    return this._derive('up_orderbook', mint);
+  }
+
+  /**
+   * Down orderbook (long orders) address, seeds ['down_orderbook', mint]
+   * @param {PublicKey|string} mint - Token mint
+   * @returns {PublicKey} Address
+   */
+  downOrderbook(mint) {
+    return this._derive('down_orderbook', mint);
+  }
+
+  /**
+   * Trade cooldown address of a user, seeds ['trade_cooldown', mint, user]
+   * @param {PublicKey|string} mint - Token mint
+   * @param {PublicKey|string} user - User wallet
+   * @returns {PublicKey} Address
+   */
+  cooldown(mint, user) {
+    return this._derive('trade_cooldown', mint, user);
+  }
+
+  /**
+   * Partner parameters account address, seeds ['params', partner]
+   * @param {PublicKey|string} partner - Partner address
+   * @returns {PublicKey} Address
+   */
+  params(partner) {
+    return this._derive('params', partner);
+  }
+
+  /**
+   * Admin account address (globally unique), seeds ['admin']
+   * @returns {PublicKey} Address
+   */
+  admin() {
+    return this._derive('admin');
+  }
+
+  /**
+   * Metaplex metadata account address, seeds ['metadata', metadata program, mint] of the metadata program
+   * @param {PublicKey|string} mint - Token mint
+   * @returns {PublicKey} Address
+   */
+  metadata(mint) {
+    const key = `metadata:${mint.toString()}`;
+    return this._memoize(key, () => PublicKey.findProgramAddressSync(
+      [Buffer.from('metadata'), METADATA_PROGRAM_ID.toBuffer(), toPublicKey(mint).toBuffer()],
+      METADATA_PROGRAM_ID
+    )[0]);
+  }
+
+  /**
+   * Every program address of a mint
+   * @param {PublicKey|string} mint - Token mint
+   * @returns {Object} { curveAccount, poolTokenAccount, poolSolAccount, upOrderbook, downOrderbook, metadataAccount }
+   */
+  forMint(mint) {
+    return {
+      curveAccount: this.curveAccount(mint),
+      poolTokenAccount: this.poolTokenAccount(mint),
+      poolSolAccount: this.poolSolAccount(mint),
+      upOrderbook: this.upOrderbook(mint),
+      downOrderbook: this.downOrderbook(mint),
+      metadataAccount: this.metadata(mint)
+    };
+  }
+
+  /**
+   * Every program address of a mint plus the user's cooldown and associated token account
+   * @param {PublicKey|string} mint - Token mint
+   * @param {PublicKey|string} user - User wallet
+   * @returns {Object} forMint() addresses plus { cooldown, userTokenAccount }
+   */
+  forUser(mint, user) {
+    const key = `ata:${mint.toString()}:${user.toString()}`;
+    return {
+      ...this.forMint(mint),
+      cooldown: this.cooldown(mint, user),
+      userTokenAccount: this._memoize(key, () => getAssociatedTokenAddressSync(toPublicKey(mint), toPublicKey(user)))
+    };
+  }
+
+  /**
+   * Drop all memoized addresses
+   */
+  clear() {
+    this.memo.clear();
+  }
+
+  /**
+   * Derive a program address from a string seed and public key seeds
+   * @private
+   */
+  _derive(seed, ...keys) {
+    const key = [seed, ...keys.map(value => value.toString())].join(':');
+    return this._memoize(key, () => PublicKey.findProgramAddressSync(
+      [Buffer.from(seed), ...keys.map(value => toPublicKey(value).toBuffer())],
+      this.programId
+    )[0]);
+  }
+
+  /**
+   * @private
+   */
+  _memoize(key, derive) {
+    let address = this.memo.get(key);
+    if (!address) {
+      address = derive();
+      if (this.memo.size >= MAX_MEMOIZED_ADDRESSES) {
+        this.memo.delete(this.memo.keys().next().value);
+      }
+      this.memo.set(key, address);
+    }
+    return address;
+  }
+}
+
+module.exports = PdaUtils;
+module.exports.METADATA_PROGRAM_ID = METADATA_PROGRAM_ID;
@@ -0,0 +1,122 @@
+const { PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const { PinPetValidationError } = require('./errors');
+
+/**
+ * Signer accepted by every module:
+ * - Keypair (Node bots)
+ * - anchor Wallet / NodeWallet (publicKey + signTransaction)
+ * - Browser wallet adapter (publicKey + signTransaction/signAllTransactions)
+ *
+ * Builders only read the public key, so a PublicKey or base58 string is accepted wherever no signature is needed.
+ */
+
+/**
+ * Check whether a value is a Keypair (has a local secret key)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for Keypair-like objects
+ */
+function isKeypair(value) {
+  return !!(value && value.publicKey && value.secretKey);
+}
+
+/**
+ * Check whether a value can sign transactions
+ * @param {*} value - Value to check
+ * @returns {boolean} True for Keypair, anchor Wallet and wallet adapter objects
+ */
+function isSigner(value) {
+  return isKeypair(value) || !!(value && value.publicKey && typeof value.signTransaction === 'function');
+}
+
+/**
+ * Resolve the public key of a signer, PublicKey or base58 string
+ * @param {Keypair|Object|PublicKey|string} value - Signer, PublicKey or address
+ * @param {string} [name] - Parameter name used in error messages, default 'signer'
+ * @returns {PublicKey} Public key
+ *
+ * @example
+ * resolvePublicKey(keypair);            // Keypair
+ * resolvePublicKey(walletAdapter);      // { publicKey, signTransaction }
+ * resolvePublicKey(wallet.publicKey);   // PublicKey
+ */
+function resolvePublicKey(value, name = 'signer') {
+  if (!value) {
+    throw new PinPetValidationError(`${name} is required`, { param: name });
+  }
+
+  try {
+    if (value instanceof PublicKey) {
+      return value;
+    }
+    if (typeof value === 'string') {
+      return new PublicKey(value);
+    }
+    if (value.publicKey) {
+      // Wallet adapters may be bundled with another web3.js copy, normalize through base58
+      return new PublicKey(value.publicKey.toString());
+    }
+    if (typeof value.toBase58 === 'function') {
+      return new PublicKey(value.toBase58());
+    }
+  } catch (error) {
+    throw new PinPetValidationError(`${name} must be a valid public key: ${error.message}`, { param: name, cause: error });
+  }
+
+  throw new PinPetValidationError(`${name} must be a Keypair, a wallet with publicKey, a PublicKey or an address string`, { param: name });
+}
+
+/**
+ * Normalize a Keypair, anchor Wallet or wallet adapter into a signer
+ * @param {Keypair|Object} value - Keypair or wallet object with signTransaction()
+ * @param {string} [name] - Parameter name used in error messages, default 'signer'
+ * @returns {Object} Signer { publicKey, signTransaction(tx), signAllTransactions(txs) }
+ *
+ * @example
+ * const signer = toSigner(walletAdapter);
+ * const signed = await signer.signTransaction(transaction);
+ */
+function toSigner(value, name = 'signer') {
+  const publicKey = resolvePublicKey(value, name);
+
+  // Keypair: sign locally, keeping existing signatures
+  if (isKeypair(value)) {
+    const signTransaction = async (transaction) => {
+      if (transaction instanceof VersionedTransaction) {
+        transaction.sign([value]);
+      } else {
+        transaction.partialSign(value);
+      }
+      return transaction;
+    };
+    return {
+      publicKey,
+      signTransaction,
+      signAllTransactions: async (transactions) => Promise.all(transactions.map(signTransaction))
+    };
+  }
+
+  // anchor Wallet / wallet adapter
+  if (typeof value.signTransaction === 'function') {
+    const signTransaction = (transaction) => value.signTransaction(transaction);
+    const signAllTransactions = typeof value.signAllTransactions === 'function'
+      ? (transactions) => value.signAllTransactions(transactions)
+      : async (transactions) => {
+        // Sequential to avoid stacking wallet popups
+        const signed = [];
+        for (const transaction of transactions) {
+          signed.push(await value.signTransaction(transaction));
+        }
+        return signed;
+      };
+    return { publicKey, signTransaction, signAllTransactions };
+  }
+
+  throw new PinPetValidationError(`${name} must be a Keypair or provide signTransaction()`, { param: name });
+}
+
+module.exports = {
+  isKeypair,
+  isSigner,
+  resolvePublicKey,
+  toSigner
+};
@@ -0,0 +1,285 @@
+const { PublicKey, Transaction, TransactionMessage, VersionedTransaction, AddressLookupTableAccount, SystemProgram, SystemInstruction, ComputeBudgetProgram } = require('@solana/web3.js');
+const { Buffer } = require('buffer');
+const { PinPetAccountNotFoundError, PinPetValidationError } = require('./errors');
+const { resolvePublicKey } = require('./signer');
+
+// SystemProgram instruction index of AdvanceNonceAccount
+const ADVANCE_NONCE_INSTRUCTION_INDEX = 4;
+
+/**
+ * Resolve lookup tables to AddressLookupTableAccount objects
+ * @param {Connection} connection - Solana connection instance
+ * @param {Array<AddressLookupTableAccount|PublicKey|string>} lookupTables - Lookup table accounts or addresses
+ * @returns {Promise<Array<AddressLookupTableAccount>>} Resolved lookup table accounts
+ */
+async function resolveLookupTables(connection, lookupTables = []) {
+  return Promise.all(lookupTables.map(async (lookupTable) => {
+    if (lookupTable instanceof AddressLookupTableAccount) {
+      return lookupTable;
+    }
+
+    const address = typeof lookupTable === 'string' ? new PublicKey(lookupTable) : lookupTable;
+    const { value } = await connection.getAddressLookupTable(address);
+    if (!value) {
+      throw new PinPetAccountNotFoundError(`Address lookup table not found: ${address.toString()}`, {
+        accountType: 'address_lookup_table',
+        address
+      });
+    }
+    return value;
+  }));
+}
+
+/**
+ * Resolve the durable nonce option of a builder
+ * @param {Connection} connection - Solana connection instance
+ * @param {Object} nonce - Durable nonce option
+ * @param {PublicKey|string} nonce.nonceAccount - Nonce account address
+ * @param {PublicKey|Keypair|Object} [nonce.nonceAuthority] - Nonce authority, default payer
+ * @param {string} [nonce.nonceValue] - Current nonce value, fetched from the nonce account when omitted
+ * @param {PublicKey} payer - Fee payer public key
+ * @returns {Promise<Object>} { nonceAccount, nonceAuthority, nonceValue }
+ */
+async function resolveDurableNonce(connection, nonce, payer) {
+  const nonceAccount = resolvePublicKey(nonce.nonceAccount, 'nonceAccount');
+  const nonceAuthority = nonce.nonceAuthority ? resolvePublicKey(nonce.nonceAuthority, 'nonceAuthority') : payer;
+
+  let nonceValue = nonce.nonceValue;
+  if (!nonceValue) {
+    const nonceInfo = await connection.getNonce(nonceAccount);
+    if (!nonceInfo) {
+      throw new PinPetAccountNotFoundError(`Nonce account not found: ${nonceAccount.toString()}`, {
+        accountType: 'nonce_account',
+        address: nonceAccount
+      });
+    }
+    nonceValue = nonceInfo.nonce;
+  }
+
+  return { nonceAccount, nonceAuthority, nonceValue };
+}
+
+/**
+ * Get the durable nonce used by a transaction
+ * A transaction uses a durable nonce when its first instruction is SystemProgram.nonceAdvance,
+ * the nonce value is then the transaction blockhash.
+ *
+ * @param {Transaction|VersionedTransaction} transaction - Legacy or v0 transaction
+ * @returns {Object|null} { nonceAccount, nonceAuthority, nonceValue }, or null for recent blockhash transactions
+ */
+function getDurableNonce(transaction) {
+  if (transaction instanceof VersionedTransaction) {
+    const { message } = transaction;
+    const instruction = message.compiledInstructions[0];
+    if (!instruction) {
+      return null;
+    }
+    const keys = message.staticAccountKeys;
+    const programId = keys[instruction.programIdIndex];
+    const data = Buffer.from(instruction.data);
+    if (!programId || !programId.equals(SystemProgram.programId) || data.length < 4 || data.readUInt32LE(0) !== ADVANCE_NONCE_INSTRUCTION_INDEX) {
+      return null;
+    }
+    // Accounts: [nonce account, recent blockhashes sysvar, nonce authority]
+    const [nonceIndex, , authorityIndex] = instruction.accountKeyIndexes;
+    if (!keys[nonceIndex] || !keys[authorityIndex]) {
+      return null;
+    }
+    return { nonceAccount: keys[nonceIndex], nonceAuthority: keys[authorityIndex], nonceValue: message.recentBlockhash };
+  }
+
+  const instruction = transaction.instructions[0];
+  if (!instruction || !instruction.programId.equals(SystemProgram.programId)) {
+    return null;
+  }
+  try {
+    if (SystemInstruction.decodeInstructionType(instruction) !== 'AdvanceNonceAccount') {
+      return null;
+    }
+    const { noncePubkey, authorizedPubkey } = SystemInstruction.decodeNonceAdvance(instruction);
+    return { nonceAccount: noncePubkey, nonceAuthority: authorizedPubkey, nonceValue: transaction.recentBlockhash || null };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a legacy transaction into a v0 VersionedTransaction
+ * The message is compiled with the latest blockhash (sdk.send refreshes it before signing), or with recentBlockhash when given.
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {Transaction} transaction - Legacy transaction built by the SDK
+ * @param {PublicKey} payer - Fee payer public key
+ * @param {Array<AddressLookupTableAccount|PublicKey|string>} [lookupTables] - Lookup tables used to compress account keys
+ * @param {string} [recentBlockhash] - Blockhash to compile with (durable nonce value)
+ * @returns {Promise<VersionedTransaction>} Unsigned v0 transaction
+ */
+async function toVersionedTransaction(connection, transaction, payer, lookupTables = [], recentBlockhash) {
+  const addressLookupTableAccounts = await resolveLookupTables(connection, lookupTables);
+  const blockhash = recentBlockhash || (await connection.getLatestBlockhash()).blockhash;
+
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: blockhash,
+    instructions: transaction.instructions
+  }).compileToV0Message(addressLookupTableAccounts);
+
+  return new VersionedTransaction(message);
+}
+
+/**
+ * Produce the transaction returned by a builder according to the output version option
+ * @param {Connection} connection - Solana connection instance
+ * @param {Transaction} transaction - Legacy transaction built by the SDK
+ * @param {PublicKey} payer - Fee payer public key
+ * @param {Object} params - Output parameters
+ * @param {string|number} [params.version] - 'legacy' (default) or 0
+ * @param {Array<AddressLookupTableAccount|PublicKey|string>} [params.lookupTables] - Lookup tables used by version 0
+ * @param {Object} [params.nonce] - Durable nonce { nonceAccount, nonceAuthority?, nonceValue? }, see resolveDurableNonce
+ * @returns {Promise<Transaction|VersionedTransaction>} Legacy transaction or v0 VersionedTransaction
+ */
+async function finalizeTransaction(connection, transaction, payer, { version = 'legacy', lookupTables, nonce } = {}) {
+  if (version !== 'legacy' && version !== 0) {
+    throw new PinPetValidationError(`Unsupported transaction version: ${version}, expected 'legacy' or 0`);
+  }
+  if (version === 'legacy' && lookupTables && lookupTables.length > 0) {
+    throw new PinPetValidationError('lookupTables require version: 0');
+  }
+
+  // Durable nonce: nonceAdvance must be the first instruction and the nonce value replaces the blockhash
+  let nonceValue;
+  if (nonce) {
+    const durableNonce = await resolveDurableNonce(connection, nonce, payer);
+    nonceValue = durableNonce.nonceValue;
+    transaction.instructions.unshift(SystemProgram.nonceAdvance({
+      noncePubkey: durableNonce.nonceAccount,
+      authorizedPubkey: durableNonce.nonceAuthority
+    }));
+  }
+
+  if (version === 'legacy') {
+    if (nonceValue) {
+      transaction.recentBlockhash = nonceValue;
+      transaction.feePayer = payer;
+    }
+    return transaction;
+  }
+
+  return toVersionedTransaction(connection, transaction, payer, lookupTables, nonceValue);
+}
+
+/**
+ * Get the required signers of a transaction and whether each one has signed
+ * @param {Transaction|VersionedTransaction} transaction - Legacy or v0 transaction (legacy needs recentBlockhash and feePayer)
+ * @returns {Array<Object>} Signer slots [{ publicKey, signed }], fee payer first
+ */
+function getSignerSlots(transaction) {
+  if (transaction instanceof VersionedTransaction) {
+    const { numRequiredSignatures } = transaction.message.header;
+    return transaction.message.staticAccountKeys.slice(0, numRequiredSignatures).map((publicKey, index) => ({
+      publicKey,
+      signed: transaction.signatures[index].some(byte => byte !== 0)
+    }));
+  }
+
+  const message = transaction.compileMessage();
+  return message.accountKeys.slice(0, message.header.numRequiredSignatures).map(publicKey => {
+    const slot = transaction.signatures.find(({ publicKey: signer }) => signer.equals(publicKey));
+    return { publicKey, signed: !!(slot && slot.signature) };
+  });
+}
+
+/**
+ * Serialize a (partially) signed transaction to base64 for offline signing
+ * Signatures that are still missing are kept as empty signer slots.
+ *
+ * @param {Transaction|VersionedTransaction} transaction - Legacy or v0 transaction
+ * @returns {string} Base64 wire transaction
+ */
+function serializeTransaction(transaction) {
+  if (transaction instanceof VersionedTransaction) {
+    return Buffer.from(transaction.serialize()).toString('base64');
+  }
+  if (!transaction.recentBlockhash || !transaction.feePayer) {
+    throw new PinPetValidationError('serializeTransaction: transaction requires recentBlockhash and feePayer (build it with the nonce option)');
+  }
+  return transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+}
+
+/**
+ * Deserialize a base64 transaction produced by serializeTransaction
+ * @param {string|Buffer|Uint8Array} data - Base64 string or wire bytes
+ * @returns {Transaction|VersionedTransaction} Legacy Transaction or v0 VersionedTransaction, with existing signatures
+ */
+function deserializeTransaction(data) {
+  const bytes = typeof data === 'string' ? Buffer.from(data, 'base64') : Buffer.from(data);
+  try {
+    const versioned = VersionedTransaction.deserialize(bytes);
+    return versioned.version === 'legacy' ? Transaction.from(bytes) : versioned;
+  } catch (error) {
+    throw new PinPetValidationError(`Invalid serialized transaction: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Collect the accounts of instructions that can be stored in an address lookup table
+ * Signers must stay in the static account keys and are excluded.
+ *
+ * @param {Array<TransactionInstruction>} instructions - Instructions
+ * @returns {Array<PublicKey>} Unique account and program addresses
+ */
+function getLookupAccounts(instructions) {
+  const signers = new Set();
+  const addresses = new Map();
+  for (const instruction of instructions) {
+    for (const key of instruction.keys) {
+      if (key.isSigner) {
+        signers.add(key.pubkey.toString());
+      } else {
+        addresses.set(key.pubkey.toString(), key.pubkey);
+      }
+    }
+    addresses.set(instruction.programId.toString(), instruction.programId);
+  }
+  return [...addresses.entries()].filter(([address]) => !signers.has(address)).map(([, address]) => address);
+}
+
+/**
+ * Builder options used by the *Instructions() variants: a fixed compute units limit and no priority fee,
+ * so building an instruction set never simulates or reads recent fees (the composer sizes the whole transaction)
+ */
+const INSTRUCTION_SET_BUILD_OPTIONS = Object.freeze({ computeUnits: 0, priorityFee: undefined });
+
+/**
+ * Convert a builder result into an instruction set for sdk.composer
+ * Compute budget instructions are removed, the composer adds a single one for the whole transaction.
+ *
+ * @param {Object} result - Legacy builder result { transaction, signers, accounts }
+ * @returns {Object} { instructions, signers, accounts, payer, lookupAccounts }
+ */
+function toInstructionSet(result) {
+  const instructions = result.transaction.instructions
+    .filter(instruction => !instruction.programId.equals(ComputeBudgetProgram.programId));
+
+  return {
+    instructions,
+    signers: result.signers || [],
+    accounts: result.accounts,
+    payer: result.accounts ? result.accounts.payer : undefined,
+    lookupAccounts: getLookupAccounts(instructions)
+  };
+}
+
+module.exports = {
+  resolveLookupTables,
+  resolveDurableNonce,
+  getDurableNonce,
+  toVersionedTransaction,
+  finalizeTransaction,
+  getSignerSlots,
+  serializeTransaction,
+  deserializeTransaction,
+  getLookupAccounts,
+  INSTRUCTION_SET_BUILD_OPTIONS,
+  toInstructionSet
+};
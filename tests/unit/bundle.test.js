@@ -0,0 +1,151 @@
+const assert = require('assert');
+const http = require('http');
+const { Connection, Keypair, Transaction, SystemProgram } = require('@solana/web3.js');
+const { PinPetSdk, SPINPET_PROGRAM_ID, PinPetError, PinPetApiError } = require('../../src');
+
+const BLOCKHASH = '11111111111111111111111111111111';
+
+/**
+ * Local block engine stand-in serving POST /api/v1/bundles
+ * `handlers[method](params)` returns { result } or { error }, requests are recorded in `requests`
+ */
+async function startBlockEngine(handlers) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      requests.push({ url: req.url, ...request });
+      const handler = req.method === 'POST' && req.url === '/api/v1/bundles' ? handlers[request.method] : null;
+      if (!handler) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, error: { code: -32601, message: 'Method not found' } }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...handler(request.params) }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function statusResult(status, landedSlot = null) {
+  return { result: { context: { slot: 1 }, value: status ? [{ bundle_id: 'bundle-1', status, landed_slot: landedSlot }] : [] } };
+}
+
+describe('BundleModule', function () {
+  let engine;
+  let sdk;
+  let wallet;
+  let statuses;
+
+  beforeEach(async function () {
+    statuses = [];
+    engine = await startBlockEngine({
+      sendBundle: () => ({ result: 'bundle-1' }),
+      getInflightBundleStatuses: () => statuses.shift() || statusResult('Pending')
+    });
+    sdk = new PinPetSdk(new Connection('http://127.0.0.1:1'), SPINPET_PROGRAM_ID, {
+      blockEngineUrl: engine.url,
+      bundleTipAccount: Keypair.generate().publicKey.toString()
+    });
+    sdk.connection.getLatestBlockhash = async () => ({ blockhash: BLOCKHASH, lastValidBlockHeight: 10 });
+    wallet = Keypair.generate();
+  });
+
+  afterEach(async function () {
+    await engine.close();
+  });
+
+  function transferResult() {
+    const transaction = new Transaction().add(SystemProgram.transfer({
+      fromPubkey: wallet.publicKey,
+      toPubkey: Keypair.generate().publicKey,
+      lamports: 1
+    }));
+    return { transaction, signers: [] };
+  }
+
+  it('sends the signed bundle and polls getInflightBundleStatuses from Invalid through Pending to Landed', async function () {
+    statuses = [statusResult(null), statusResult('Pending'), statusResult('Landed', 42)];
+    const results = [transferResult(), transferResult()];
+
+    const sent = await sdk.bundle.send(results, wallet, { pollInterval: 5, tipLamports: 50000 });
+
+    assert.deepStrictEqual({ bundleId: sent.bundleId, status: sent.status, landedSlot: sent.landedSlot },
+      { bundleId: 'bundle-1', status: 'Landed', landedSlot: 42 });
+    assert.deepStrictEqual(engine.requests.map(request => [request.url, request.method]), [
+      ['/api/v1/bundles', 'sendBundle'],
+      ['/api/v1/bundles', 'getInflightBundleStatuses'],
+      ['/api/v1/bundles', 'getInflightBundleStatuses'],
+      ['/api/v1/bundles', 'getInflightBundleStatuses']
+    ]);
+    assert.deepStrictEqual(engine.requests[1].params, [['bundle-1']]);
+
+    // Submitted transactions: signed copies with the tip appended to the last one
+    const [encoded, { encoding }] = engine.requests[0].params;
+    assert.strictEqual(encoding, 'base64');
+    const submitted = encoded.map(transaction => Transaction.from(Buffer.from(transaction, 'base64')));
+    assert.strictEqual(submitted.length, 2);
+    assert.ok(submitted.every(transaction => transaction.verifySignatures() && transaction.recentBlockhash === BLOCKHASH));
+    assert.deepStrictEqual(submitted.map(transaction => transaction.instructions.length), [1, 2]);
+    assert.strictEqual(sent.signatures.length, 2);
+
+    // The builder results are not changed
+    assert.ok(results.every(({ transaction }) => transaction.instructions.length === 1 && !transaction.recentBlockhash));
+  });
+
+  it('returns Pending without polling when waitForLanding is false', async function () {
+    const sent = await sdk.bundle.send([transferResult()], wallet, { waitForLanding: false });
+
+    assert.strictEqual(sent.status, 'Pending');
+    assert.deepStrictEqual(engine.requests.map(request => request.method), ['sendBundle']);
+  });
+
+  it('rejects with PinPetError when the bundle fails', async function () {
+    statuses = [statusResult('Pending'), statusResult('Failed')];
+
+    await assert.rejects(sdk.bundle.waitForBundle('bundle-1', { pollInterval: 5 }), (error) => {
+      assert.ok(error instanceof PinPetError);
+      assert.match(error.message, /Bundle bundle-1 failed/);
+      return true;
+    });
+  });
+
+  it('rejects with PinPetError when the bundle does not land before the timeout', async function () {
+    await assert.rejects(sdk.bundle.waitForBundle('bundle-1', { pollInterval: 5, timeout: 30 }), (error) => {
+      assert.ok(error instanceof PinPetError);
+      assert.match(error.message, /did not land within 30ms \(last status: Pending\)/);
+      return true;
+    });
+  });
+
+  it('turns a JSON-RPC error into PinPetApiError', async function () {
+    await engine.close();
+    engine = await startBlockEngine({
+      sendBundle: () => ({ error: { code: -32602, message: 'bundle contains an expired blockhash' } })
+    });
+
+    await assert.rejects(sdk.bundle.send([transferResult()], wallet, { blockEngineUrl: engine.url }), (error) => {
+      assert.ok(error instanceof PinPetApiError);
+      assert.strictEqual(error.code, -32602);
+      assert.match(error.message, /sendBundle failed: bundle contains an expired blockhash/);
+      return true;
+    });
+  });
+
+  it('turns an HTTP error response into PinPetApiError with its status', async function () {
+    await assert.rejects(sdk.bundle._rpc('unknownMethod', []), (error) => {
+      assert.ok(error instanceof PinPetApiError);
+      assert.strictEqual(error.status, 404);
+      assert.strictEqual(error.code, -32601);
+      return true;
+    });
+  });
+});
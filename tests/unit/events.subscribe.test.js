@@ -0,0 +1,228 @@
+const assert = require('assert');
+const anchor = require('@coral-xyz/anchor');
+const { Connection, Keypair } = require('@solana/web3.js');
+const { PinPetSdk, SPINPET_PROGRAM_ID, PinPetValidationError } = require('../../src');
+const spinpetIdl = require('../../src/idl/pinpet.json');
+
+const coder = new anchor.BorshCoder(spinpetIdl);
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await wait(5);
+  }
+}
+
+/**
+ * Encode an event as the program logs it ('Program data: ' payload)
+ */
+function encodeEvent(name, data) {
+  const { discriminator } = spinpetIdl.events.find(event => event.name === name);
+  return Buffer.concat([Buffer.from(discriminator), coder.types.encode(name, data)]).toString('base64');
+}
+
+function buySellEvent(mint) {
+  return encodeEvent('BuySellEvent', {
+    payer: Keypair.generate().publicKey,
+    mint_account: mint,
+    is_buy: true,
+    token_amount: new anchor.BN(1),
+    sol_amount: new anchor.BN(5),
+    latest_price: new anchor.BN(7),
+    liquidate_indices: []
+  });
+}
+
+function tokenCreatedEvent(mint) {
+  const key = () => Keypair.generate().publicKey;
+  return encodeEvent('TokenCreatedEvent', {
+    payer: key(),
+    mint_account: mint,
+    curve_account: key(),
+    pool_token_account: key(),
+    pool_sol_account: key(),
+    fee_recipient: key(),
+    base_fee_recipient: key(),
+    params_account: key(),
+    swap_fee: 0,
+    borrow_fee: 0,
+    fee_discount_flag: 0,
+    name: 'Token',
+    symbol: 'TKN',
+    uri: '',
+    up_orderbook: key(),
+    down_orderbook: key(),
+    latest_price: new anchor.BN(7)
+  });
+}
+
+/**
+ * Stand-in for connection.onLogs / removeOnLogsListener
+ */
+function createLogsStandIn(connection) {
+  const standIn = { listeners: new Map(), removed: [], nextId: 1 };
+  connection.onLogs = (address, callback, commitment) => {
+    const id = standIn.nextId++;
+    standIn.listeners.set(id, { address, callback, commitment });
+    return id;
+  };
+  connection.removeOnLogsListener = async (id) => {
+    standIn.removed.push(id);
+    standIn.listeners.delete(id);
+  };
+  // Deliver a logs notification to every active listener
+  standIn.notify = (programId, signature, payloads, err = null) => {
+    const logs = [
+      `Program ${programId} invoke [1]`,
+      ...payloads.map(payload => `Program data: ${payload}`),
+      `Program ${programId} success`
+    ];
+    for (const { callback } of standIn.listeners.values()) {
+      callback({ signature, err, logs }, { slot: 11 });
+    }
+  };
+  return standIn;
+}
+
+describe('EventsModule.subscribe', function () {
+  let sdk;
+  let standIn;
+  let programId;
+  let subscription;
+  const mint = Keypair.generate().publicKey;
+  const otherMint = Keypair.generate().publicKey;
+
+  beforeEach(function () {
+    sdk = new PinPetSdk(new Connection('http://127.0.0.1:1'), SPINPET_PROGRAM_ID);
+    standIn = createLogsStandIn(sdk.connection);
+    programId = sdk.programId.toString();
+    subscription = null;
+  });
+
+  afterEach(async function () {
+    if (subscription) {
+      await subscription.unsubscribe();
+    }
+  });
+
+  it('subscribes to the program logs with the requested commitment', function () {
+    subscription = sdk.events.subscribe({ commitment: 'finalized' }, () => {});
+
+    assert.strictEqual(standIn.listeners.size, 1);
+    const [{ address, commitment }] = standIn.listeners.values();
+    assert.ok(address.equals(sdk.programId));
+    assert.strictEqual(commitment, 'finalized');
+  });
+
+  it('filters events by mint and type', function () {
+    const received = [];
+    subscription = sdk.events.subscribe({ mint, types: ['BuySellEvent'] }, event => received.push(event));
+
+    standIn.notify(programId, 'sig1', [buySellEvent(mint), buySellEvent(otherMint), tokenCreatedEvent(mint)]);
+
+    assert.deepStrictEqual(received.map(event => [event.name, event.signature, event.eventIndex]), [['BuySellEvent', 'sig1', 0]]);
+    assert.strictEqual(received[0].data.mint_account, mint.toBase58());
+    assert.strictEqual(received[0].data.token_amount, 1n);
+    assert.strictEqual(received[0].slot, 11);
+    assert.strictEqual(received[0].blockTime, null);
+  });
+
+  it('delivers each event once by signature and eventIndex', function () {
+    const received = [];
+    subscription = sdk.events.subscribe({ mint }, event => received.push(`${event.signature}:${event.eventIndex}`));
+
+    standIn.notify(programId, 'sig1', [buySellEvent(mint), buySellEvent(mint)]);
+    standIn.notify(programId, 'sig1', [buySellEvent(mint), buySellEvent(mint)]);
+    standIn.notify(programId, 'sig2', [buySellEvent(mint)]);
+
+    assert.deepStrictEqual(received, ['sig1:0', 'sig1:1', 'sig2:0']);
+  });
+
+  it('skips failed transactions', function () {
+    const received = [];
+    subscription = sdk.events.subscribe({}, event => received.push(event));
+
+    standIn.notify(programId, 'failed', [buySellEvent(mint)], { InstructionError: [0, { Custom: 1 }] });
+
+    assert.strictEqual(received.length, 0);
+  });
+
+  it('passes handler errors to onError', async function () {
+    const errors = [];
+    subscription = sdk.events.subscribe({}, async () => {
+      throw new Error('handler failed');
+    }, { onError: error => errors.push(error) });
+
+    standIn.notify(programId, 'sig1', [buySellEvent(mint)]);
+    await wait(0);
+
+    assert.deepStrictEqual(errors.map(error => error.message), ['handler failed']);
+  });
+
+  it('re-subscribes after idleTimeout without notifications, subscribing before removing the stalled listener', async function () {
+    const received = [];
+    const onLogs = sdk.connection.onLogs;
+    const order = [];
+    sdk.connection.onLogs = (...args) => {
+      order.push('subscribe');
+      return onLogs(...args);
+    };
+    const removeOnLogsListener = sdk.connection.removeOnLogsListener;
+    sdk.connection.removeOnLogsListener = (id) => {
+      order.push(`remove ${id}`);
+      return removeOnLogsListener(id);
+    };
+
+    subscription = sdk.events.subscribe({ mint }, event => received.push(`${event.signature}:${event.eventIndex}`), { idleTimeout: 50 });
+    await waitFor(() => order.length >= 3);
+
+    assert.deepStrictEqual(order.slice(0, 3), ['subscribe', 'subscribe', 'remove 1']);
+    assert.deepStrictEqual([...standIn.listeners.keys()], [2]);
+
+    // Notifications on the new listener are delivered, replays of delivered events are not
+    standIn.notify(programId, 'sig1', [buySellEvent(mint)]);
+    standIn.notify(programId, 'sig1', [buySellEvent(mint)]);
+    assert.deepStrictEqual(received, ['sig1:0']);
+  });
+
+  it('keeps the subscription while notifications arrive', async function () {
+    subscription = sdk.events.subscribe({}, () => {}, { idleTimeout: 300 });
+    for (let i = 0; i < 4; i++) {
+      await wait(100);
+      standIn.notify(programId, `sig${i}`, []);
+    }
+
+    assert.deepStrictEqual([...standIn.listeners.keys()], [1]);
+    assert.deepStrictEqual(standIn.removed, []);
+  });
+
+  it('unsubscribe() removes the listener and stops delivery and re-subscribing', async function () {
+    const received = [];
+    const active = sdk.events.subscribe({}, event => received.push(event), { idleTimeout: 20 });
+    const { callback } = standIn.listeners.get(1);
+
+    await active.unsubscribe();
+    assert.deepStrictEqual(standIn.removed, [1]);
+    assert.strictEqual(standIn.listeners.size, 0);
+
+    // A late notification on the removed listener is ignored, and the watchdog no longer re-subscribes
+    callback({
+      signature: 'late',
+      err: null,
+      logs: [`Program ${programId} invoke [1]`, `Program data: ${buySellEvent(mint)}`, `Program ${programId} success`]
+    }, { slot: 12 });
+    await wait(60);
+    assert.strictEqual(received.length, 0);
+    assert.strictEqual(standIn.listeners.size, 0);
+  });
+
+  it('rejects unknown event types and a missing handler', function () {
+    assert.throws(() => sdk.events.subscribe({ types: ['UnknownEvent'] }, () => {}), PinPetValidationError);
+    assert.throws(() => sdk.events.subscribe({}), PinPetValidationError);
+    assert.strictEqual(standIn.listeners.size, 0);
+  });
+});